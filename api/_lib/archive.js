@@ -0,0 +1,107 @@
+// api/_lib/archive.js
+// Snapshot archive for the recording proxy. Bodies are stored once per content hash
+// and each snapshot hour (unix sec, hour-aligned) gets its own small entry pointing
+// at its hash, so an upstream file that hasn't changed between requests is never
+// written twice and concurrent requests for different hours never touch the same file.
+import { createHash } from "node:crypto";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// Serverless deployments (Vercel) only allow writes under the temp dir, which is
+// per-instance and short-lived; set ARCHIVE_DIR to persistent storage to keep history.
+function defaultRoot() {
+  if (process.env.ARCHIVE_DIR) return process.env.ARCHIVE_DIR;
+  return process.env.VERCEL ? path.join(os.tmpdir(), "windborne-archive") : ".archive";
+}
+
+let tmpSeq = 0;
+
+// Storage adapters: { get(key) → Buffer|null, put(key, buf), list(prefix) → [key] }
+export function createFsStorage(root = defaultRoot()) {
+  return {
+    async get(key) {
+      try {
+        return await fs.readFile(path.join(root, key));
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    async put(key, buf) {
+      const file = path.join(root, key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      // write-then-rename so a concurrent reader never sees half a file; the tmp
+      // name is unique per write so parallel puts of the same key don't collide
+      const tmp = `${file}.${process.pid}.${++tmpSeq}.tmp`;
+      await fs.writeFile(tmp, buf);
+      await fs.rename(tmp, file);
+    },
+    async list(prefix) {
+      try {
+        const names = await fs.readdir(path.join(root, prefix));
+        return names.filter((n) => !n.endsWith(".tmp")).map((n) => `${prefix}/${n}`);
+      } catch (e) {
+        if (e.code === "ENOENT") return [];
+        throw e;
+      }
+    },
+  };
+}
+
+let defaultStorage;
+export function getStorage() {
+  return (defaultStorage ??= createFsStorage());
+}
+
+const hourKey = (hourSec) => `hours/${hourSec}`;
+
+async function hashFor(storage, hourSec) {
+  const buf = await storage.get(hourKey(hourSec));
+  return buf ? buf.toString("utf8") : null;
+}
+
+// Map an upstream treasure path (e.g. "treasure/03.json") to the hour it describes
+export function snapshotHour(upstreamPath, nowMs = Date.now()) {
+  const m = /^treasure\/(\d{2})\.json$/.exec(upstreamPath);
+  if (!m) return null;
+  const hoursAgo = Number(m[1]);
+  if (hoursAgo > 23) return null;
+  return Math.floor(nowMs / 3_600_000) * 3600 - hoursAgo * 3600;
+}
+
+/**
+ * Archive one snapshot body. Returns "stored" | "duplicate" | "invalid".
+ * Only JSON arrays are kept — error pages and empty bodies are not snapshots.
+ */
+export async function recordSnapshot(hourSec, buf, storage = getStorage()) {
+  try {
+    if (!Array.isArray(JSON.parse(buf.toString("utf8")))) return "invalid";
+  } catch {
+    return "invalid";
+  }
+
+  const hash = createHash("sha256").update(buf).digest("hex");
+  if ((await hashFor(storage, hourSec)) === hash) return "duplicate";
+
+  const blobKey = `blobs/${hash}.json`;
+  if (!(await storage.get(blobKey))) await storage.put(blobKey, buf);
+  await storage.put(hourKey(hourSec), Buffer.from(hash));
+  return "stored";
+}
+
+// Archived hours in [fromSec, toSec], oldest first: [{ hour, data }]
+export async function readHistory(fromSec, toSec, storage = getStorage()) {
+  const hours = (await storage.list("hours"))
+    .map((k) => Number(k.slice("hours/".length)))
+    .filter((h) => Number.isFinite(h) && h >= fromSec && h <= toSec)
+    .sort((a, b) => a - b);
+
+  const out = [];
+  for (const hour of hours) {
+    const hash = await hashFor(storage, hour);
+    const buf = hash && (await storage.get(`blobs/${hash}.json`));
+    if (buf) out.push({ hour, data: JSON.parse(buf.toString("utf8")) });
+  }
+  return out;
+}
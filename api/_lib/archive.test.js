@@ -0,0 +1,61 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createFsStorage, recordSnapshot, readHistory, snapshotHour } from "./archive.js";
+
+const H = 3600;
+const body = (v) => Buffer.from(JSON.stringify([[v, v, 10]]));
+
+let dir, storage;
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), "wbv-archive-"));
+  storage = createFsStorage(dir);
+});
+afterEach(() => rm(dir, { recursive: true, force: true }));
+
+describe("snapshotHour", () => {
+  it("maps treasure paths to the hour they describe", () => {
+    const now = Date.UTC(2025, 0, 1, 12, 34);
+    const hour = Date.UTC(2025, 0, 1, 12) / 1000;
+    expect(snapshotHour("treasure/00.json", now)).toBe(hour);
+    expect(snapshotHour("treasure/05.json", now)).toBe(hour - 5 * H);
+    expect(snapshotHour("treasure/24.json", now)).toBeNull();
+    expect(snapshotHour("treasure/meta.json", now)).toBeNull();
+    expect(snapshotHour("other/03.json", now)).toBeNull();
+  });
+});
+
+describe("recordSnapshot", () => {
+  it("keeps every hour when 24 snapshots are recorded at once", async () => {
+    const results = await Promise.all(
+      Array.from({ length: 24 }, (_, k) => recordSnapshot(k * H, body(k % 12), storage))
+    );
+    expect(results.every((r) => r === "stored")).toBe(true);
+    const hist = await readHistory(0, 23 * H, storage);
+    expect(hist.map((h) => h.hour)).toEqual(Array.from({ length: 24 }, (_, k) => k * H));
+    expect(hist[13].data).toEqual([[1, 1, 10]]);
+  });
+
+  it("skips unchanged bodies and rejects non-snapshots", async () => {
+    expect(await recordSnapshot(0, body(1), storage)).toBe("stored");
+    expect(await recordSnapshot(0, body(1), storage)).toBe("duplicate");
+    expect(await recordSnapshot(0, body(2), storage)).toBe("stored");
+    expect(await recordSnapshot(H, Buffer.from("<html>"), storage)).toBe("invalid");
+    expect(await recordSnapshot(H, Buffer.from('{"error":1}'), storage)).toBe("invalid");
+    expect(await readHistory(0, H, storage)).toEqual([{ hour: 0, data: [[2, 2, 10]] }]);
+  });
+});
+
+describe("readHistory", () => {
+  it("returns archived hours in the range, oldest first", async () => {
+    for (const k of [5, 1, 3, 8]) await recordSnapshot(k * H, body(k), storage);
+    const hist = await readHistory(1 * H, 5 * H, storage);
+    expect(hist.map((h) => h.hour / H)).toEqual([1, 3, 5]);
+    expect(await readHistory(10 * H, 20 * H, storage)).toEqual([]);
+  });
+
+  it("reads nothing from an empty archive", async () => {
+    expect(await readHistory(0, H, createFsStorage(join(dir, "missing")))).toEqual([]);
+  });
+});
@@ -0,0 +1,35 @@
+// api/history.js — archived hourly snapshots: GET /api/history?from=&to=
+// from/to are unix seconds or ISO dates; defaults to the 24h before the live window.
+import { readHistory } from "./_lib/archive.js";
+
+const MAX_SPAN_H = 24 * 14;
+
+function toSec(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  if (Number.isFinite(n)) return n;
+  const d = Date.parse(v);
+  return Number.isFinite(d) ? Math.floor(d / 1000) : NaN;
+}
+
+export default async function handler(req, res) {
+  const nowHour = Math.floor(Date.now() / 3_600_000) * 3600;
+  const to = toSec(req.query.to) ?? nowHour;
+  const from = toSec(req.query.from) ?? to - 24 * 3600;
+
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+    return res.status(400).json({ error: "bad_range", message: "from/to must be unix seconds or ISO dates, from <= to" });
+  }
+  if (to - from > MAX_SPAN_H * 3600) {
+    return res.status(400).json({ error: "range_too_large", message: `At most ${MAX_SPAN_H} hours per request` });
+  }
+
+  try {
+    const hours = await readHistory(from, to);
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).json({ from, to, hours });
+  } catch (e) {
+    return res.status(500).json({ error: "archive_read_failed", message: String(e) });
+  }
+}
@@ -1,21 +1,42 @@
 // api/windborne/[...path].js
+import { recordSnapshot, snapshotHour } from "../_lib/archive.js";
+
 export default async function handler(req, res) {
   try {
     const path = Array.isArray(req.query.path) ? req.query.path.join("/") : "";
     const upstream = `https://a.windbornesystems.com/${path}`;
-    const r = await fetch(upstream, {
-      cache: "no-store",
-      headers: { "User-Agent": "windborne-viewer" },
-    });
+
+    // Pass conditional-request validators through so clients can revalidate cheaply
+    const headers = { "User-Agent": "windborne-viewer" };
+    if (req.headers?.["if-none-match"]) headers["If-None-Match"] = req.headers["if-none-match"];
+    if (req.headers?.["if-modified-since"]) headers["If-Modified-Since"] = req.headers["if-modified-since"];
+
+    const r = await fetch(upstream, { cache: "no-store", headers });
 
     const buf = Buffer.from(await r.arrayBuffer());
+
+    // Keep a copy of every hourly snapshot we pass through; archiving must never break the proxy
+    const hour = r.ok ? snapshotHour(path) : null;
+    if (hour != null) {
+      try {
+        await recordSnapshot(hour, buf);
+      } catch (e) {
+        console.warn("archive_failed", path, String(e));
+      }
+    }
+
     res.status(r.status);
     res.setHeader(
       "Content-Type",
       r.headers.get("content-type") || "application/json; charset=utf-8"
     );
     res.setHeader("Cache-Control", "no-store");
+    for (const h of ["etag", "last-modified"]) {
+      if (r.headers.get(h)) res.setHeader(h, r.headers.get(h));
+    }
+    res.setHeader("Access-Control-Expose-Headers", "ETag, Last-Modified");
     res.setHeader("Access-Control-Allow-Origin", "*");
+    if (r.status === 304) return res.end();
     return res.send(buf);
   } catch (e) {
     return res
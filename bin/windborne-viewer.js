@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+// Headless ingest, analysis and export; see `windborne-viewer --help`.
+import { main } from "../src/cli/main.js";
+
+// Piping into head & co. closes stdout early; that's not an error
+process.stdout.on("error", (e) => {
+  if (e.code !== "EPIPE") throw e;
+  process.exit(process.exitCode ?? 0);
+});
+
+process.exitCode = await main(process.argv.slice(2));
@@ -1,239 +1,578 @@
 
-import { useEffect, useRef, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import {
   MapContainer,
   TileLayer,
-  Marker,
   Popup,
   Polyline,
+  Polygon,
   useMapEvents,
   useMap,
 } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
 
-import { fetchLast24h } from "./api/windborne"; // returns { byId, stats }
-import { fetchWinds } from "./api/openmeteo";
-import { haversineMeters, bearingDeg } from "./lib/geo";
-import { computeRisk } from "./lib/risk";
+import { fetchSnapshots } from "./api/windborne"; // raw hourly files; parsed in the ingest worker
+import { createLiveSource, createReplaySource, createSyntheticSource } from "./api/sources";
+import { createSnapshotCache } from "./api/snapshotCache";
+import { fetchWindSeries } from "./api/openmeteo";
+import { createEnrichScheduler } from "./api/enrichScheduler";
+import { haversineMeters } from "./lib/geo";
+import { scoreRisk, defaultRiskConfig, withRestrictedRegions } from "./lib/risk";
+import { previousIds } from "./lib/tracker";
+import { createIngestClient } from "./workers/ingestClient";
+import { altitudeColor } from "./lib/altitude";
+import { FORECAST_HOURS, projectTrack } from "./lib/forecast";
+import CanvasTrackLayer from "./components/CanvasTrackLayer";
+import BalloonPopup from "./components/BalloonPopup";
+import RiskConfigPanel from "./components/RiskConfigPanel";
+import DetailPanel from "./components/DetailPanel";
+import FleetDashboard from "./components/FleetDashboard";
+import ConjunctionsPanel from "./components/ConjunctionsPanel";
+import AlertsPanel from "./components/AlertsPanel";
+import { useAlerts } from "./hooks/useAlerts";
+import { usePersistentState } from "./hooks/usePersistentState";
+import GeofenceLayer from "./components/GeofenceLayer";
+import GeofencePanel from "./components/GeofencePanel";
+import DiagnosticsPanel from "./components/DiagnosticsPanel";
+import ExportControls from "./components/ExportControls";
+import TrackImport from "./components/TrackImport";
+import { buildTracks, carryEnrichment, samePositions } from "./lib/tracks";
+import { advancePlayhead, stepHour, timelineHoles } from "./lib/playback";
+import { CONJUNCTION_DEFAULTS, conjunctionColor, findConjunctions } from "./lib/proximity";
+import { unwrapLongitudes } from "./lib/quality";
+import Timeline from "./components/Timeline";
+import WindLayer from "./components/WindLayer";
+import { useWindGrid } from "./hooks/useWindGrid";
+import { usePlaybackFrames } from "./hooks/usePlaybackFrames";
+import { windAt } from "./lib/wind";
+import PlaybackRecorder from "./components/PlaybackRecorder";
+import { parseTrackFile } from "./lib/importTracks";
+import { initialView } from "./lib/viewState";
+import { useViewUrl } from "./hooks/useViewUrl";
+import SavedViews from "./components/SavedViews";
+import Watchlist from "./components/Watchlist";
+import { DEFAULT_FILTERS, filterTracks, isFiltering, sortTracks, parseSort, formatSort } from "./lib/watchlist";
+import { fenceStatus, fenceColor } from "./lib/geofence";
 
 /** ---------- Config ---------- **/
-const MAP_CENTER = [20, 0];
 const REFRESH_MS = 5 * 60 * 1000;
-const ENRICH_SUBSET = 50;
-const ENRICH_BATCH = 25;
 const TRACKS_ZOOM_VISIBLE = 4;
-const WATCHLIST_LIMIT = 100;
+const CLUSTER_BELOW_ZOOM = 5; // fleet markers are clustered below this zoom
+const IMPORT_COLOR = "#00897b"; // imported (non-WindBorne) tracks
 
 // Playback
 const DEFAULT_WINDOW_H = 24;
-const PLAY_STEP_H = 1;
-const PLAY_TICK_MS = 800;
+const HISTORY_OPTIONS_H = [0, 24, 72, 168]; // archived hours beyond the live 24 (recording proxy)
+const PLAY_TICK_MS = 100;
 
-// Stale / Gap heuristics
-const STALE_SEC = 60 * 60;
-const GAP_KM = 300;
+// Risk weights/params are edited in the UI and kept in localStorage
+const RISK_CONFIG_KEY = "windborne.riskConfig";
 
-/** ---------- Helpers ---------- **/
-async function enrichInBatches(items, batchSize = ENRICH_BATCH) {
-  const out = [];
-  for (let i = 0; i < items.length; i += batchSize) {
-    const batch = items.slice(i, i + batchSize);
-    const res = await Promise.allSettled(
-      batch.map(async (tr) => {
-        const last = tr.points.at(-1);
-        if (!last) return [tr.id, {}];
-        const winds = await fetchWinds(last.lat, last.lon); // {} on error/429
-        const risk = computeRisk({ ...tr, ...winds });
-        return [tr.id, { ...winds, risk }];
-      })
-    );
-    out.push(...res);
+function loadRiskConfig() {
+  const d = defaultRiskConfig();
+  try {
+    const c = JSON.parse(localStorage.getItem(RISK_CONFIG_KEY));
+    if (c) return { weights: { ...d.weights, ...c.weights }, params: { ...d.params, ...c.params } };
+  } catch {
+    // ignore unreadable config
   }
-  return out;
+  return d;
 }
 
-function ZoomWatcher({ onChange }) {
-  useMapEvents({
-    zoomend(e) {
-      onChange(e.target.getZoom());
+// One snapshot cache for the page, shared by every live source instance
+const snapshotCache = createSnapshotCache();
+const liveSource = () => createLiveSource({ cache: snapshotCache });
+
+// Parsing, linking and per-track math run off the main thread
+const ingestClient = createIngestClient();
+
+/** ---------- Helpers ---------- **/
+// Reports { lat, lon, zoom, bounds } after every pan/zoom
+function MapViewWatcher({ onChange }) {
+  const map = useMapEvents({
+    moveend(e) {
+      const c = e.target.getCenter();
+      const b = e.target.getBounds();
+      onChange({
+        lat: c.lat,
+        lon: c.lng,
+        zoom: e.target.getZoom(),
+        bounds: { south: b.getSouth(), west: b.getWest(), north: b.getNorth(), east: b.getEast() },
+      });
     },
   });
+  // Initial view, before any move
+  useEffect(() => {
+    map.fire("moveend");
+  }, [map]);
   return null;
 }
 
-function sampleByZoom(tracks, zoom) {
-  let limit = 0;
-  if (zoom <= 2)       limit = 0;
-  else if (zoom === 3) limit = 120;
-  else if (zoom === 4) limit = 300;
-  else if (zoom === 5) limit = 600;
-  else                 limit = tracks.length;
-  return tracks.slice(0, Math.min(limit, tracks.length));
+// Jumps the map when a view is restored (back/forward, saved view)
+function SetView({ request }) {
+  const map = useMap();
+  useEffect(() => {
+    if (request) map.setView([request.lat, request.lon], request.zoom);
+  }, [request, map]);
+  return null;
 }
 
-function downloadCSV(rows, filename = "balloons.csv") {
-  const header = ["id","lat","lon","speed_kmh","bearing_deg","risk","stale"];
-  const lines = rows.map((r) => {
-    const last = (r._winPts?.length ? r._winPts.at(-1) : r.points.at(-1)) || {};
-    const lat = last.lat ?? "";
-    const lon = last.lon ?? "";
-    const speed = r.driftKmh != null ? r.driftKmh.toFixed(1) : "";
-    const bearing = r.headingDeg != null ? r.headingDeg.toFixed(1) : "";
-    const risk = r.risk ?? "";
-    const stale = r._stale ? "TRUE" : "FALSE";
-    return [r.id, lat, lon, speed, bearing, risk, stale].join(",");
-  });
-  const csv = [header.join(","), ...lines].join("\n");
-  const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-  const a = document.createElement("a");
-  const ts = new Date().toISOString().replace(/[:.]/g, "-");
-  a.href = URL.createObjectURL(blob);
-  a.download = `${filename.replace(/\.csv$/i,"")}-${ts}.csv`;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(a.href);
+// Split a track into per-hop segments coloured by the hop's mean altitude
+function altitudeSegments(pts) {
+  const segs = [];
+  for (let i = 1; i < pts.length; i++) {
+    const a = pts[i - 1], b = pts[i];
+    const alt = a.alt != null && b.alt != null ? (a.alt + b.alt) / 2 : (b.alt ?? a.alt);
+    segs.push({ positions: [[a.lat, a.lon], [b.lat, b.lon]], color: altitudeColor(alt) });
+  }
+  return segs;
 }
 
-function FlyTo({ center, zoom = 8 }) {
+// Flies when the target moves, or when `trigger` changes (re-selecting the same balloon)
+function FlyTo({ center, zoom = 8, trigger }) {
   const map = useMap();
+  const [lat, lon] = center ?? [];
   useEffect(() => {
-    if (!center) return;
-    map.flyTo(center, zoom, { duration: 0.7 });
-  }, [center, zoom, map]);
+    if (lat == null) return;
+    map.flyTo([lat, lon], zoom, { duration: 0.7 });
+  }, [lat, lon, zoom, trigger, map]);
   return null;
 }
 
-function fmtAge(sec) {
-  if (sec == null) return "—";
-  if (sec < 90) return `${Math.round(sec)}s`;
-  const min = sec / 60;
-  if (min < 90) return `${Math.round(min)}m`;
-  return `${(min / 60).toFixed(1)}h`;
-}
-
 export default function App() {
-  const [tracks, setTracks] = useState([]); // [{ id, points, driftKmh?, headingDeg?, risk?, _stale?, _ageSec, _ageLabel, _gapKm, _gap }]
+  // View state restored from the URL (shared link or reload); see lib/viewState
+  const [urlView] = useState(() => initialView(window.location.search));
+
+  const [tracks, setTracks] = useState([]); // see buildTracks() in lib/tracks
   const [lastUpdated, setLastUpdated] = useState(null);
-  const [zoom, setZoom] = useState(2);
+  const [zoom, setZoom] = useState(urlView.zoom);
+  const [center, setCenter] = useState({ lat: urlView.lat, lon: urlView.lon });
+  const [mapBounds, setMapBounds] = useState(null);
+  const [mapRequest, setMapRequest] = useState(null); // { lat, lon, zoom } to jump to
   const [ingestStats, setIngestStats] = useState(null);
-  const [pinnedId, setPinnedId] = useState(null);
+  const [pinnedId, setPinnedId] = useState(urlView.pinnedId);
+  const [source, setSource] = useState(() => (urlView.source === "synthetic" ? createSyntheticSource() : liveSource()));
+  const [sourceError, setSourceError] = useState(null);
+  const [loadError, setLoadError] = useState(null); // last load() failure, cleared by the next success
+  const [flySeq, setFlySeq] = useState(0); // bumped to re-fly to the pinned balloon
+
+  // Watchlist filters (also applied to map markers) and multi-key sort
+  const [filters, setFilters] = useState(() =>
+    Object.fromEntries(Object.keys(DEFAULT_FILTERS).map((k) => [k, urlView[k]]))
+  );
+  const [sorts, setSorts] = useState(() => parseSort(urlView.sort));
+  const loadSeqRef = useRef(0);
+  const tracksRef = useRef(tracks);
+  tracksRef.current = tracks;
+  const [colorMode, setColorMode] = useState(urlView.colorMode); // "default" | "altitude"
+  const [riskConfig, setRiskConfig] = useState(loadRiskConfig);
+  const [showRiskConfig, setShowRiskConfig] = useState(false);
+
+  // Alerts: evaluated once per completed load pass
+  const alerts = useAlerts();
+  const [leftPanel, setLeftPanel] = useState(null); // null | "alerts" | "geofences" | "diagnostics" | "conjunctions"
+  const [conjSettings, setConjSettings] = usePersistentState("windborne.conjunctions", CONJUNCTION_DEFAULTS);
+  const [page, setPage] = useState(urlView.page); // "map" | "analytics" (fleet dashboard over the map)
+  const [detailDock, setDetailDock] = usePersistentState("windborne.detailDock", "bottom");
+
+  // Geofences (persisted) and the shape currently being drawn
+  const [fences, setFences] = usePersistentState("windborne.geofences", []);
+  const [drawing, setDrawing] = useState(null); // { kind, pts: [[lat, lon], …] }
+  const [loadPass, setLoadPass] = useState(null); // { seq, nowSec } of the last completed pass
+
+  // Imported track files: a separate, toggleable source overlaid on the fleet
+  const [imports, setImports] = useState([]); // [{ name, byId }]
+  const [showImports, setShowImports] = useState(urlView.showImports);
+  const [importError, setImportError] = useState(null);
+
+  // Forecast (0 = off); projections keyed by balloon id, wind series cached by ~0.5° cell
+  const [forecastH, setForecastH] = useState(urlView.forecastH);
+  const [forecasts, setForecasts] = useState({});
+  const seriesCacheRef = useRef(new Map());
 
-  // Playback
-  const [hoursBack, setHoursBack] = useState(DEFAULT_WINDOW_H);
+  // Wind overlay level (null = off)
+  const [windLevel, setWindLevel] = useState(urlView.windLevel);
+
+  // Playback: an absolute playhead (null = live, following the newest data) and a trailing tail
+  const [playheadSec, setPlayheadSec] = useState(urlView.timeSec);
+  const [tailH, setTailH] = useState(urlView.tailH);
+  const [playSpeed, setPlaySpeed] = useState(urlView.playSpeed); // data hours per second
+  const [loop, setLoop] = useState(urlView.loop);
+  const [historyH, setHistoryH] = useState(urlView.historyH);
+  const maxWindowH = DEFAULT_WINDOW_H + (source.fetchArchive ? historyH : 0);
   const [playing, setPlaying] = useState(false);
-  const playTimerRef = useRef(null);
+  const mapRef = useRef(null);
 
-  const pinned = pinnedId ? tracks.find(t => t.id === pinnedId) : null;
+  // Saved views: named query strings
+  const [savedViews, setSavedViews] = usePersistentState("windborne.savedViews", []);
 
-  async function load() {
-    // Phase 1: positions + stale/gap + stats
-    const { byId, stats } = await fetchLast24h();
-    const nowSec = Math.floor(Date.now() / 1000);
+  // Imported tracks share the fleet's clock, so they window and play back alongside it
+  const clockSec = ingestStats?.nowSec;
+  const importedTracks = useMemo(() => {
+    if (!showImports || clockSec == null) return [];
+    return imports.flatMap(({ name, byId }) =>
+      buildTracks(byId, clockSec).map((t) => ({ ...t, external: true, sourceName: name }))
+    );
+  }, [imports, showImports, clockSec]);
 
-    const list = Object.entries(byId).map(([id, points]) => {
-      let driftKmh, headingDeg;
-      let ageSec = null, ageLabel = "—";
-      let gapKm = 0, gap = false;
+  // Timeline over everything loaded; the playhead is clamped into it (a linked time may
+  // precede the range until the archive it needs has loaded)
+  const endSec = clockSec ?? null;
+  const startSec = clockSec != null ? clockSec - maxWindowH * 3600 : null;
+  const timeSec = clockSec == null ? null : Math.min(endSec, Math.max(startSec, playheadSec ?? endSec));
+  const live = playheadSec == null;
+  const holes = useMemo(
+    () => (startSec == null ? [] : timelineHoles(ingestStats?.hours, { startSec, endSec })),
+    [ingestStats, startSec, endSec]
+  );
 
-      if (points.length) {
-        const last = points.at(-1);
-        ageSec = Math.max(0, nowSec - last.ts);
-        ageLabel = fmtAge(ageSec);
-      }
+  // Risk is derived, so editing weights (or geofences, the restricted regions) rescores
+  // every balloon immediately
+  const scoringConfig = useMemo(() => withRestrictedRegions(riskConfig, fences), [riskConfig, fences]);
+  const scoredTracks = useMemo(
+    () => [...tracks, ...importedTracks].map((t) => ({ ...t, ...scoreRisk(t, scoringConfig) })),
+    [tracks, importedTracks, scoringConfig]
+  );
 
-      if (points.length >= 2) {
-        const prev = points[points.length - 2];
-        const last = points[points.length - 1];
-        const distM = haversineMeters(
-          { lat: prev.lat, lon: prev.lon },
-          { lat: last.lat, lon: last.lon }
-        );
-        const dtH = Math.max((last.ts - prev.ts) / 3600, 1e-6);
-        driftKmh = distM / 1000 / dtH;
-        headingDeg = bearingDeg(
-          { lat: prev.lat, lon: prev.lon },
-          { lat: last.lat, lon: last.lon }
-        );
-        gapKm = distM / 1000;
-        gap = gapKm > GAP_KM;
-      }
+  useEffect(() => {
+    localStorage.setItem(RISK_CONFIG_KEY, JSON.stringify(riskConfig));
+  }, [riskConfig]);
 
-      const stale = ageSec != null && ageSec > STALE_SEC;
+  // Once per pass, over the tracks as scored when it lands (later rescoring doesn't re-alert)
+  const scoredRef = useRef(scoredTracks);
+  scoredRef.current = scoredTracks;
+  const evaluateAlerts = alerts.evaluate;
+  useEffect(() => {
+    if (loadPass) evaluateAlerts(scoredRef.current.filter((t) => !t.external), loadPass.nowSec);
+  }, [loadPass, evaluateAlerts]);
 
-      return {
-        id, points, driftKmh, headingDeg,
-        risk: undefined,
-        _stale: stale, _ageSec: ageSec, _ageLabel: ageLabel, _gapKm: gapKm, _gap: gap
-      };
-    });
+  const pinned = pinnedId ? scoredTracks.find(t => t.id === pinnedId) : null;
 
-    setTracks(list);
-    setLastUpdated(new Date().toUTCString());
+  // One load pass over the current source; only source and archive depth change what it does
+  const load = useCallback(async () => {
+    // A newer load (e.g. after switching source) supersedes this one
+    const seq = ++loadSeqRef.current;
+
+    // Phase 1: positions + stale/gap + stats (worker)
+    let list, stats;
+    try {
+      const historyHours = source.fetchArchive ? historyH : 0;
+      const snapshots = await fetchSnapshots(source, { historyHours });
+      if (seq !== loadSeqRef.current) return;
+      ({ tracks: list, stats } = await ingestClient.ingest(snapshots, { previous: previousIds(tracksRef.current) }));
+    } catch (e) {
+      if (seq === loadSeqRef.current) setLoadError(String(e.message ?? e));
+      return;
+    }
+    if (seq !== loadSeqRef.current) return;
+    setLoadError(null);
+    const nowSec = stats.nowSec;
+
+    setTracks(carryEnrichment(list, tracksRef.current));
+    // The newest file's own snapshot time, not when we happened to fetch it
+    setLastUpdated(new Date((stats.hours[0]?.ok ? stats.hours[0].timeSec : nowSec) * 1000).toUTCString());
     setIngestStats(stats);
 
-    // Phase 2: wind enrichment (subset, batched)
-    const sample = list.slice(0, ENRICH_SUBSET);
-    const results = await enrichInBatches(sample, ENRICH_BATCH);
-    const patch = Object.fromEntries(
-      results.filter((r) => r.status === "fulfilled").map((r) => r.value)
+    // Phase 2: wind enrichment runs continuously in the scheduler (see effect below);
+    // alerts see whatever is enriched so far and catch up on the next pass
+    setLoadPass({ seq, nowSec });
+  }, [source, historyH]);
+
+  // Whole-fleet wind enrichment: pinned, then in-view, then high-risk balloons first.
+  // Patches land only on tracks whose fixes haven't changed since the batch was taken.
+  const [enrichProgress, setEnrichProgress] = useState(null);
+  const schedulerRef = useRef(null);
+  useEffect(() => {
+    const scheduler = createEnrichScheduler({
+      onProgress: setEnrichProgress,
+      onPatch: (patch) =>
+        setTracks((prev) =>
+          prev.map((tr) => (patch[tr.id] && samePositions(patch[tr.id].points, tr.points) ? { ...tr, ...patch[tr.id] } : tr))
+        ),
+    });
+    schedulerRef.current = scheduler;
+    return () => scheduler.stop();
+  }, []);
+  useEffect(() => {
+    schedulerRef.current?.update(
+      scoredTracks.filter((t) => !t.external),
+      { pinnedId, bounds: mapBounds }
     );
-    setTracks((prev) => prev.map((tr) => ({ ...tr, ...(patch[tr.id] ?? {}) })));
-  }
+  }, [scoredTracks, pinnedId, mapBounds]);
 
+  // (Re)load whenever the data source changes; replay sources just re-read the recording
   useEffect(() => {
+    setForecasts({});
     load();
     const id = setInterval(load, REFRESH_MS);
     return () => clearInterval(id);
-  }, []);
+  }, [load]);
 
-  // Playback timer
-  useEffect(() => {
-    if (!playing) {
-      if (playTimerRef.current) {
-        clearInterval(playTimerRef.current);
-        playTimerRef.current = null;
+  async function pickReplay(files) {
+    try {
+      setSource(await createReplaySource(files));
+      setSourceError(null);
+    } catch (e) {
+      setSourceError(String(e.message ?? e));
+    }
+  }
+
+  async function importFiles(files) {
+    const errors = [];
+    for (const file of files) {
+      const name = file.name.replace(/\.[^.]+$/, "");
+      try {
+        const byId = parseTrackFile(await file.text(), file.name, `${name}:`);
+        setImports((list) => [...list.filter((i) => i.name !== name), { name, byId }]);
+      } catch (e) {
+        errors.push(`${file.name}: ${e.message ?? e}`);
       }
-      return;
     }
-    playTimerRef.current = setInterval(() => {
-      setHoursBack((h) => (h > 1 ? h - PLAY_STEP_H : DEFAULT_WINDOW_H));
+    setImportError(errors.length ? errors.join(" · ") : null);
+    setShowImports(true);
+  }
+
+  /** ---------- Playback ---------- **/
+  // Seeking to the end goes back to live
+  function seek(t) {
+    if (endSec == null) return;
+    setPlayheadSec(t >= endSec ? null : Math.max(startSec, t));
+  }
+
+  function togglePlay() {
+    // From the live edge, play from the start of the timeline
+    if (!playing && timeSec >= endSec) setPlayheadSec(startSec);
+    setPlaying((p) => !p);
+  }
+
+  const timeRef = useRef(timeSec);
+  timeRef.current = timeSec;
+  useEffect(() => {
+    if (!playing || clockSec == null) return;
+    const id = setInterval(() => {
+      const next = advancePlayhead(timeRef.current, (playSpeed * 3600 * PLAY_TICK_MS) / 1000, { startSec, endSec, loop });
+      if (next.ended) {
+        setPlaying(false);
+        setPlayheadSec(null);
+      } else {
+        setPlayheadSec(next.t);
+      }
     }, PLAY_TICK_MS);
-    return () => {
-      if (playTimerRef.current) clearInterval(playTimerRef.current);
-      playTimerRef.current = null;
+    return () => clearInterval(id);
+  }, [playing, playSpeed, loop, startSec, endSec, clockSec]);
+
+  // Stable: it only touches the series cache and state setters
+  const runForecast = useCallback(async (tr, hours) => {
+    const cachedSeries = async (lat, lon) => {
+      const key = `${Math.round(lat * 2) / 2},${Math.round(lon * 2) / 2}`;
+      const cache = seriesCacheRef.current;
+      if (!cache.has(key)) {
+        cache.set(key, fetchWindSeries(lat, lon));
+      }
+      const series = await cache.get(key);
+      if (!series) cache.delete(key); // don't pin failures (429) in the cache
+      return series;
     };
-  }, [playing]);
+    setForecasts((prev) => ({ ...prev, [tr.id]: { pending: true, hours } }));
+    const res = await projectTrack(tr, hours, cachedSeries);
+    setForecasts((prev) => ({ ...prev, [tr.id]: res ?? { failed: true, hours } }));
+  }, []);
+
+  // Keep the pinned balloon's projection current. Reruns on every forecasts/pinned
+  // change, but only projects when there is no current, pending or failed one
+  useEffect(() => {
+    if (!forecastH || !pinned) return;
+    const f = forecasts[pinned.id];
+    const lastTs = pinned.points.at(-1)?.ts;
+    if (f && f.hours === forecastH && (f.pending || f.failed || f.path?.[0]?.ts === lastTs)) return;
+    runForecast(pinned, forecastH);
+  }, [forecastH, pinned, forecasts, runForecast]);
+
+  /** ---------- View state (URL + saved views) ---------- **/
+  // A shared link carries an absolute time; once the source clock is known,
+  // extend the archive if that time is older than what is loaded (only the first time)
+  const pendingStartRef = useRef(urlView.timeSec);
+  const canArchive = !!source.fetchArchive;
+  useEffect(() => {
+    const t = pendingStartRef.current;
+    if (t == null || clockSec == null) return;
+    pendingStartRef.current = null;
+    const extra = Math.ceil((clockSec - t) / 3600) - DEFAULT_WINDOW_H;
+    if (extra > 0 && canArchive && extra > historyH) {
+      setHistoryH(HISTORY_OPTIONS_H.find((o) => o >= extra) ?? HISTORY_OPTIONS_H.at(-1));
+    }
+  }, [clockSec, canArchive, historyH]);
+
+  const viewQuery = useViewUrl(
+    {
+      page,
+      pinnedId,
+      tailH,
+      timeSec: live ? null : timeSec,
+      playSpeed,
+      loop,
+      lat: center.lat,
+      lon: center.lon,
+      zoom,
+      colorMode,
+      forecastH,
+      windLevel,
+      historyH,
+      source: source.kind,
+      showImports,
+      ...filters,
+      sort: formatSort(sorts),
+    },
+    applyView,
+    { replace: playing }
+  );
+
+  function applyView(v) {
+    setPage(v.page);
+    setPinnedId(v.pinnedId);
+    setPlayheadSec(v.timeSec);
+    setTailH(v.tailH);
+    setPlaySpeed(v.playSpeed);
+    setLoop(v.loop);
+    setColorMode(v.colorMode);
+    setForecastH(v.forecastH);
+    setWindLevel(v.windLevel);
+    setHistoryH(v.historyH);
+    setShowImports(v.showImports);
+    setFilters(Object.fromEntries(Object.keys(DEFAULT_FILTERS).map((k) => [k, v[k]])));
+    setSorts(parseSort(v.sort));
+    if (v.source !== source.kind && v.source !== "replay") {
+      setSource(v.source === "synthetic" ? createSyntheticSource() : liveSource());
+    }
+    setMapRequest({ lat: v.lat, lon: v.lon, zoom: v.zoom });
+  }
+
+  function saveView(name, query) {
+    setSavedViews((vs) => [...vs.filter((v) => v.name !== name), { name, query }]);
+  }
 
   /** ---------- Windowed data ---------- **/
-  const nowSec = Math.floor(Date.now() / 1000);
-  const cutoff = nowSec - (hoursBack * 3600);
+  // Each track as seen at the playhead: its tail plus a great-circle interpolated head.
+  // The worker precomputes these frames (ahead of the playhead while playing)
+  const { windowed: tracksWindowed, pending: framePending, shownSec: frameShownSec, prefetch: prefetchFrames } = usePlaybackFrames(
+    ingestClient,
+    scoredTracks,
+    timeSec,
+    tailH * 3600,
+    { stepSec: playing ? (playSpeed * 3600 * PLAY_TICK_MS) / 1000 : 0 }
+  );
 
-  const tracksWindowed = tracks.map((t) => {
-    const winPts = t.points.filter(p => p.ts >= cutoff);
-    return { ...t, _winPts: winPts };
-  });
+  // Wind overlay: grid series over the view, sampled at the playhead
+  const windGrid = useWindGrid(windLevel != null, mapBounds, window.innerWidth, startSec);
+  const windBarbs = useMemo(() => {
+    if (!windLevel || timeSec == null) return [];
+    return windGrid.nodes.flatMap((n) => {
+      const w = windAt(n.series, timeSec);
+      const speed = w[`wind${windLevel}`], dir = w[`dir${windLevel}`];
+      return speed == null || dir == null ? [] : [{ lat: n.lat, lon: n.lon, speed, dir }];
+    });
+  }, [windGrid.nodes, windLevel, timeSec]);
 
   // Use the *windowed* pinned object everywhere below
   const pinnedWindowed = pinned ? tracksWindowed.find(t => t.id === pinned.id) : null;
 
-  // Adaptive sampling on windowed tracks for markers
-  const baseMarkers = sampleByZoom(
-    tracksWindowed.filter(t => t._winPts.length),
-    zoom
+  // Watchlist filters apply to the map as well
+  const filteredWindowed = useMemo(
+    () => filterTracks(tracksWindowed, filters, fences),
+    [tracksWindowed, filters, fences]
+  );
+  const watchlist = useMemo(() => sortTracks(filteredWindowed, sorts), [filteredWindowed, sorts]);
+  const filteredIds = useMemo(() => new Set(filteredWindowed.map((t) => t.id)), [filteredWindowed]);
+
+  // Close / converging pairs among the balloons on the map, at the playhead
+  const conjunctions = useMemo(
+    () => findConjunctions(filteredWindowed, conjSettings),
+    [filteredWindowed, conjSettings]
   );
 
-  const visibleMarkers =
-    pinnedWindowed && pinnedWindowed._winPts.length &&
-    !baseMarkers.some(t => t.id === pinnedWindowed.id)
-      ? [...baseMarkers, pinnedWindowed]
-      : baseMarkers;
+  function selectBalloon(id) {
+    setPinnedId(id);
+    setFlySeq((n) => n + 1);
+  }
+
+  // Everything that passes the filters is drawn (clustered at low zoom), plus the pinned balloon
+  const mapTracks = useMemo(
+    () =>
+      pinnedWindowed?._winPts.length && !filteredIds.has(pinnedWindowed.id)
+        ? [...filteredWindowed, pinnedWindowed]
+        : filteredWindowed,
+    [filteredWindowed, filteredIds, pinnedWindowed]
+  );
+
+  // "Visible" = drawn and currently inside the map view (bounds may span world copies)
+  const visibleMarkers = mapBounds
+    ? mapTracks.filter((t) => {
+        const p = t._winPts.at(-1);
+        if (!p || p.lat < mapBounds.south || p.lat > mapBounds.north) return false;
+        const width = mapBounds.east - mapBounds.west;
+        return width >= 360 || (((p.lon - mapBounds.west) % 360) + 360) % 360 <= width;
+      })
+    : mapTracks;
+
+  // Popup for the balloon clicked on the canvas; position memoised so re-renders don't close it
+  const [popupId, setPopupId] = useState(null);
+  const popupTrack = popupId ? tracksWindowed.find((t) => t.id === popupId && t._winPts.length) : null;
+  const popupLast = popupTrack?._winPts.at(-1);
+  const popupKey = popupLast ? `${popupLast.lat},${popupLast.lon}` : null;
+  const popupPosition = useMemo(() => (popupKey ? popupKey.split(",").map(Number) : null), [popupKey]);
 
   const pinnedLast = pinnedWindowed?._winPts?.length ? pinnedWindowed._winPts.at(-1) : null;
 
+  // Who is inside which fence, entry/exit along the windowed points, predicted entries
+  const fenceInfo = useMemo(() => fenceStatus(fences, tracksWindowed), [fences, tracksWindowed]);
+  const fenceIndex = Object.fromEntries(fences.map((f, i) => [f.id, i]));
+  const fenceRings = Object.fromEntries(
+    Object.entries(fenceInfo.byBalloon).map(([id, fids]) => [id, fenceColor(fenceIndex[fids[0]])])
+  );
+
+  // Export scopes; a fence acts as a selection of the balloons currently inside it
+  const exportScopes = [
+    { key: "all", label: "All balloons", tracks: tracksWindowed },
+    { key: "visible", label: "Visible", tracks: visibleMarkers },
+    { key: "pinned", label: "Pinned", tracks: pinnedWindowed ? [pinnedWindowed] : [] },
+    ...fences.map((f) => {
+      const inside = new Set(fenceInfo.byFence[f.id]?.inside);
+      return { key: `fence-${f.id}`, label: `Inside ${f.name}`, tracks: tracksWindowed.filter((t) => inside.has(t.id)) };
+    }),
+  ];
+
+  function onDrawClick(pt) {
+    setDrawing((d) => {
+      if (!d || (d.kind === "circle" && d.pts.length >= 2)) return d;
+      return { ...d, pts: [...d.pts, pt] };
+    });
+  }
+
+  function finishDrawing(name) {
+    const { kind, pts } = drawing;
+    const id = `f${Date.now()}`;
+    const fence =
+      kind === "circle"
+        ? {
+            id, name, kind,
+            center: { lat: pts[0][0], lon: pts[0][1] },
+            radiusKm: haversineMeters({ lat: pts[0][0], lon: pts[0][1] }, { lat: pts[1][0], lon: pts[1][1] }) / 1000,
+          }
+        : { id, name, kind, ring: pts };
+    setFences((fs) => [...fs, fence]);
+    setDrawing(null);
+  }
+
   /** ---------- UI ---------- **/
   return (
-    <div style={{ height: "100vh", width: "100vw" }}>
+    <div
+      style={{ height: "100vh", width: "100vw" }}
+      onDragOver={(e) => e.preventDefault()}
+      onDrop={(e) => {
+        e.preventDefault();
+        if (e.dataTransfer.files?.length) importFiles(e.dataTransfer.files);
+      }}
+    >
       {/* Header (metrics + playback + export) */}
       <div
         style={{
@@ -248,68 +587,171 @@ export default function App() {
           boxShadow: "0 6px 20px rgba(0,0,0,0.25)",
         }}
       >
-        <div style={{ fontWeight: 700 }}>WindBorne (last 24h)</div>
+        <div style={{ fontWeight: 700 }}>WindBorne (last {maxWindowH}h)</div>
         <div style={{ fontSize: 12, opacity: 0.9 }}>
-          Last updated: {lastUpdated || "—"}
-        </div>
-        <div style={{ fontSize: 12, opacity: 0.9, lineHeight: 1.4 }}>
-          Balloons: {tracks.length} · Markers shown: {visibleMarkers.length}
-          <br />
-          Ingest: {ingestStats?.kept ?? "—"}/{ingestStats?.raw ?? "—"} rows · Enriched (sample): ~{ENRICH_SUBSET}
-        </div>
-        <div style={{ fontSize: 12, opacity: 0.9, marginTop: 2 }}>
-          Stale: {tracks.filter(t => t._stale).length} · Gaps: {tracks.filter(t => t._gap).length}
+          {source.kind === "replay" ? "Recorded at" : "Last updated"}: {lastUpdated || "—"}
         </div>
 
-        {/* Playback controls */}
-        <div style={{ marginTop: 8 }}>
-          <div style={{ fontSize: 12, marginBottom: 4, opacity: 0.9 }}>
-            Window: <b>{hoursBack}h</b>
-          </div>
-          <input
-            type="range"
-            min={1}
-            max={24}
-            value={hoursBack}
-            onChange={(e) => setHoursBack(Number(e.target.value))}
-            style={{ width: 200 }}
-          />
-          <div style={{ display: "inline-flex", gap: 8, marginLeft: 10 }}>
+        {/* Data source */}
+        <div style={{ fontSize: 12, marginTop: 4 }}>
+          Source: <b>{source.label}</b>
+          <div style={{ display: "flex", gap: 4, marginTop: 4, flexWrap: "wrap" }}>
             <button
-              onClick={() => setHoursBack(h => Math.min(24, Math.max(1, h + 1)))}
-              title="+1 hour"
-              style={{ padding: "4px 8px", borderRadius: 6, border: "1px solid #444", background: "#fff", color: "#000", cursor: "pointer" }}
+              onClick={() => setSource(liveSource())}
+              style={{ padding: "2px 8px", borderRadius: 6, border: "1px solid #444", background: source.kind === "live" ? "#eee" : "#fff", color: "#000", cursor: "pointer" }}
             >
-              +1h
+              Live
             </button>
             <button
-              onClick={() => setHoursBack(h => Math.min(24, Math.max(1, h - 1)))}
-              title="-1 hour"
-              style={{ padding: "4px 8px", borderRadius: 6, border: "1px solid #444", background: "#fff", color: "#000", cursor: "pointer" }}
+              onClick={() => setSource(createSyntheticSource())}
+              style={{ padding: "2px 8px", borderRadius: 6, border: "1px solid #444", background: source.kind === "synthetic" ? "#eee" : "#fff", color: "#000", cursor: "pointer" }}
             >
-              −1h
+              Synthetic
             </button>
+            <label
+              title="Folder with 00.json … 23.json (and optional meta.json)"
+              style={{ padding: "2px 8px", borderRadius: 6, border: "1px solid #444", background: "#fff", color: "#000", cursor: "pointer" }}
+            >
+              Replay folder…
+              <input type="file" webkitdirectory="" multiple hidden onChange={(e) => pickReplay(e.target.files)} />
+            </label>
+            <label
+              title='Archive JSON: { "recordedAt": …, "hours": { "00": [...], … } }'
+              style={{ padding: "2px 8px", borderRadius: 6, border: "1px solid #444", background: "#fff", color: "#000", cursor: "pointer" }}
+            >
+              Replay archive…
+              <input type="file" accept=".json,application/json" hidden onChange={(e) => pickReplay(e.target.files)} />
+            </label>
+          </div>
+          {sourceError && <div style={{ color: "#ff5555" }}>{sourceError}</div>}
+          {loadError && <div style={{ color: "#ff5555" }}>Load failed: {loadError} (retrying every {REFRESH_MS / 60000} min)</div>}
+        </div>
+        <TrackImport
+          imports={imports}
+          startSec={startSec}
+          endSec={endSec}
+          show={showImports}
+          color={IMPORT_COLOR}
+          error={importError}
+          onImport={importFiles}
+          onRemove={(name) => setImports((list) => list.filter((i) => i.name !== name))}
+          onToggle={() => setShowImports((v) => !v)}
+        />
+        <div style={{ fontSize: 12, opacity: 0.9, lineHeight: 1.4 }}>
+          Balloons: {tracks.length} · Markers shown: {visibleMarkers.length}
+          <br />
+          Winds: {enrichProgress ? `${enrichProgress.done}/${enrichProgress.total} enriched` : "—"}
+          {enrichProgress?.inFlight > 0 && ` · fetching ${enrichProgress.inFlight}`}
+          {enrichProgress?.backoffUntil > Date.now() && (
+            <span style={{ color: "#ffb74d" }}>
+              {" "}· rate limited, retry {new Date(enrichProgress.backoffUntil).toISOString().slice(11, 19)}Z
+            </span>
+          )}
+          {source.netStats && (
+            <>
+              <br />
+              Net: {source.netStats.fetched} fetched · {source.netStats.cached} cached · {source.netStats.notModified} not modified
+            </>
+          )}
+        </div>
+
+        {/* Playback: absolute timeline, tail, recording */}
+        <div style={{ marginTop: 8 }}>
+          <Timeline
+            startSec={startSec}
+            endSec={endSec}
+            timeSec={timeSec}
+            live={live}
+            playing={playing}
+            speed={playSpeed}
+            tailH={tailH}
+            loop={loop}
+            holes={holes}
+            pending={framePending}
+            shownSec={frameShownSec}
+            onSeek={seek}
+            onLive={() => {
+              setPlaying(false);
+              setPlayheadSec(null);
+            }}
+            onPlay={togglePlay}
+            onStep={(dir) => seek(stepHour(timeSec, dir, { startSec, endSec }))}
+            onSpeed={setPlaySpeed}
+            onTail={setTailH}
+            onLoop={() => setLoop((v) => !v)}
+          />
+          <PlaybackRecorder
+            mapRef={mapRef}
+            startSec={startSec}
+            endSec={endSec}
+            speed={playSpeed}
+            timeSec={timeSec}
+            onSeek={seek}
+            onPrepare={prefetchFrames}
+          />
+          {source.fetchArchive && (
+            <div style={{ fontSize: 12, marginTop: 6 }}>
+              Archive:{" "}
+              {HISTORY_OPTIONS_H.map((h) => (
+                <button
+                  key={h}
+                  onClick={() => setHistoryH(h)}
+                  title={h ? `Add ${h}h of archived snapshots before the live 24h` : "Live 24h only"}
+                  style={{ marginLeft: 4, padding: "2px 8px", borderRadius: 6, border: "1px solid #444", background: historyH === h ? "#eee" : "#fff", color: "#000", cursor: "pointer" }}
+                >
+                  {h ? `+${h}h` : "Off"}
+                </button>
+              ))}
+              {historyH > 0 && (
+                <span style={{ marginLeft: 6, opacity: 0.8 }}>
+                  {ingestStats?.archiveError
+                    ? `unavailable (${ingestStats.archiveError})`
+                    : `${ingestStats?.archivedHours ?? "—"}/${historyH}h archived`}
+                </span>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Wind overlay */}
+        <div style={{ marginTop: 8, fontSize: 12 }}>
+          Wind barbs:{" "}
+          {[null, "700", "500"].map((lvl) => (
             <button
-              onClick={() => setPlaying(p => !p)}
-              title={playing ? "Pause" : "Play"}
-              style={{ padding: "4px 8px", borderRadius: 6, border: "1px solid #444", background: "#fff", color: "#000", cursor: "pointer" }}
+              key={lvl ?? "off"}
+              onClick={() => setWindLevel(lvl)}
+              style={{ marginLeft: 4, padding: "2px 8px", borderRadius: 6, border: "1px solid #444", background: windLevel === lvl ? "#eee" : "#fff", color: "#000", cursor: "pointer" }}
             >
-              {playing ? "Pause" : "Play"}
+              {lvl ? `${lvl} hPa` : "Off"}
             </button>
+          ))}
+          {windLevel && (
+            <span style={{ marginLeft: 6, opacity: 0.8 }}>
+              {windGrid.loading ? "loading…" : windGrid.step ? `${windGrid.step}° grid` : ""}
+              {windGrid.error && <span style={{ color: "#ffb74d" }}> · {windGrid.error}</span>}
+            </span>
+          )}
+        </div>
+
+        {/* Forecast horizon */}
+        <div style={{ marginTop: 8, fontSize: 12 }}>
+          Forecast:{" "}
+          {[0, ...FORECAST_HOURS].map((h) => (
             <button
-              onClick={() => setHoursBack(DEFAULT_WINDOW_H)}
-              title="Reset to 24h"
-              style={{ padding: "4px 8px", borderRadius: 6, border: "1px solid #444", background: "#fff", color: "#000", cursor: "pointer" }}
+              key={h}
+              onClick={() => setForecastH(h)}
+              style={{ marginLeft: 4, padding: "2px 8px", borderRadius: 6, border: "1px solid #444", background: forecastH === h ? "#b39ddb" : "#fff", color: "#000", cursor: "pointer" }}
             >
-              24h
+              {h ? `+${h}h` : "Off"}
             </button>
-          </div>
+          ))}
         </div>
 
         <button
-          onClick={() => downloadCSV(visibleMarkers)}
+          onClick={() => setPage("analytics")}
           style={{
             marginTop: 8,
+            marginRight: 8,
             padding: "6px 10px",
             borderRadius: 6,
             border: "1px solid #444",
@@ -317,180 +759,307 @@ export default function App() {
             color: "#000",
             cursor: "pointer",
           }}
-          title="Export the currently visible markers to CSV"
+          title="Fleet counts over time, distributions, coverage and density"
+        >
+          Analytics
+        </button>
+
+        <button
+          onClick={() => setLeftPanel((p) => (p === "geofences" ? null : "geofences"))}
+          style={{
+            marginTop: 8,
+            marginRight: 8,
+            padding: "6px 10px",
+            borderRadius: 6,
+            border: "1px solid #444",
+            background: leftPanel === "geofences" ? "#eee" : "#fff",
+            color: "#000",
+            cursor: "pointer",
+          }}
+          title="Draw, import and monitor geofences"
         >
-          Export CSV (visible)
+          Geofences{fences.length ? ` (${fences.length})` : ""}
         </button>
+
+        <button
+          onClick={() => setLeftPanel((p) => (p === "alerts" ? null : "alerts"))}
+          style={{
+            marginTop: 8,
+            marginRight: 8,
+            padding: "6px 10px",
+            borderRadius: 6,
+            border: "1px solid #444",
+            background: alerts.unacked ? "#f8d7da" : "#fff",
+            color: "#000",
+            cursor: "pointer",
+          }}
+          title="Alert rules and event log"
+        >
+          Alerts{alerts.unacked ? ` (${alerts.unacked})` : ""}
+        </button>
+
+        <button
+          onClick={() => setLeftPanel((p) => (p === "conjunctions" ? null : "conjunctions"))}
+          style={{
+            marginTop: 8,
+            marginRight: 8,
+            padding: "6px 10px",
+            borderRadius: 6,
+            border: "1px solid #444",
+            background: leftPanel === "conjunctions" ? "#eee" : conjunctions.pairs.some((p) => p.within) ? "#f8d7da" : "#fff",
+            color: "#000",
+            cursor: "pointer",
+          }}
+          title="Balloon pairs that are close or converging"
+        >
+          Conjunctions{conjunctions.pairs.length ? ` (${conjunctions.pairs.length})` : ""}
+        </button>
+
+        <button
+          onClick={() => setLeftPanel((p) => (p === "diagnostics" ? null : "diagnostics"))}
+          style={{
+            marginTop: 8,
+            marginRight: 8,
+            padding: "6px 10px",
+            borderRadius: 6,
+            border: "1px solid #444",
+            background: leftPanel === "diagnostics" ? "#eee" : ingestStats?.hours?.some((h) => !h.ok) ? "#fff3cd" : "#fff",
+            color: "#000",
+            cursor: "pointer",
+          }}
+          title="Per-hour fetch status and rejected rows"
+        >
+          Diagnostics
+        </button>
+
+        <button
+          onClick={() => setShowRiskConfig((v) => !v)}
+          style={{
+            marginTop: 8,
+            marginRight: 8,
+            padding: "6px 10px",
+            borderRadius: 6,
+            border: "1px solid #444",
+            background: showRiskConfig ? "#eee" : "#fff",
+            color: "#000",
+            cursor: "pointer",
+          }}
+          title="Edit risk factor weights"
+        >
+          Risk weights
+        </button>
+
+        <button
+          onClick={() => setColorMode(m => (m === "altitude" ? "default" : "altitude"))}
+          style={{
+            marginTop: 8,
+            marginRight: 8,
+            padding: "6px 10px",
+            borderRadius: 6,
+            border: "1px solid #444",
+            background: colorMode === "altitude" ? "#eee" : "#fff",
+            color: "#000",
+            cursor: "pointer",
+          }}
+          title="Colour tracks by altitude"
+        >
+          {colorMode === "altitude" ? "Colour: altitude" : "Colour: default"}
+        </button>
+
+        <ExportControls scopes={exportScopes} />
+        <SavedViews
+          views={savedViews}
+          query={viewQuery}
+          onSave={saveView}
+          onApply={(query) => applyView(initialView(query))}
+          onDelete={(name) => setSavedViews((vs) => vs.filter((v) => v.name !== name))}
+        />
+
+        {showRiskConfig && (
+          <RiskConfigPanel
+            config={riskConfig}
+            onChange={setRiskConfig}
+            onClose={() => setShowRiskConfig(false)}
+          />
+        )}
       </div>
 
-      {/* Watchlist (top 100 by risk, dark theme) */}
-      <aside
-        style={{
-          position: "absolute",
-          right: 12,
-          top: 12,
-          width: 320,
-          maxHeight: "90vh",
-          overflow: "auto",
-          background: "#111",
-          borderRadius: 12,
-          padding: 10,
-          zIndex: 9999,
-          boxShadow: "0 6px 20px rgba(0,0,0,0.15)",
-          color: "white",
+      {/* Watchlist: search, filters and sort shared with the map markers */}
+      <Watchlist
+        tracks={watchlist}
+        total={tracksWindowed.length}
+        filters={filters}
+        onFilters={setFilters}
+        sorts={sorts}
+        onSorts={setSorts}
+        fences={fences}
+        byBalloon={fenceInfo.byBalloon}
+        pinnedId={pinnedId}
+        importColor={IMPORT_COLOR}
+        onSelect={(id) => {
+          setPage("map");
+          selectBalloon(id);
         }}
-        onWheel={(e) => e.stopPropagation()}
-        onTouchMove={(e) => e.stopPropagation()}
-      >
-        <div style={{ fontWeight: 700, marginBottom: 6 }}>
-          Sorted by risk <span style={{ color:"#888", fontWeight:400 }}>— top {WATCHLIST_LIMIT}</span>
-        </div>
+      />
 
-        {tracks
-          .slice()
-          .sort((a, b) => (b.risk ?? -1) - (a.risk ?? -1))
-          .slice(0, WATCHLIST_LIMIT)
-          .map((t) => {
-            const normRisk = Math.max(0, Math.min(100, Math.round(t.risk ?? 0)));
-            const riskColor =
-              normRisk >= 80 ? "#d9534f" : normRisk >= 50 ? "#f0ad4e" : "#5cb85c";
-            return (
-              <div
-                key={t.id}
-                style={{
-                  border: "1px solid #444",
-                  borderRadius: 10,
-                  padding: 10,
-                  marginBottom: 8,
-                  background: "#000",
-                }}
-              >
-                <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
-                  <div>
-                    <b>{t.id}</b>{" "}
-                    <span style={{ color: riskColor }}>— Risk {normRisk}/100</span>
-                  </div>
-                  {t._stale && (
-                    <span style={{ background:"#2a0000", color:"#ff5555", border:"1px solid #ff5555", borderRadius:8, padding:"2px 6px", fontSize:12 }}>
-                      STALE
-                    </span>
-                  )}
-                  {t._gap && (
-                    <span style={{ background:"#2a1a00", color:"#ffb74d", border:"1px solid #ffb74d", borderRadius:8, padding:"2px 6px", fontSize:12 }}>
-                      GAP {Math.round(t._gapKm)} km
-                    </span>
-                  )}
-                  <span style={{ color:"#bbb", fontSize:12 }}>· Last {t._ageLabel}</span>
-                </div>
-                <div style={{ fontSize: 12, color: "#bbb" }}>
-                  Drift {t.driftKmh?.toFixed?.(0) ?? "—"} km/h · Δheading vs wind shown in popup
-                </div>
-              </div>
-            );
-          })}
-      </aside>
+      {page === "analytics" && (
+        <FleetDashboard
+          tracks={filteredWindowed}
+          total={tracksWindowed.length}
+          filtering={isFiltering(filters)}
+          onResetFilters={() => setFilters(DEFAULT_FILTERS)}
+          startSec={startSec}
+          endSec={endSec}
+          timeSec={timeSec}
+          ingestStats={ingestStats}
+          onClose={() => setPage("map")}
+        />
+      )}
+
+      {pinnedWindowed && (
+        <DetailPanel
+          track={pinnedWindowed}
+          riskConfig={scoringConfig}
+          nowSec={timeSec}
+          dock={detailDock}
+          onDock={setDetailDock}
+          onClose={() => setPinnedId(null)}
+        />
+      )}
+
+      {leftPanel === "diagnostics" && (
+        <DiagnosticsPanel stats={ingestStats} onClose={() => setLeftPanel(null)} />
+      )}
+      {leftPanel === "conjunctions" && (
+        <ConjunctionsPanel
+          conjunctions={conjunctions}
+          settings={conjSettings}
+          onSettings={setConjSettings}
+          onSelect={selectBalloon}
+          onClose={() => setLeftPanel(null)}
+        />
+      )}
+      {leftPanel === "alerts" && (
+        <AlertsPanel alerts={alerts} fences={fences} onSelect={setPinnedId} onClose={() => setLeftPanel(null)} />
+      )}
+      {leftPanel === "geofences" && (
+        <GeofencePanel
+          fences={fences}
+          setFences={setFences}
+          status={fenceInfo.byFence}
+          drawing={drawing}
+          onDrawStart={(kind) => setDrawing({ kind, pts: [] })}
+          onDrawFinish={finishDrawing}
+          onDrawCancel={() => setDrawing(null)}
+          onSelect={setPinnedId}
+          onClose={() => { setDrawing(null); setLeftPanel(null); }}
+        />
+      )}
 
       {/* Map */}
       <MapContainer
-        center={MAP_CENTER}
-        zoom={2}
+        ref={mapRef}
+        center={[urlView.lat, urlView.lon]}
+        zoom={urlView.zoom}
         style={{ height: "100%", width: "100%" }}
         worldCopyJump
       >
-        <ZoomWatcher onChange={setZoom} />
-        {pinnedLast && <FlyTo center={[pinnedLast.lat, pinnedLast.lon]} zoom={8} />}
+        <MapViewWatcher
+          onChange={(v) => {
+            setZoom(v.zoom);
+            setCenter({ lat: v.lat, lon: v.lon });
+            setMapBounds(v.bounds);
+          }}
+        />
+        <SetView request={mapRequest} />
+        <GeofenceLayer fences={fences} drawing={drawing} onDrawClick={onDrawClick} />
+        {pinnedLast && <FlyTo center={[pinnedLast.lat, pinnedLast.lon]} zoom={8} trigger={flySeq} />}
 
         <TileLayer
           attribution="&copy; OpenStreetMap contributors"
           url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          crossOrigin="anonymous"
         />
 
-        {/* Windowed markers (ensure pinned is included) */}
-        {visibleMarkers.map((tr) => {
-          const pts = tr._winPts;
-          if (!pts?.length) return null;
-          const last = pts[pts.length - 1];
-
-          let speed = tr.driftKmh, bearing = tr.headingDeg;
-          if (pts.length >= 2) {
-            const prev = pts[pts.length - 2];
-            const distM = haversineMeters(
-              { lat: prev.lat, lon: prev.lon },
-              { lat: last.lat, lon: last.lon }
-            );
-            const dtH = Math.max((last.ts - prev.ts) / 3600, 1e-6);
-            speed = distM / 1000 / dtH;
-            bearing = bearingDeg(
-              { lat: prev.lat, lon: prev.lon },
-              { lat: last.lat, lon: last.lon }
-            );
-          }
+        {windLevel && <WindLayer barbs={windBarbs} />}
+
+        {/* Every filtered balloon and track on one canvas; clustered at low zoom */}
+        <CanvasTrackLayer
+          tracks={mapTracks}
+          pinnedId={pinnedId}
+          colorMode={colorMode}
+          rings={fenceRings}
+          importColor={IMPORT_COLOR}
+          clusterBelowZoom={CLUSTER_BELOW_ZOOM}
+          linesFromZoom={TRACKS_ZOOM_VISIBLE}
+          interactive={!drawing}
+          onSelect={setPopupId}
+        />
+        {popupTrack && (
+          <Popup position={popupPosition} eventHandlers={{ remove: () => setPopupId(null) }}>
+            <BalloonPopup
+              tr={popupTrack}
+              pinned={pinnedId === popupTrack.id}
+              onTogglePin={() => setPinnedId(pinnedId === popupTrack.id ? null : popupTrack.id)}
+              forecastH={forecastH}
+              forecast={forecasts[popupTrack.id]}
+              onForecast={() => runForecast(popupTrack, forecastH)}
+            />
+          </Popup>
+        )}
 
-          const normRisk = Math.max(0, Math.min(100, Math.round(tr.risk ?? 0)));
-
-          return (
-            <Marker key={tr.id} position={[last.lat, last.lon]}>
-              <Popup>
-                <div><b>ID:</b> {tr.id}</div>
-                <div><b>Points (window):</b> {pts.length}</div>
-                <div><b>Speed:</b> {speed?.toFixed?.(1) ?? "—"} km/h</div>
-                <div><b>Bearing:</b> {bearing?.toFixed?.(1) ?? "—"}°</div>
-                <div><b>Last seen:</b> {tr._ageLabel}</div>
-                {tr._gapKm > 0 && (
-                  <div><b>Last hop:</b> {tr._gapKm.toFixed(0)} km{tr._gap ? " · GAP" : ""}</div>
-                )}
-                {tr.risk !== undefined ? (
-                  <>
-                    <div><b>Wind 700hPa:</b> {tr.wind700?.toFixed?.(1) ?? "—"} m/s · dir {tr.dir700 ?? "—"}°</div>
-                    <div><b>Wind 500hPa:</b> {tr.wind500?.toFixed?.(1) ?? "—"} m/s · dir {tr.dir500 ?? "—"}°</div>
-                    <div><b>Risk:</b> {normRisk}/100</div>
-                  </>
-                ) : (
-                  <div style={{ color: "#888" }}>Wind/risk not loaded</div>
-                )}
-
-                <div style={{ marginTop: 6 }}>
-                  <button
-                    onClick={() => setPinnedId(pinnedId === tr.id ? null : tr.id)}
-                    style={{
-                      padding: "6px 10px",
-                      borderRadius: 6,
-                      border: "1px solid #444",
-                      background: pinnedId === tr.id ? "#eee" : "#fff",
-                      color: "#000",
-                      cursor: "pointer",
-                    }}
-                  >
-                    {pinnedId === tr.id ? "Unpin" : "Pin"}
-                  </button>
-                </div>
-              </Popup>
-            </Marker>
-          );
-        })}
-
-        {/* Non-pinned polylines (windowed) */}
-        {tracksWindowed.map((tr) => {
-          if (tr.id === pinnedId) return null;
-          if (zoom < TRACKS_ZOOM_VISIBLE) return null;
-          if (!tr._winPts.length) return null;
-          const latlngs = tr._winPts.map((p) => [p.lat, p.lon]);
-          return (
+        {/* Conjunction pairs, drawn the short way round */}
+        {conjSettings.showLines && conjunctions.pairs.map((p) => (
+          <Polyline
+            key={`cj-${p.a}|${p.b}`}
+            positions={[p.aPos, [p.bPos[0], p.aPos[1] + (((p.bPos[1] - p.aPos[1] + 540) % 360) - 180)]]}
+            color={conjunctionColor(p)}
+            weight={2}
+            interactive={false}
+            dashArray={p.within ? null : "4 4"}
+          />
+        ))}
+
+        {/* Forecast cones + predicted paths */}
+        {forecastH > 0 && Object.entries(forecasts).map(([id, f]) =>
+          f?.path ? (
+            <Polygon
+              key={`cone-${id}`}
+              positions={f.cone}
+              pathOptions={{ color: "#7e57c2", weight: 0, fillOpacity: 0.15 }}
+            />
+          ) : null
+        )}
+        {forecastH > 0 && Object.entries(forecasts).map(([id, f]) =>
+          f?.path ? (
             <Polyline
-              key={`line-${tr.id}`}
-              positions={latlngs}
-              opacity={0.25}
-              weight={1.5}
-              dashArray="4 6"
+              key={`fc-${id}`}
+              positions={f.path.map((p) => [p.lat, p.lon])}
+              color="#5e35b1"
+              opacity={0.9}
+              weight={3}
+              dashArray="2 6"
             />
-          );
-        })}
+          ) : null
+        )}
 
         {/* Pinned polyline — uses *windowed* points and draws on top */}
-        {pinnedWindowed?._winPts?.length ? (
+        {pinnedWindowed?._winPts?.length && colorMode === "altitude" ? (
+          altitudeSegments(unwrapLongitudes(pinnedWindowed._winPts)).map((seg, i) => (
+            <Polyline
+              key={`line-${pinnedWindowed.id}-${i}`}
+              positions={seg.positions}
+              color={seg.color}
+              opacity={0.95}
+              weight={5}
+              lineJoin="round"
+              lineCap="round"
+            />
+          ))
+        ) : pinnedWindowed?._winPts?.length ? (
           <Polyline
             key={`line-${pinnedWindowed.id}`}
-            positions={pinnedWindowed._winPts.map((p) => [p.lat, p.lon])}
+            positions={unwrapLongitudes(pinnedWindowed._winPts).map((p) => [p.lat, p.lon])}
             opacity={0.95}
             weight={5}
             color="#ff6b00"
@@ -0,0 +1,166 @@
+// Wind enrichment for the whole fleet, a batch at a time.
+// Picks the most important unenriched balloon (pinned > in view > risk), fills the
+// request with its nearest queued neighbours up to a coordinate budget, paces requests
+// to stay under Open-Meteo's per-minute limit and backs off exponentially on 429.
+import { fetchPointWinds, uncachedCells } from "./openmeteo.js";
+import { bearingDeg, haversineMeters } from "../lib/geo.js";
+import { windMismatchDeg } from "../lib/risk.js";
+import { hasWinds } from "../lib/tracks.js";
+
+const MAX_COORDS = 100;           // coordinates per multi-point request
+const COORD_INTERVAL_MS = 100;    // ≈ 600 coordinates/min (free-tier limit), spread evenly
+const CANDIDATES = 50;            // top-priority pool that a batch is filled from
+const BACKOFF_MIN_MS = 30_000;
+const BACKOFF_MAX_MS = 10 * 60_000;
+const MAX_ATTEMPTS = 3;           // per track position set, for non-429 failures
+
+// Per-fix winds → enriched track fields (winds at each fix + heading-vs-wind of the hop ending there).
+// A missing entry keeps the winds the fix already has (carried over from an earlier pass).
+export function applyPointWinds(tr, pointWinds) {
+  const points = tr.points.map((p, i) => {
+    const q = { ...p, ...pointWinds[i] };
+    const prev = tr.points[i - 1];
+    return { ...q, mismatch: prev ? windMismatchDeg(bearingDeg(prev, p), q) : undefined };
+  });
+  const last = points.at(-1) ?? {};
+  return {
+    points,
+    wind700: last.wind700, dir700: last.dir700, wind500: last.wind500, dir500: last.dir500,
+    enriched: true,
+  };
+}
+
+function inBounds(p, b) {
+  if (!b || !p) return false;
+  const inLon = b.west <= b.east ? p.lon >= b.west && p.lon <= b.east : p.lon >= b.west || p.lon <= b.east;
+  return p.lat >= b.south && p.lat <= b.north && inLon;
+}
+
+export function enrichPriority(t, { pinnedId, bounds } = {}) {
+  return (t.id === pinnedId ? 1e6 : 0) + (inBounds(t.points.at(-1), bounds) ? 1e3 : 0) + (t.risk ?? 0);
+}
+
+// Fixes still without winds: only these go out in a request
+const missingWinds = (t) => t.points.filter((p) => !hasWinds(p));
+
+const positionKey = (t) => `${t.id}@${t.points.length}:${t.points.at(-1)?.ts}`;
+
+/**
+ * @param onPatch    ({ [id]: enrichment }) after each batch; apply only where positions still match
+ * @param onProgress ({ total, done, queued, inFlight, backoffUntil, lastError })
+ * @param fetchWinds (points, { strict }) → per-point winds; injectable for tests
+ */
+export function createEnrichScheduler({ onPatch, onProgress, fetchWinds = fetchPointWinds, costOf = uncachedCells, now = () => Date.now() } = {}) {
+  let queue = [];                    // [{ track, priority }], highest first
+  let context = {};
+  let total = 0, done = 0;
+  const inFlight = new Set();        // track ids
+  const attempts = new Map();        // positionKey → failed attempts
+  let nextAt = 0, backoffMs = 0, backoffUntil = 0, lastError = null;
+  let timer = null, running = false, stopped = false;
+
+  const progress = () =>
+    onProgress?.({ total, done, queued: queue.length, inFlight: inFlight.size, backoffUntil, lastError });
+
+  // Head of the queue plus its nearest neighbours from the candidate pool, within budget
+  function takeBatch() {
+    const pool = queue.slice(0, CANDIDATES);
+    const head = pool[0].track;
+    const anchor = head.points.at(-1);
+    const rest = pool
+      .slice(1)
+      .map((q) => ({ track: q.track, d: haversineMeters(anchor, q.track.points.at(-1)) }))
+      .sort((a, b) => a.d - b.d);
+
+    const batch = [head];
+    let cost = costOf(missingWinds(head));
+    for (const { track } of rest) {
+      const c = costOf(missingWinds(track));
+      if (cost + c > MAX_COORDS) continue;
+      batch.push(track);
+      cost += c;
+    }
+    const ids = new Set(batch.map((t) => t.id));
+    queue = queue.filter((q) => !ids.has(q.track.id));
+    return { batch, cost };
+  }
+
+  function schedule(atMs) {
+    clearTimeout(timer);
+    timer = setTimeout(pump, Math.max(0, atMs - now()));
+  }
+
+  async function pump() {
+    timer = null;
+    if (running || stopped || !queue.length) return progress();
+    const wait = Math.max(nextAt, backoffUntil);
+    if (wait > now()) return schedule(wait);
+
+    running = true;
+    const { batch, cost } = takeBatch();
+    batch.forEach((t) => inFlight.add(t.id));
+    progress();
+
+    const wanted = batch.map(missingWinds);
+    try {
+      const winds = await fetchWinds(wanted.flat(), { strict: true });
+      backoffMs = 0;
+      backoffUntil = 0;
+      lastError = null;
+      const patch = {};
+      let offset = 0;
+      batch.forEach((t, j) => {
+        const w = winds.slice(offset, offset + wanted[j].length);
+        offset += wanted[j].length;
+        if (!w.length || w.some((x) => x && Object.keys(x).length)) {
+          let n = 0;
+          patch[t.id] = applyPointWinds(t, t.points.map((p) => (hasWinds(p) ? undefined : w[n++])));
+        } else {
+          // Nothing came back (network / 5xx): retry later, a bounded number of times
+          const k = positionKey(t);
+          attempts.set(k, (attempts.get(k) ?? 0) + 1);
+        }
+      });
+      if (Object.keys(patch).length) onPatch?.(patch);
+    } catch (e) {
+      // 429: put the batch back and wait, doubling each time
+      backoffMs = Math.min(BACKOFF_MAX_MS, backoffMs ? backoffMs * 2 : BACKOFF_MIN_MS);
+      if (e.retryAfterSec) backoffMs = Math.max(backoffMs, e.retryAfterSec * 1000);
+      backoffUntil = now() + backoffMs;
+      lastError = String(e.message ?? e);
+      if (e.status !== 429) batch.forEach((t) => attempts.set(positionKey(t), (attempts.get(positionKey(t)) ?? 0) + 1));
+      queue = [...queue, ...batch.map((track) => ({ track, priority: enrichPriority(track, context) }))]
+        .sort((a, b) => b.priority - a.priority);
+    } finally {
+      batch.forEach((t) => inFlight.delete(t.id));
+      nextAt = now() + cost * COORD_INTERVAL_MS;
+      running = false;
+    }
+    // The owner re-calls update() with patched tracks; until then keep going on what's queued
+    pump();
+  }
+
+  return {
+    /**
+     * Replace the work list. Tracks already enriched or in flight are skipped;
+     * ctx = { pinnedId, bounds: { south, west, north, east } } for prioritisation.
+     */
+    update(tracks, ctx = context) {
+      context = ctx;
+      total = tracks.length;
+      done = tracks.filter((t) => t.enriched).length;
+      queue = tracks
+        .filter((t) => !t.enriched && t.points?.length && !inFlight.has(t.id) && (attempts.get(positionKey(t)) ?? 0) < MAX_ATTEMPTS)
+        .map((track) => ({ track, priority: enrichPriority(track, ctx) }))
+        .sort((a, b) => b.priority - a.priority);
+      if (!timer && !running) pump();
+      else progress();
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      timer = null;
+      queue = [];
+    },
+  };
+}
@@ -0,0 +1,95 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { createEnrichScheduler, enrichPriority, applyPointWinds } from "./enrichScheduler.js";
+
+const track = (id, lat, lon, extra = {}) => ({
+  id,
+  points: [
+    { lat, lon, ts: 0 },
+    { lat, lon: lon + 1, ts: 3600 },
+  ],
+  ...extra,
+});
+const winds = { wind700: 10, dir700: 270, wind500: 20, dir500: 270 };
+
+afterEach(() => vi.useRealTimers());
+
+describe("enrichPriority", () => {
+  it("ranks pinned, then in view, then by risk", () => {
+    const bounds = { south: -10, north: 10, west: -10, east: 10 };
+    const ctx = { pinnedId: "p", bounds };
+    const pinned = enrichPriority(track("p", 50, 50), ctx);
+    const inView = enrichPriority(track("v", 0, 0, { risk: 10 }), ctx);
+    const risky = enrichPriority(track("r", 50, 50, { risk: 90 }), ctx);
+    expect(pinned).toBeGreaterThan(inView);
+    expect(inView).toBeGreaterThan(risky);
+  });
+});
+
+describe("applyPointWinds", () => {
+  it("attaches per-fix winds and the hop mismatch", () => {
+    // Moving east with a westerly (from 270) → no mismatch
+    const e = applyPointWinds(track("a", 0, 0), [winds, winds]);
+    expect(e.enriched).toBe(true);
+    expect(e.points[1]).toMatchObject({ wind700: 10, mismatch: 0 });
+    expect(e.dir500).toBe(270);
+  });
+});
+
+describe("createEnrichScheduler", () => {
+  it("batches nearby tracks, paces by coordinates and backs off on 429", async () => {
+    vi.useFakeTimers();
+    const calls = [];
+    let limited = true;
+    const fetchWinds = vi.fn(async (points) => {
+      calls.push(points.length);
+      if (limited) {
+        limited = false;
+        throw Object.assign(new Error("429"), { status: 429 });
+      }
+      return points.map(() => winds);
+    });
+    const patches = [];
+    const s = createEnrichScheduler({
+      fetchWinds,
+      costOf: (pts) => pts.length,
+      now: () => Date.now(),
+      onPatch: (p) => patches.push(p),
+    });
+
+    // 60 tracks of 2 points: a batch holds 50 (100 coords), nearest to the head first
+    const tracks = Array.from({ length: 60 }, (_, i) => track(`b${i}`, i, 0, { risk: i }));
+    s.update(tracks);
+    await vi.advanceTimersByTimeAsync(0);
+    expect(fetchWinds).toHaveBeenCalledTimes(1); // rate limited
+
+    await vi.advanceTimersByTimeAsync(29_000);
+    expect(fetchWinds).toHaveBeenCalledTimes(1); // still backing off
+    await vi.advanceTimersByTimeAsync(1_000);
+    expect(fetchWinds).toHaveBeenCalledTimes(2);
+    expect(Object.keys(patches[0])).toHaveLength(50);
+    expect(patches[0].b59).toBeDefined(); // highest risk is the head
+
+    // next batch waits for the 100-coordinate pacing interval
+    await vi.advanceTimersByTimeAsync(9_000);
+    expect(fetchWinds).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(1_000);
+    expect(fetchWinds).toHaveBeenCalledTimes(3);
+    expect(calls).toEqual([100, 100, 20]);
+    s.stop();
+  });
+
+  it("only requests fixes that have no winds yet", async () => {
+    vi.useFakeTimers();
+    const fetchWinds = vi.fn(async (points) => points.map(() => ({ ...winds, dir700: 0 })));
+    const patches = [];
+    const s = createEnrichScheduler({ fetchWinds, costOf: (pts) => pts.length, onPatch: (p) => patches.push(p) });
+    const t = track("a", 0, 0);
+    t.points[0] = { ...t.points[0], ...winds };
+    s.update([t]);
+    await vi.advanceTimersByTimeAsync(0);
+    expect(fetchWinds.mock.calls[0][0]).toEqual([t.points[1]]);
+    expect(patches[0].a.points[0].dir700).toBe(270); // carried winds kept
+    expect(patches[0].a).toMatchObject({ enriched: true, dir700: 0 });
+    s.stop();
+  });
+});
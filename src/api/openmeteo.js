@@ -1,23 +1,156 @@
-export async function fetchWinds(lat, lon) {
+import { windAt } from "../lib/wind.js";
+
+const BASE = "https://api.open-meteo.com/v1/forecast";
+const HOURLY = "windspeed_700hPa,winddirection_700hPa,windspeed_500hPa,winddirection_500hPa";
+
+function seriesUrl(lats, lons, pastDays, forecastDays) {
+  return (
+    `${BASE}?latitude=${lats}&longitude=${lons}&hourly=${HOURLY}` +
+    `&wind_speed_unit=ms&past_days=${pastDays}&forecast_days=${forecastDays}&timeformat=unixtime&timezone=UTC`
+  );
+}
+
+function toSeries(j) {
+  if (!j?.hourly?.time?.length) return null;
+  return {
+    time: j.hourly.time,
+    wind700: j.hourly.windspeed_700hPa ?? [],
+    dir700: j.hourly.winddirection_700hPa ?? [],
+    wind500: j.hourly.windspeed_500hPa ?? [],
+    dir500: j.hourly.winddirection_500hPa ?? [],
+  };
+}
+
+// Winds (m/s, direction FROM) interpolated at unix time ts — defaults to now
+export async function fetchWinds(lat, lon, ts = Math.floor(Date.now() / 1000)) {
+  const series = await fetchWindSeries(lat, lon);
+  return series ? windAt(series, ts) : {}; // 429 / 5xx / network → empty
+}
+
+// Full hourly 700/500 hPa series at a point, times as unix seconds; null on error
+export async function fetchWindSeries(lat, lon, { pastDays = 1, forecastDays = 2 } = {}) {
   try {
-    const url =
-      `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}` +
-      `&hourly=windspeed_700hPa,winddirection_700hPa,windspeed_500hPa,winddirection_500hPa&timezone=UTC`;
+    const r = await fetch(seriesUrl(lat, lon, pastDays, forecastDays), { cache: "no-store" });
+    if (!r.ok) return null;
+    return toSeries(await r.json());
+  } catch {
+    return null;
+  }
+}
 
-    const r = await fetch(url, { cache: "no-store" });
-    if (!r.ok) return {};                // 429 / 5xx → return empty
-    const j = await r.json();
+// Thrown (strict mode only) on HTTP 429, so a scheduler can back off; retryAfterSec from the header if sent
+function rateLimitError(r) {
+  const err = new Error("Open-Meteo rate limit (429)");
+  err.status = 429;
+  const ra = Number(r.headers.get("Retry-After"));
+  err.retryAfterSec = Number.isFinite(ra) && ra > 0 ? ra : null;
+  return err;
+}
 
-    const n = (j.hourly?.time?.length ?? 0);
-    if (!n) return {};
-    const i = n - 1;
-    return {
-      wind500: j.hourly?.windspeed_500hPa?.[i],
-      dir500:  j.hourly?.winddirection_500hPa?.[i],
-      wind700: j.hourly?.windspeed_700hPa?.[i],
-      dir700:  j.hourly?.winddirection_700hPa?.[i],
-    };
+// One request for many points; Open-Meteo answers with one series per coordinate.
+// Returns an array aligned with `coords` (null entries on error). With strict, a 429 throws.
+export async function fetchWindSeriesMulti(coords, { pastDays = 2, forecastDays = 1, strict = false } = {}) {
+  if (!coords.length) return [];
+  let r;
+  try {
+    const lats = coords.map((c) => c.lat.toFixed(2)).join(",");
+    const lons = coords.map((c) => c.lon.toFixed(2)).join(",");
+    r = await fetch(seriesUrl(lats, lons, pastDays, forecastDays), { cache: "no-store" });
+  } catch {
+    return coords.map(() => null);
+  }
+  if (r.status === 429 && strict) throw rateLimitError(r);
+  if (!r.ok) return coords.map(() => null);
+  try {
+    const j = await r.json();
+    const arr = Array.isArray(j) ? j : [j];
+    return coords.map((_, i) => toSeries(arr[i]));
   } catch {
-    return {};                           // network/resource errors → empty
+    return coords.map(() => null);
+  }
+}
+
+// past_days reaching back to sinceSec (Open-Meteo serves at most 92)
+function pastDaysSince(sinceSec) {
+  return Math.min(92, Math.max(1, Math.ceil((Date.now() / 1000 - sinceSec) / 86400)));
+}
+
+// Per-point winds cache: ~0.25° cell + hour → interpolated winds. Bounded, oldest evicted first.
+const POINT_CACHE_MAX = 20000;
+const pointCache = new Map();
+
+const cell = (v) => Math.round(v * 4) / 4;
+
+function cellKey(p) {
+  return `${cell(p.lat)},${cell(p.lon)}`;
+}
+
+function pointKey(p) {
+  return `${cellKey(p)},${Math.floor(p.ts / 3600)}`;
+}
+
+// Distinct cells among the uncached points — what fetchPointWinds would request
+export function uncachedCells(points) {
+  const cells = new Set();
+  for (const p of points) if (!pointCache.has(pointKey(p))) cells.add(cellKey(p));
+  return cells.size;
+}
+
+// Winds at each point's own time and place. Only cache misses go to the network,
+// one coordinate per distinct cell (its series covers every hour), all in one request,
+// reaching back far enough for the oldest miss.
+// Failed lookups and times the series doesn't cover return {} and are not cached;
+// with strict, a 429 throws instead.
+export async function fetchPointWinds(points, { strict = false } = {}) {
+  const out = points.map((p) => pointCache.get(pointKey(p)));
+  const missesByCell = new Map();
+  points.forEach((p, i) => {
+    if (out[i]) return;
+    const k = cellKey(p);
+    if (!missesByCell.has(k)) missesByCell.set(k, []);
+    missesByCell.get(k).push(i);
+  });
+  if (!missesByCell.size) return out;
+
+  const cells = [...missesByCell.values()].map((idx) => ({ lat: cell(points[idx[0]].lat), lon: cell(points[idx[0]].lon) }));
+  const oldest = Math.min(...[...missesByCell.values()].flat().map((i) => points[i].ts));
+  const series = await fetchWindSeriesMulti(cells, { pastDays: pastDaysSince(oldest), strict });
+  [...missesByCell.values()].forEach((idx, k) => {
+    const time = series[k]?.time;
+    for (const i of idx) {
+      const winds = windAt(series[k], points[i].ts);
+      out[i] = winds;
+      if (!time || points[i].ts < time[0] || points[i].ts > time.at(-1)) continue;
+      pointCache.set(pointKey(points[i]), winds);
+      if (pointCache.size > POINT_CACHE_MAX) pointCache.delete(pointCache.keys().next().value);
+    }
+  });
+  return out;
+}
+
+// Hourly series per wind-overlay grid node, cached by node for the session.
+// A cached series is reused while it reaches back to sinceSec; otherwise the node
+// is fetched again with enough past days. Misses go out GRID_MAX_COORDS at a time.
+const GRID_CACHE_MAX = 2000;
+const GRID_MAX_COORDS = 100;
+const gridCache = new Map();
+
+export async function fetchGridSeries(coords, { sinceSec = Date.now() / 1000 - 86400, strict = false } = {}) {
+  const key = (c) => `${c.lat},${c.lon}`;
+  const covers = (s) => s && s.time[0] <= sinceSec;
+  const out = coords.map((c) => (covers(gridCache.get(key(c))) ? gridCache.get(key(c)) : null));
+  const misses = coords.map((c, i) => i).filter((i) => !out[i]);
+  const pastDays = pastDaysSince(sinceSec);
+
+  for (let k = 0; k < misses.length; k += GRID_MAX_COORDS) {
+    const idx = misses.slice(k, k + GRID_MAX_COORDS);
+    const series = await fetchWindSeriesMulti(idx.map((i) => coords[i]), { pastDays, forecastDays: 1, strict });
+    idx.forEach((i, j) => {
+      out[i] = series[j];
+      if (!series[j]) return;
+      gridCache.set(key(coords[i]), series[j]);
+      if (gridCache.size > GRID_CACHE_MAX) gridCache.delete(gridCache.keys().next().value);
+    });
   }
+  return out;
 }
@@ -0,0 +1,41 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { fetchPointWinds } from "./openmeteo.js";
+
+afterEach(() => vi.unstubAllGlobals());
+
+// One hourly series per requested coordinate, covering [t0, t1]
+function stubSeries(t0, t1) {
+  const fetch = vi.fn(async (url) => {
+    const n = new URL(url).searchParams.get("latitude").split(",").length;
+    const time = [];
+    for (let t = t0; t <= t1; t += 3600) time.push(t);
+    const hourly = {
+      time,
+      windspeed_700hPa: time.map(() => 10), winddirection_700hPa: time.map(() => 270),
+      windspeed_500hPa: time.map(() => 20), winddirection_500hPa: time.map(() => 270),
+    };
+    const body = Array.from({ length: n }, () => ({ hourly }));
+    return { ok: true, status: 200, json: async () => (n === 1 ? body[0] : body) };
+  });
+  vi.stubGlobal("fetch", fetch);
+  return fetch;
+}
+
+describe("fetchPointWinds", () => {
+  it("reaches back to the oldest fix and doesn't cache times outside the series", async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const old = now - 5 * 86400 + 600;
+    let fetch = stubSeries(now - 2 * 86400, now);
+    const points = [{ lat: 10, lon: 20, ts: old }, { lat: 10, lon: 20, ts: now - 3600 }];
+    const first = await fetchPointWinds(points);
+    expect(new URL(fetch.mock.calls[0][0]).searchParams.get("past_days")).toBe("5");
+    expect(first[0]).toEqual({});
+    expect(first[1]).toMatchObject({ wind700: 10, dir700: 270 });
+
+    // The uncovered fix is asked for again; the covered one comes from the cache
+    fetch = stubSeries(old - 3600, now);
+    const again = await fetchPointWinds(points);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(again[0]).toMatchObject({ wind500: 20 });
+  });
+});
@@ -0,0 +1,58 @@
+// src/api/snapshotCache.js
+// Hourly snapshots keyed by the absolute hour they describe (unix sec, hour-aligned),
+// kept in memory and mirrored to IndexedDB so a reload doesn't refetch 24 files.
+// Because keys are absolute, an hour rollover simply shifts which key "01" maps to.
+
+const DB_NAME = "windborne-viewer";
+const STORE = "snapshots";
+const KEEP_SEC = (24 + 168 + 2) * 3600; // live window + max archive + slack
+
+function openDb() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  return new Promise((resolve) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: "hour" });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => resolve(null); // private mode etc. → memory only
+  });
+}
+
+function tx(db, mode, fn) {
+  return new Promise((resolve) => {
+    const t = db.transaction(STORE, mode);
+    const out = fn(t.objectStore(STORE));
+    t.oncomplete = () => resolve(out?.result);
+    t.onerror = () => resolve(undefined);
+  });
+}
+
+/**
+ * @returns {{ ready: Promise<void>, get(hour), put(entry), prune(nowSec) }}
+ * entry: { hour, data, etag?, lastModified?, fetchedAt }
+ */
+export function createSnapshotCache() {
+  const mem = new Map();
+  const dbP = openDb();
+
+  const ready = dbP.then(async (db) => {
+    if (!db) return;
+    const all = (await tx(db, "readonly", (s) => s.getAll())) ?? [];
+    for (const e of all) if (!mem.has(e.hour)) mem.set(e.hour, e);
+  });
+
+  return {
+    ready,
+    get: (hour) => mem.get(hour),
+    put(entry) {
+      mem.set(entry.hour, entry);
+      dbP.then((db) => db && tx(db, "readwrite", (s) => s.put(entry)));
+    },
+    prune(nowSec) {
+      const stale = [...mem.keys()].filter((h) => h < nowSec - KEEP_SEC);
+      stale.forEach((h) => mem.delete(h));
+      if (stale.length) {
+        dbP.then((db) => db && tx(db, "readwrite", (s) => stale.forEach((h) => s.delete(h))));
+      }
+    },
+  };
+}
@@ -0,0 +1,192 @@
+// src/api/sources.js
+// Data sources behind fetchLast24h. A source is a plain object:
+//   { kind, label, now(): unix sec, fetchHour(hh): Promise<{ rows, timeSec, timeFrom, via }> }
+// timeSec is the snapshot time of that hour's file, fixed per file: from the response's
+// Last-Modified ("header"), the file's own metadata ("file", "recording") or, failing
+// those, the top of its nominal hour ("nominal"). via says where the rows came from.
+// fetchHour rejects on a missing/failed hour, just like an HTTP error on the live feed.
+// Sources backed by the recording proxy also offer fetchArchive(fromSec, toSec) → [{ hour, data }],
+// where hour is the archived snapshot's own time.
+
+const LIVE_BASE = "/api/windborne/treasure";
+const HISTORY_URL = "/api/history";
+const HOURS = Array.from({ length: 24 }, (_, i) => String(i).padStart(2, "0"));
+
+const wallClock = () => Math.floor(Date.now() / 1000);
+
+// Top of the hour hh hours before nowSec
+const nominalHour = (nowSec, hh) => Math.floor(nowSec / 3600) * 3600 - Number(hh) * 3600;
+
+// A file time further than this from its nominal hour (a redeploy, a copied file) is not the snapshot time
+const TIME_SLACK_SEC = 2 * 3600;
+const plausibleTime = (sec, nominalSec) => Math.abs(sec - nominalSec) <= TIME_SLACK_SEC;
+
+function headerTime(lastModified, hour) {
+  const sec = lastModified ? Math.floor(Date.parse(lastModified) / 1000) : NaN;
+  return plausibleTime(sec, hour) ? { timeSec: sec, timeFrom: "header" } : { timeSec: hour, timeFrom: "nominal" };
+}
+
+// Live WindBorne feed through the proxy. With a snapshot cache (./snapshotCache.js),
+// hours 01–23 come from the cache when present and 00 is revalidated via ETag/Last-Modified.
+export function createLiveSource({ base = LIVE_BASE, historyUrl = HISTORY_URL, cache = null } = {}) {
+  const netStats = { fetched: 0, cached: 0, notModified: 0 };
+
+  return {
+    kind: "live",
+    label: "Live",
+    now: wallClock,
+    netStats,
+    async fetchHour(hh) {
+      const hour = nominalHour(wallClock(), hh);
+      if (cache) await cache.ready;
+      const hit = cache?.get(hour);
+      if (hit && hh !== "00") {
+        netStats.cached++;
+        return { rows: hit.data, ...headerTime(hit.lastModified, hour), via: "cache" };
+      }
+
+      const headers = {};
+      if (hit?.etag) headers["If-None-Match"] = hit.etag;
+      if (hit?.lastModified) headers["If-Modified-Since"] = hit.lastModified;
+      const r = await fetch(`${base}/${hh}.json`, { cache: "no-store", headers });
+      if (r.status === 304 && hit) {
+        netStats.notModified++;
+        return { rows: hit.data, ...headerTime(hit.lastModified, hour), via: "not modified" };
+      }
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+
+      const data = await r.json();
+      const lastModified = r.headers.get("last-modified");
+      netStats.fetched++;
+      cache?.put({
+        hour,
+        data,
+        etag: r.headers.get("etag"),
+        lastModified,
+        fetchedAt: wallClock(),
+      });
+      cache?.prune(wallClock());
+      return { rows: data, ...headerTime(lastModified, hour), via: "network" };
+    },
+    async fetchArchive(fromSec, toSec) {
+      const r = await fetch(`${historyUrl}?from=${fromSec}&to=${toSec}`, { cache: "no-store" });
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      return (await r.json()).hours ?? [];
+    },
+  };
+}
+
+function toSec(v) {
+  if (v == null) return null;
+  const n = Number(v);
+  if (Number.isFinite(n)) return n > 1e12 ? Math.floor(n / 1000) : n;
+  const d = Date.parse(v);
+  return Number.isFinite(d) ? Math.floor(d / 1000) : null;
+}
+
+// Recorded snapshots, replayed with the clock frozen at recording time.
+// fileTimes: { hh: unix sec } from each file's metadata, when known
+function replaySource(hours, recordedAt, label, fileTimes = {}) {
+  return {
+    kind: "replay",
+    label,
+    recordedAt,
+    now: () => recordedAt,
+    async fetchHour(hh) {
+      if (!(hh in hours)) throw new Error(`Missing ${hh}.json in recording`);
+      const nominalSec = recordedAt - Number(hh) * 3600;
+      return plausibleTime(fileTimes[hh], nominalSec)
+        ? { rows: hours[hh], timeSec: fileTimes[hh], timeFrom: "file", via: "replay" }
+        : { rows: hours[hh], timeSec: nominalSec, timeFrom: "recording", via: "replay" };
+    },
+  };
+}
+
+/**
+ * Build a replay source from user-picked files. Accepts either:
+ *  - a folder (or multi-select) of 00.json … 23.json, optionally with meta.json { recordedAt }
+ *  - a single archive JSON: { recordedAt, hours: { "00": [...], … }, times?: { "00": unix sec, … } }
+ * Without an explicit recordedAt the newest file's lastModified is used, and each
+ * file's own lastModified becomes its snapshot time.
+ */
+export async function createReplaySource(fileList) {
+  const files = Array.from(fileList ?? []);
+  if (!files.length) throw new Error("No files selected");
+
+  const byName = Object.fromEntries(files.map((f) => [f.name.toLowerCase(), f]));
+  const hours = {};
+  let recordedAt = null;
+
+  const archive = files.length === 1 && !/^\d{2}\.json$/i.test(files[0].name) ? files[0] : null;
+  if (archive) {
+    const j = JSON.parse(await archive.text());
+    if (!j || typeof j.hours !== "object") throw new Error(`${archive.name} is not a snapshot archive`);
+    Object.assign(hours, j.hours);
+    recordedAt = toSec(j.recordedAt) ?? Math.floor(archive.lastModified / 1000);
+    return replaySource(hours, recordedAt, `Replay: ${archive.name}`, j.times ?? {});
+  }
+
+  let newest = 0;
+  const fileTimes = {};
+  for (const hh of HOURS) {
+    const f = byName[`${hh}.json`];
+    if (!f) continue;
+    hours[hh] = JSON.parse(await f.text());
+    newest = Math.max(newest, f.lastModified);
+    if (f.lastModified) fileTimes[hh] = Math.floor(f.lastModified / 1000);
+  }
+  if (!Object.keys(hours).length) throw new Error("No HH.json snapshot files found");
+  if (byName["meta.json"]) {
+    recordedAt = toSec(JSON.parse(await byName["meta.json"].text())?.recordedAt);
+  }
+  // An explicit recording time beats file mtimes
+  const dir = files[0].webkitRelativePath?.split("/")[0];
+  const label = `Replay: ${dir || `${Object.keys(hours).length} files`}`;
+  if (recordedAt != null) return replaySource(hours, recordedAt, label);
+  return replaySource(hours, Math.floor(newest / 1000), label, fileTimes);
+}
+
+// Deterministic PRNG so a given seed always draws the same fleet
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Synthetic fleet in the same [lat, lon, alt_km] array-row shape as the live feed
+export function createSyntheticSource({ count = 300, seed = 1 } = {}) {
+  const rnd = mulberry32(seed);
+  const fleet = Array.from({ length: count }, () => ({
+    lat: rnd() * 140 - 70,
+    lon: rnd() * 360 - 180,
+    alt: 2 + rnd() * 18,
+    vLat: (rnd() - 0.5) * 0.6,          // degrees / hour
+    vLon: 0.2 + rnd() * 1.2,            // mostly westerly drift
+    vAlt: (rnd() - 0.5) * 0.6,          // km / hour
+    bornH: rnd() < 0.1 ? Math.floor(rnd() * 20) : 24,   // some launch mid-window
+    diesH: rnd() < 0.05 ? Math.floor(rnd() * 20) : -1,  // some go silent
+  }));
+
+  return {
+    kind: "synthetic",
+    label: `Synthetic (${count})`,
+    now: wallClock,
+    async fetchHour(hh) {
+      const h = Number(hh); // hours ago
+      const rows = fleet
+        .filter((b) => h < b.bornH && h > b.diesH)
+        .map((b) => {
+          const lon = ((b.lon - b.vLon * h + 540) % 360) - 180;
+          const lat = Math.max(-85, Math.min(85, b.lat - b.vLat * h));
+          const alt = Math.max(0.5, b.alt - b.vAlt * h);
+          return [Number(lat.toFixed(4)), Number(lon.toFixed(4)), Number(alt.toFixed(3))];
+        });
+      return { rows, timeSec: nominalHour(wallClock(), hh), timeFrom: "nominal", via: "synthetic" };
+    },
+  };
+}
@@ -1,79 +1,183 @@
 // src/api/windborne.js
-const BASE = "/api/windborne/treasure";
+import { linkSnapshots } from "../lib/tracker.js";
+import { validateFix, dedupeFixes, rejectImplausible } from "../lib/quality.js";
+import { createLiveSource } from "./sources.js";
 
-// Accepts object rows and array rows; synthesizes id/ts when missing
-function normalizeRow(row, hourIndex, rowIndex) {
+const REJECT_SAMPLES_MAX = 200; // rejected rows kept verbatim for the diagnostics panel
+
+// Altitude is optional; keep it only when it parses as a finite number (km)
+function toAlt(v) {
+  if (v == null || v === "") return undefined;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : undefined;
+}
+
+// Accepts object rows and array rows ([lat, lon, alt_km]); rows without their own ts take
+// fileSec, the snapshot time of the file they came from.
+// Rows without an id come back with id: null and are linked by the tracker.
+// → { fix } or { reason } (see REJECT_REASONS in lib/quality)
+function normalizeRow(row, fileSec) {
+  let fix;
   if (row && typeof row === "object" && !Array.isArray(row)) {
-    const id = row.id ?? row.balloon_id ?? row.identifier ?? row.name ?? row.ID ?? `b${rowIndex}`;
-    const lat = Number(row.lat ?? row.latitude);
-    const lon = Number(row.lon ?? row.lng ?? row.longitude);
+    const id = row.id ?? row.balloon_id ?? row.identifier ?? row.name ?? row.ID ?? null;
     const tsRaw = row.ts ?? row.timestamp ?? row.time ?? null;
-    const ts = Number.isFinite(Number(tsRaw))
-      ? Number(tsRaw)
-      : Math.floor(Date.now() / 1000) - hourIndex * 3600;
-    if (Number.isFinite(lat) && Number.isFinite(lon)) {
-      return { id: String(id), lat, lon, ts };
-    }
-    return null;
+    fix = {
+      id: id != null ? String(id) : null,
+      lat: num(row.lat ?? row.latitude),
+      lon: num(row.lon ?? row.lng ?? row.longitude),
+      alt: toAlt(row.alt ?? row.altitude ?? row.alt_km),
+      ts: Number.isFinite(Number(tsRaw)) ? Number(tsRaw) : fileSec,
+    };
+  } else if (Array.isArray(row) && row.length >= 2) {
+    fix = { id: null, lat: num(row[0]), lon: num(row[1]), alt: toAlt(row[2]), ts: fileSec };
+  } else {
+    return { reason: "notRow" };
   }
-  if (Array.isArray(row) && row.length >= 2) {
-    const lat = Number(row[0]);
-    const lon = Number(row[1]);
-    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
-    const ts = Math.floor(Date.now() / 1000) - hourIndex * 3600;
-    const id = `b${rowIndex}`;
-    return { id, lat, lon, ts };
+  return validateFix(fix);
+}
+
+// null / "" would otherwise become 0
+function num(v) {
+  return v == null || v === "" ? NaN : Number(v);
+}
+
+// Older hours from the recording proxy's archive, as extra slots after the live 24
+async function fetchArchivedHours(source, nowSec, historyHours) {
+  if (!historyHours || !source.fetchArchive) return { results: [], error: null };
+  const nowHour = Math.floor(nowSec / 3600) * 3600;
+  try {
+    const archived = await source.fetchArchive(nowHour - (24 + historyHours) * 3600, nowHour - 24 * 3600);
+    const results = Array.from({ length: historyHours }, () => ({ status: "rejected" }));
+    for (const { hour, data } of archived) {
+      const k = Math.round((nowHour - hour) / 3600) - 24;
+      if (k >= 0 && k < historyHours) results[k] = { status: "fulfilled", value: data, timeSec: hour, timeFrom: "archive", via: "archive" };
+    }
+    return { results, error: null };
+  } catch (e) {
+    return { results: [], error: String(e.message ?? e) };
   }
-  return null;
 }
 
-export async function fetchLast24h() {
+// Raw hourly files from a source (see ./sources.js — live proxy by default), no parsing.
+// historyHours > 0 extends the window past 24h with archived snapshots when the source has them.
+// The result is structured-clone safe so it can be handed to the ingest worker.
+export async function fetchSnapshots(source = createLiveSource(), { historyHours = 0 } = {}) {
   const hours = Array.from({ length: 24 }, (_, i) => String(i).padStart(2, "0"));
+  const nowSec = source.now();
 
   // ✅ Correct Promise.allSettled mapping (async/await form)
-  const results = await Promise.allSettled(
-    hours.map(async (hh) => {
-      const r = await fetch(`${BASE}/${hh}.json`, { cache: "no-store" });
-      if (!r.ok) throw new Error(`HTTP ${r.status}`);
-      return r.json();
-    })
+  const [live, archive] = await Promise.all([
+    Promise.allSettled(hours.map((hh) => source.fetchHour(hh))),
+    fetchArchivedHours(source, nowSec, historyHours),
+  ]);
+  // index = hours ago; rejection reasons flattened to strings for postMessage
+  const files = live.map((r) => {
+    if (r.status !== "fulfilled") return r;
+    const { rows, timeSec, timeFrom, via } = r.value;
+    return { status: "fulfilled", value: rows, timeSec, timeFrom, via };
+  });
+  const results = [...files, ...archive.results].map((r) =>
+    r.status === "fulfilled" ? r : { status: "rejected", reason: String(r.reason?.message ?? r.reason ?? "") }
   );
+  const archivedHours = archive.results.filter((r) => r.status === "fulfilled").length;
 
+  return { results, nowSec, archivedHours, archiveError: archive.error };
+}
+
+/**
+ * Normalize, validate, link and group raw snapshots → { byId, stats }.
+ * results[k] is the file k hours ago: { status, value: rows, timeSec?, timeFrom?, via? }.
+ * Every point keeps srcHour = k; rows without a ts get the file's timeSec (nominal when absent).
+ * stats.hours[k] describes that file (fetch outcome, snapshot time, provenance and row counts);
+ * stats.rejected counts rejected rows by reason, stats.rejectSamples keeps the first few.
+ * previous: previousIds() of the last pass, so anonymous balloons keep their ids.
+ */
+export function ingestSnapshots({ results, nowSec, archiveError = null, archivedHours = 0 }, { previous } = {}) {
   const byId = {};
+  const anonByHour = results.map(() => []);
+  const rejected = {};
+  const rejectSamples = [];
   let totalRows = 0;
-  let keptRows = 0;
+
+  const hours = results.map((res, k) => ({
+    hoursAgo: k,
+    ok: res.status === "fulfilled" && Array.isArray(res.value),
+    error: res.status !== "fulfilled" ? res.reason || "failed" : Array.isArray(res.value) ? null : "Not an array",
+    timeSec: res.timeSec ?? nowSec - k * 3600,
+    timeFrom: res.timeFrom ?? "nominal",
+    via: res.via ?? null,
+    rows: 0,
+    rejected: 0,
+  }));
+
+  const reject = (reason, sample) => {
+    rejected[reason] = (rejected[reason] ?? 0) + 1;
+    const h = hours[sample.hoursAgo];
+    if (h) h.rejected++;
+    if (rejectSamples.length < REJECT_SAMPLES_MAX) rejectSamples.push({ reason, ...sample });
+  };
 
   results.forEach((res, hourIdx) => {
-    if (res.status !== "fulfilled" || !Array.isArray(res.value)) return;
+    if (!hours[hourIdx].ok) return;
     const arr = res.value;
     totalRows += arr.length;
+    hours[hourIdx].rows = arr.length;
+    const anonSeen = new Set();
 
     arr.forEach((raw, rowIdx) => {
-      const n = normalizeRow(raw, hourIdx, rowIdx);
-      if (!n) return;
-      keptRows++;
-      (byId[n.id] ||= []).push({ lat: n.lat, lon: n.lon, ts: n.ts });
+      const { fix: n, reason } = normalizeRow(raw, hours[hourIdx].timeSec);
+      if (!n) {
+        reject(reason, { hoursAgo: hourIdx, row: rowIdx, value: JSON.stringify(raw)?.slice(0, 120) ?? String(raw) });
+        return;
+      }
+      if (n.id == null) {
+        // The same anonymous fix twice would otherwise start two tracks
+        const key = `${n.lat},${n.lon},${n.alt}`;
+        if (anonSeen.has(key)) {
+          reject("duplicate", { hoursAgo: hourIdx, row: rowIdx, value: JSON.stringify(raw)?.slice(0, 120) });
+          return;
+        }
+        anonSeen.add(key);
+        anonByHour[hourIdx].push({ lat: n.lat, lon: n.lon, alt: n.alt, ts: n.ts, srcHour: hourIdx, row: rowIdx });
+        return;
+      }
+      (byId[n.id] ||= []).push({ lat: n.lat, lon: n.lon, alt: n.alt, ts: n.ts, srcHour: hourIdx });
     });
   });
 
-  // sort & dedupe per id
+  // Link anonymous rows across hours (files are newest-first; the tracker wants oldest-first)
+  const linked = linkSnapshots(anonByHour.slice().reverse(), { previous });
+  Object.assign(byId, linked.byId);
+
+  // Per track: sort, one fix per time, then drop single-fix teleports
   for (const id of Object.keys(byId)) {
-    const seen = new Set();
-    byId[id] = byId[id]
-      .sort((a, b) => a.ts - b.ts)
-      .filter((p) => {
-        const k = `${p.ts}`;
-        if (seen.has(k)) return false;
-        seen.add(k);
-        return true;
-      });
+    const deduped = dedupeFixes(byId[id]);
+    for (let i = 0; i < deduped.duplicates; i++) reject("duplicate", { id, hoursAgo: null });
+    const plausible = rejectImplausible(deduped.points);
+    for (const p of plausible.rejected) {
+      reject("implausibleSpeed", { id, hoursAgo: p.srcHour, value: `${p.lat.toFixed(3)}, ${p.lon.toFixed(3)}` });
+    }
+    if (plausible.points.length) byId[id] = plausible.points;
+    else delete byId[id];
   }
 
+  const rejectedRows = Object.values(rejected).reduce((a, b) => a + b, 0);
   const stats = {
     raw: totalRows,
-    kept: keptRows,
+    kept: totalRows - rejectedRows,
     balloons: Object.keys(byId).length,
+    tracker: linked.stats,
+    archivedHours,
+    archiveError,
+    nowSec,
+    hours,
+    rejected,
+    rejectSamples,
   };
 
   return { byId, stats };
 }
+
+export async function fetchLast24h(source, opts) {
+  return ingestSnapshots(await fetchSnapshots(source, opts));
+}
@@ -0,0 +1,65 @@
+import { describe, it, expect } from "vitest";
+import { fetchSnapshots, ingestSnapshots } from "./windborne.js";
+
+const NOW = 1_700_000_000;
+const ok = (rows) => ({ status: "fulfilled", value: rows });
+
+describe("ingestSnapshots", () => {
+  it("rejects bad rows with reasons and reports each hour", () => {
+    const { byId, stats } = ingestSnapshots({
+      nowSec: NOW,
+      results: [
+        ok([[10, 20, 12], [95, 0, 12], [null, 5], "junk", [10, 20, 12], [10, 200, 12]]),
+        { status: "rejected", reason: "HTTP 404" },
+        ok({ error: "bad" }),
+      ],
+    });
+    expect(stats.rejected).toEqual({ latRange: 1, nonNumeric: 1, notRow: 1, duplicate: 1 });
+    expect(stats.raw).toBe(6);
+    expect(stats.kept).toBe(2);
+    expect(Object.keys(byId)).toHaveLength(2);
+    expect(Object.values(byId).flat().some((p) => p.lon === -160)).toBe(true); // 200° → -160°
+    expect(stats.hours.map((h) => [h.ok, h.error, h.rows, h.rejected])).toEqual([
+      [true, null, 6, 4],
+      [false, "HTTP 404", 0, 0],
+      [false, "Not an array", 0, 0],
+    ]);
+    expect(stats.rejectSamples[0]).toMatchObject({ reason: "latRange", hoursAgo: 0, row: 1, value: "[95,0,12]" });
+  });
+
+  it("drops a teleporting fix from an identified track", () => {
+    const row = (lat, h) => ({ id: "A", lat, lon: 0, ts: NOW - h * 3600 });
+    const { byId, stats } = ingestSnapshots({
+      nowSec: NOW,
+      results: [ok([row(3, 0)]), ok([row(50, 1)]), ok([row(1, 2), row(1, 2)])],
+    });
+    expect(byId.A.map((p) => p.lat)).toEqual([1, 3]);
+    expect(stats.rejected).toEqual({ duplicate: 1, implausibleSpeed: 1 });
+    expect(stats.hours[1].rejected).toBe(1);
+  });
+});
+
+describe("snapshot times", () => {
+  it("stamps rows with their file's time and source hour, nominal where the file has none", async () => {
+    const source = {
+      now: () => NOW,
+      async fetchHour(hh) {
+        if (hh === "02") throw new Error("HTTP 404");
+        const rows = hh === "00" ? [[10, 20, 12], { id: "A", lat: 1, lon: 1, ts: NOW - 600 }] : [[10, 20.1, 12]];
+        if (hh === "03") return { rows, timeSec: null, timeFrom: "nominal", via: "network" };
+        return { rows, timeSec: NOW - Number(hh) * 3600 - 300, timeFrom: "header", via: "network" };
+      },
+    };
+    const snap = await fetchSnapshots(source);
+    expect(snap.results[0]).toMatchObject({ status: "fulfilled", timeSec: NOW - 300, timeFrom: "header", via: "network" });
+    expect(snap.results[2]).toEqual({ status: "rejected", reason: "HTTP 404" });
+
+    const { byId, stats } = ingestSnapshots(snap);
+    expect(byId.A[0]).toMatchObject({ ts: NOW - 600, srcHour: 0 }); // a row's own ts wins
+    const anon = Object.values(byId).find((pts) => pts.length > 2);
+    expect(anon.at(-1)).toMatchObject({ ts: NOW - 300, srcHour: 0 });
+    expect(anon.at(-2)).toMatchObject({ ts: NOW - 3600 - 300, srcHour: 1 });
+    expect(stats.hours[3]).toMatchObject({ ok: true, timeSec: NOW - 3 * 3600, timeFrom: "nominal" });
+    expect(stats.hours[2]).toMatchObject({ ok: false, timeSec: NOW - 2 * 3600, via: null });
+  });
+});
@@ -0,0 +1,153 @@
+// Headless pipeline and CLI commands: the same fetch → ingest → tracks → risk steps
+// the app runs, with output as text for stdout. No React, no worker, no DOM.
+import { fetchSnapshots } from "../api/windborne.js";
+import { fetchPointWinds } from "../api/openmeteo.js";
+import { runIngest } from "../workers/ingest.js";
+import { hasWinds, windowAt } from "../lib/tracks.js";
+import { scoreRisk } from "../lib/risk.js";
+import { EXPORT_FORMATS, exportTracks, toGeoJSON, toCSV } from "../lib/export.js";
+
+const WIND_BATCH = 100; // fixes per Open-Meteo request, as the app's enrichment sends
+
+/**
+ * Winds at each track's newest fix, which is what the wind risk factors read.
+ * Stops at a rate limit; → { tracks, missing } with missing = balloons still without winds.
+ */
+export async function enrichLatestWinds(tracks, fetchWinds = fetchPointWinds) {
+  const out = [...tracks];
+  for (let k = 0; k < out.length; k += WIND_BATCH) {
+    const batch = out.slice(k, k + WIND_BATCH);
+    let winds;
+    try {
+      winds = await fetchWinds(batch.map((t) => t.points.at(-1)), { strict: true });
+    } catch {
+      break; // 429: the rest are scored without winds
+    }
+    batch.forEach((t, i) => {
+      if (!winds[i] || !hasWinds(winds[i])) return;
+      out[k + i] = { ...t, ...winds[i], points: [...t.points.slice(0, -1), { ...t.points.at(-1), ...winds[i] }] };
+    });
+  }
+  return { tracks: out, missing: out.filter((t) => !hasWinds(t)).length };
+}
+
+/**
+ * Fetch and ingest a source → { snapshots, stats, tracks, windsMissing } with risk scored.
+ * winds loads winds at each newest fix first (windsMissing = balloons it couldn't);
+ * without it the wind factors score n/a, as in the app before enrichment lands.
+ * windowH limits each track's output fixes (_winPts) to the last windowH hours and
+ * drops balloons with none in that window.
+ */
+export async function loadFleet(source, { windowH = null, riskConfig, winds = false, fetchWinds } = {}) {
+  const snapshots = await fetchSnapshots(source);
+  let { tracks, stats } = runIngest(snapshots);
+  let windsMissing = null;
+  if (winds) ({ tracks, missing: windsMissing } = await enrichLatestWinds(tracks, fetchWinds));
+  const scored = tracks.map((t) => ({ ...t, ...scoreRisk(t, riskConfig) }));
+  if (windowH == null) return { snapshots, stats, tracks: scored, windsMissing };
+  const windowed = scored
+    .map((t) => ({ ...t, _winPts: windowAt(t.points, stats.nowSec, windowH * 3600).pts }))
+    .filter((t) => t._winPts.length);
+  return { snapshots, stats, tracks: windowed, windsMissing };
+}
+
+const json = (v) => `${JSON.stringify(v, null, 2)}\n`;
+const round = (v, digits) => (v == null || !Number.isFinite(v) ? null : Number(v.toFixed(digits)));
+
+function csv(columns, rows) {
+  const cell = (v) => (v == null ? "" : /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+  return `${[columns, ...rows].map((r) => r.map(cell).join(",")).join("\n")}\n`;
+}
+
+// Raw files as an archive JSON ({ recordedAt, hours, times }) that --dir (and the app's Replay) reads back
+function snapshotArchive(snapshots) {
+  const hours = {}, times = {};
+  snapshots.results.forEach((r, k) => {
+    if (r.status !== "fulfilled" || k > 23) return;
+    const hh = String(k).padStart(2, "0");
+    hours[hh] = r.value;
+    if (r.timeSec != null && r.timeFrom !== "nominal") times[hh] = r.timeSec;
+  });
+  return { recordedAt: snapshots.nowSec, hours, times };
+}
+
+function trackSummary(t) {
+  const pts = (t._winPts ?? t.points).filter((p) => !p.interpolated);
+  return {
+    id: t.id,
+    risk: t.risk ?? null,
+    stale: t._stale,
+    gap: t._gap,
+    ageSec: t._ageSec,
+    driftKmh: round(t.driftKmh, 1),
+    headingDeg: round(t.headingDeg, 1),
+    altKm: round(t.altKm, 3),
+    climbKmh: round(t.climbKmh, 3),
+    points: pts.map(({ lat, lon, alt, ts, srcHour, conf }) => ({ lat, lon, alt, ts, srcHour, conf })),
+  };
+}
+
+const RISK_COLUMNS = ["id", "risk", "lat", "lon", "alt_km", "drift_kmh", "heading_deg", "age_sec", "stale", "gap"];
+
+// Riskiest first; balloons without any scorable factor last
+function byRisk(tracks, top) {
+  const sorted = [...tracks].sort((a, b) => (b.risk ?? -1) - (a.risk ?? -1));
+  return top != null ? sorted.slice(0, top) : sorted;
+}
+
+/**
+ * Each command: { formats, describe, winds?, run(fleet, opts) → text }.
+ * winds: the command scores risk, so winds are loaded first (unless --no-wind).
+ * snapshot only needs the raw files, so it runs on fleet.snapshots.
+ */
+export const COMMANDS = {
+  snapshot: {
+    describe: "raw hourly files as an archive JSON, replayable with --dir or in the app",
+    formats: ["json"],
+    run: ({ snapshots }) => json(snapshotArchive(snapshots)),
+  },
+  tracks: {
+    describe: "linked tracks with drift, altitude and flags",
+    formats: ["json", "csv", "geojson"],
+    run: ({ tracks, stats }, { format }) => {
+      if (format === "csv") return toCSV(tracks);
+      if (format === "geojson") return toGeoJSON(tracks);
+      return json({ nowSec: stats.nowSec, balloons: tracks.length, tracks: tracks.map(trackSummary) });
+    },
+  },
+  risk: {
+    describe: "balloons ranked by risk score, with per-factor contributions",
+    formats: ["json", "csv"],
+    winds: true,
+    run: ({ tracks }, { format, top }) => {
+      const ranked = byRisk(tracks, top);
+      if (format === "csv") {
+        const keys = ranked[0]?.riskFactors.map((f) => f.key) ?? [];
+        return csv(
+          [...RISK_COLUMNS, ...keys.map((k) => `${k}_contribution`)],
+          ranked.map((t) => {
+            const last = t.points.at(-1);
+            const contrib = Object.fromEntries(t.riskFactors.map((f) => [f.key, round(f.contribution, 1)]));
+            return [
+              t.id, t.risk, last.lat, last.lon, round(last.alt, 3), round(t.driftKmh, 1), round(t.headingDeg, 1),
+              t._ageSec, t._stale ? "TRUE" : "FALSE", t._gap ? "TRUE" : "FALSE", ...keys.map((k) => contrib[k]),
+            ];
+          })
+        );
+      }
+      return json(
+        ranked.map((t) => ({
+          id: t.id,
+          risk: t.risk ?? null,
+          position: { lat: t.points.at(-1).lat, lon: t.points.at(-1).lon, alt: t.points.at(-1).alt ?? null },
+          factors: t.riskFactors.map((f) => ({ key: f.key, value: f.value ?? null, contribution: round(f.contribution, 1), detail: f.detail ?? null })),
+        }))
+      );
+    },
+  },
+  export: {
+    describe: "tracks in a GIS format, as the app's Export menu writes them",
+    formats: Object.keys(EXPORT_FORMATS),
+    run: ({ tracks }, { format }) => exportTracks(tracks, format).text,
+  },
+};
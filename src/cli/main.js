@@ -0,0 +1,119 @@
+// windborne-viewer <command> [options]: argument parsing and I/O around ./commands.js.
+import { readFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import { COMMANDS, loadFleet } from "./commands.js";
+import { DEFAULT_FEED_URL, createNodeSource } from "./nodeSource.js";
+
+const OPTIONS = {
+  url: { type: "string" },
+  dir: { type: "string" },
+  synthetic: { type: "boolean", default: false },
+  format: { type: "string", short: "f" },
+  window: { type: "string", short: "w" },
+  top: { type: "string" },
+  "risk-config": { type: "string" },
+  "no-wind": { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+export function usage() {
+  const commands = Object.entries(COMMANDS)
+    .map(([name, c]) => `  ${name.padEnd(10)}${c.describe} (${c.formats.join(" | ")})`)
+    .join("\n");
+  return `Usage: windborne-viewer <command> [options]
+
+Commands:
+${commands}
+
+Source (default: the live feed at ${DEFAULT_FEED_URL}):
+  --url <base>          feed or proxy base URL serving 00.json … 23.json
+  --dir <path>          local snapshot folder (00.json … 23.json, optional meta.json) or archive JSON
+  --synthetic           the synthetic demo fleet
+
+Options:
+  -f, --format <fmt>    output format (first listed is the default)
+  -w, --window <hours>  only fixes from the last <hours> (tracks, risk, export)
+  --top <n>             risk: only the n riskiest balloons
+  --risk-config <file>  risk weights/params JSON ({ weights, params }) as the app stores them
+  --no-wind             risk: skip loading winds from Open-Meteo (wind factors score n/a)
+  -h, --help
+
+Output goes to stdout; errors to stderr with a non-zero exit code.
+`;
+}
+
+function positiveNumber(name, v) {
+  if (v == null) return null;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n <= 0) throw Object.assign(new Error(`--${name} must be a positive number`), { usage: true });
+  return n;
+}
+
+// argv (without node and the script) → { command, opts }; throws with .usage on bad input
+export function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  const [command, ...extra] = positionals;
+  if (values.help || !command) return { command: null, opts: values };
+  const spec = COMMANDS[command];
+  if (!spec) throw Object.assign(new Error(`Unknown command: ${command}`), { usage: true });
+  if (extra.length) throw Object.assign(new Error(`Unexpected argument: ${extra[0]}`), { usage: true });
+
+  const format = values.format ?? spec.formats[0];
+  if (!spec.formats.includes(format)) {
+    throw Object.assign(new Error(`${command} can't write ${format} (use ${spec.formats.join(", ")})`), { usage: true });
+  }
+  if ([values.url, values.dir, values.synthetic || null].filter((v) => v != null).length > 1) {
+    throw Object.assign(new Error("Pick one of --url, --dir and --synthetic"), { usage: true });
+  }
+  return {
+    command,
+    opts: {
+      url: values.url,
+      dir: values.dir,
+      synthetic: values.synthetic,
+      format,
+      windowH: positiveNumber("window", values.window),
+      top: positiveNumber("top", values.top),
+      riskConfigPath: values["risk-config"],
+      noWind: values["no-wind"],
+    },
+  };
+}
+
+/**
+ * Run one command. io: { stdout, stderr } with write(); returns the exit code
+ * (0 ok, 1 failed, 2 usage). fetchWinds replaces the Open-Meteo lookup (tests).
+ */
+export async function main(argv, io = process, { fetchWinds } = {}) {
+  let parsed;
+  try {
+    parsed = parseCommandLine(argv);
+  } catch (e) {
+    io.stderr.write(`${e.message}\n\n${usage()}`);
+    return 2;
+  }
+  if (!parsed.command) {
+    io.stdout.write(usage());
+    return 0;
+  }
+
+  const { command, opts } = parsed;
+  try {
+    const riskConfig = opts.riskConfigPath ? JSON.parse(await readFile(opts.riskConfigPath, "utf8")) : undefined;
+    const source = await createNodeSource(opts);
+    const winds = !!COMMANDS[command].winds && !opts.noWind;
+    const fleet = await loadFleet(source, { windowH: opts.windowH, riskConfig, winds, fetchWinds });
+    const failed = fleet.stats.hours.filter((h) => !h.ok);
+    if (failed.length === fleet.stats.hours.length) throw new Error(`No snapshots could be read (${failed[0]?.error ?? "no files"})`);
+    if (failed.length) io.stderr.write(`warning: ${failed.length} hourly file(s) missing: ${failed.map((h) => `${h.hoursAgo}h (${h.error})`).join(", ")}\n`);
+    if (COMMANDS[command].winds) {
+      const n = winds ? fleet.windsMissing : fleet.tracks.length;
+      if (n) io.stderr.write(`note: no winds for ${n} balloon(s); their wind mismatch and shear score n/a and pull risk down\n`);
+    }
+    io.stdout.write(COMMANDS[command].run(fleet, opts));
+    return 0;
+  } catch (e) {
+    io.stderr.write(`windborne-viewer ${command}: ${e.message ?? e}\n`);
+    return 1;
+  }
+}
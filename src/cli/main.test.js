@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { mkdtemp, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { main, parseCommandLine } from "./main.js";
+
+const NOW = 1_700_000_000;
+let dir;
+
+// Two anonymous balloons drifting east over three hourly files, hour 02 missing
+beforeAll(async () => {
+  dir = await mkdtemp(join(tmpdir(), "wbv-"));
+  const rows = (h) => [[10, 20 - h * 0.5, 12], [-30, 100 - h * 0.2, 15]];
+  await Promise.all([
+    writeFile(join(dir, "00.json"), JSON.stringify(rows(0))),
+    writeFile(join(dir, "01.json"), JSON.stringify(rows(1))),
+    writeFile(join(dir, "03.json"), JSON.stringify(rows(3))),
+    writeFile(join(dir, "meta.json"), JSON.stringify({ recordedAt: NOW })),
+  ]);
+});
+afterAll(() => rm(dir, { recursive: true, force: true }));
+
+// Offline stand-in for Open-Meteo: a northerly at every fix
+const fetchWinds = async (points) => points.map(() => ({ wind700: 10, dir700: 0, wind500: 20, dir500: 0 }));
+
+async function run(...argv) {
+  let out = "", err = "";
+  const io = { stdout: { write: (s) => (out += s) }, stderr: { write: (s) => (err += s) } };
+  const code = await main(argv, io, { fetchWinds });
+  return { code, out, err };
+}
+
+describe("parseCommandLine", () => {
+  it("defaults the format per command and rejects bad input", () => {
+    expect(parseCommandLine(["export", "--dir", "x"]).opts).toMatchObject({ format: "geojson", dir: "x", windowH: null });
+    expect(() => parseCommandLine(["risk", "-f", "kml"])).toThrow(/can't write kml/);
+    expect(() => parseCommandLine(["tracks", "--dir", "x", "--synthetic"])).toThrow(/Pick one/);
+    expect(() => parseCommandLine(["tracks", "-w", "-1"])).toThrow(/--window/);
+    expect(parseCommandLine(["--help"]).command).toBeNull();
+  });
+});
+
+describe("main", () => {
+  it("links tracks from a snapshot folder and warns about missing hours", async () => {
+    const { code, out, err } = await run("tracks", "--dir", dir);
+    expect(code).toBe(0);
+    const j = JSON.parse(out);
+    expect(j).toMatchObject({ nowSec: NOW, balloons: 2 });
+    expect(j.tracks[0].points.map((p) => p.srcHour)).toEqual([3, 1, 0]);
+    expect(j.tracks[0].points.at(-1).ts).toBe(NOW);
+    expect(err).toMatch(/1 hourly file\(s\) missing: 2h/);
+  });
+
+  it("ranks risk, windows exports and round-trips snapshots", async () => {
+    const risk = await run("risk", "--dir", dir, "-f", "csv", "--top", "1");
+    const lines = risk.out.trim().split("\n");
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatch(/^id,risk,lat,lon,alt_km,.*drift_contribution/);
+    expect(risk.err).not.toMatch(/no winds/);
+
+    const geo = JSON.parse((await run("export", "--dir", dir, "-w", "1.5")).out);
+    expect(geo.features.map((f) => f.geometry.coordinates.length)).toEqual([2, 2]);
+
+    const snap = await run("snapshot", "--dir", dir);
+    const archive = join(dir, "archive.json");
+    await writeFile(archive, snap.out);
+    expect(Object.keys(JSON.parse(snap.out).hours)).toEqual(["00", "01", "03"]);
+    expect((await run("tracks", "--dir", archive)).out).toBe((await run("tracks", "--dir", dir)).out);
+  });
+
+  it("loads winds for risk unless told not to", async () => {
+    const factors = (out) => Object.fromEntries(JSON.parse(out)[0].factors.map((f) => [f.key, f]));
+    const windy = factors((await run("risk", "--dir", dir)).out);
+    expect(windy.shear).toMatchObject({ value: 10 / 30, detail: "10.0 m/s" });
+    expect(windy.windMismatch.value).toBeGreaterThan(0);
+
+    const calm = await run("risk", "--dir", dir, "--no-wind");
+    expect(factors(calm.out).shear).toMatchObject({ value: null, detail: "wind not loaded" });
+    expect(calm.err).toMatch(/no winds for 2 balloon\(s\)/);
+  });
+
+  it("exits non-zero with a message when nothing can be read", async () => {
+    const { code, err } = await run("tracks", "--dir", join(dir, "nope"));
+    expect(code).toBe(1);
+    expect(err).toMatch(/^windborne-viewer tracks: /);
+    expect((await run("bogus")).code).toBe(2);
+  });
+});
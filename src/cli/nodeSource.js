@@ -0,0 +1,41 @@
+// Data sources for the headless CLI, built on the browser ones in ../api/sources.js.
+// Local snapshots are read from disk and handed to createReplaySource as File-like objects.
+import { readFile, readdir, stat } from "node:fs/promises";
+import { basename, join } from "node:path";
+import { createLiveSource, createReplaySource, createSyntheticSource } from "../api/sources.js";
+
+export const DEFAULT_FEED_URL = "https://a.windbornesystems.com/treasure";
+
+// Enough of the DOM File interface for createReplaySource
+async function fileLike(path, dirName) {
+  const { mtimeMs } = await stat(path);
+  const name = basename(path);
+  return {
+    name,
+    lastModified: Math.floor(mtimeMs),
+    webkitRelativePath: dirName ? `${dirName}/${name}` : "",
+    text: () => readFile(path, "utf8"),
+  };
+}
+
+/**
+ * path: a folder of 00.json … 23.json (optionally meta.json) or a single archive JSON,
+ * exactly as the app's Replay buttons accept them.
+ */
+export async function createDirectorySource(path) {
+  const info = await stat(path);
+  if (!info.isDirectory()) return createReplaySource([await fileLike(path)]);
+  const names = (await readdir(path)).filter((n) => /^(\d{2}|meta)\.json$/i.test(n));
+  const dirName = basename(path);
+  return createReplaySource(await Promise.all(names.map((n) => fileLike(join(path, n), dirName))));
+}
+
+/**
+ * { dir } → local snapshots; { synthetic } → the synthetic fleet; otherwise the live
+ * feed at url (the WindBorne feed itself, or a deployment's /api/windborne/treasure proxy).
+ */
+export async function createNodeSource({ url = DEFAULT_FEED_URL, dir, synthetic = false } = {}) {
+  if (dir) return createDirectorySource(dir);
+  if (synthetic) return createSyntheticSource();
+  return { ...createLiveSource({ base: url.replace(/\/+$/, "") }), label: url, fetchArchive: undefined };
+}
@@ -0,0 +1,157 @@
+import { useState } from "react";
+import { RULE_TYPES, describeRule } from "../lib/alerts";
+import { fenceRing } from "../lib/geofence";
+
+const btn = { padding: "2px 8px", borderRadius: 6, border: "1px solid #444", background: "#fff", color: "#000", cursor: "pointer" };
+
+// "lat,lon; lat,lon; …" → [[lat, lon], …]
+function parsePolygon(text) {
+  return text
+    .split(";")
+    .map((pair) => pair.split(",").map(Number))
+    .filter((p) => p.length === 2 && p.every(Number.isFinite));
+}
+
+function fmtTime(sec) {
+  return `${new Date(sec * 1000).toISOString().slice(5, 16).replace("T", " ")}Z`;
+}
+
+// Rule editor + event log. alerts = return value of useAlerts()
+export default function AlertsPanel({ alerts, fences = [], onSelect, onClose }) {
+  const { rules, setRules, log, ack, ackAll, clearLog } = alerts;
+  const [type, setType] = useState("riskAbove");
+  const [value, setValue] = useState(RULE_TYPES.riskAbove.defaultValue);
+  const [polyName, setPolyName] = useState("");
+  const [polyText, setPolyText] = useState("");
+  const [fenceId, setFenceId] = useState(""); // "" = custom polygon
+
+  const canNotify = typeof Notification !== "undefined";
+  const [permission, setPermission] = useState(canNotify ? Notification.permission : "unsupported");
+
+  function addRule() {
+    const rule = { id: `r${Date.now()}`, type, enabled: true };
+    if (RULE_TYPES[type].defaultValue != null) rule.value = Number(value);
+    if (type === "entersPolygon") {
+      const fence = fences.find((f) => f.id === fenceId);
+      rule.polygon = fence ? fenceRing(fence) : parsePolygon(polyText);
+      rule.polygonName = fence ? fence.name : polyName || "polygon";
+      if (rule.polygon.length < 3) return;
+    }
+    setRules((rs) => [...rs, rule]);
+  }
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        left: 12,
+        bottom: 24,
+        width: 380,
+        maxHeight: "45vh",
+        overflow: "auto",
+        background: "#111",
+        color: "white",
+        borderRadius: 12,
+        padding: 10,
+        zIndex: 9999,
+        fontSize: 12,
+        boxShadow: "0 6px 20px rgba(0,0,0,0.25)",
+      }}
+      onWheel={(e) => e.stopPropagation()}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <b>Alerts</b>
+        <span style={{ display: "inline-flex", gap: 4 }}>
+          {permission === "default" && (
+            <button style={btn} onClick={() => Notification.requestPermission().then(setPermission)}>
+              Enable notifications
+            </button>
+          )}
+          <button style={btn} onClick={onClose}>Close</button>
+        </span>
+      </div>
+
+      {/* Rules */}
+      <div style={{ marginTop: 6, color: "#bbb" }}>Rules</div>
+      {rules.map((r) => (
+        <div key={r.id} style={{ display: "flex", alignItems: "center", gap: 6 }}>
+          <input
+            type="checkbox"
+            checked={r.enabled}
+            onChange={(e) => setRules((rs) => rs.map((x) => (x.id === r.id ? { ...x, enabled: e.target.checked } : x)))}
+          />
+          <span style={{ flex: 1 }}>{describeRule(r)}</span>
+          <button style={btn} onClick={() => setRules((rs) => rs.filter((x) => x.id !== r.id))}>✕</button>
+        </div>
+      ))}
+
+      <div style={{ display: "flex", gap: 4, marginTop: 4, flexWrap: "wrap" }}>
+        <select
+          value={type}
+          onChange={(e) => {
+            setType(e.target.value);
+            setValue(RULE_TYPES[e.target.value].defaultValue ?? "");
+          }}
+        >
+          {Object.entries(RULE_TYPES).map(([k, t]) => (
+            <option key={k} value={k}>{t.label}</option>
+          ))}
+        </select>
+        {RULE_TYPES[type].defaultValue != null && (
+          <input type="number" value={value} onChange={(e) => setValue(e.target.value)} style={{ width: 60 }} />
+        )}
+        {type === "entersPolygon" && fences.length > 0 && (
+          <select value={fenceId} onChange={(e) => setFenceId(e.target.value)}>
+            <option value="">Custom polygon</option>
+            {fences.map((f) => (
+              <option key={f.id} value={f.id}>{f.name}</option>
+            ))}
+          </select>
+        )}
+        {type === "entersPolygon" && !fenceId && (
+          <>
+            <input placeholder="name" value={polyName} onChange={(e) => setPolyName(e.target.value)} style={{ width: 70 }} />
+            <input
+              placeholder="lat,lon; lat,lon; lat,lon"
+              value={polyText}
+              onChange={(e) => setPolyText(e.target.value)}
+              style={{ width: 170 }}
+            />
+          </>
+        )}
+        <button style={btn} onClick={addRule}>Add rule</button>
+      </div>
+
+      {/* Event log */}
+      <div style={{ display: "flex", justifyContent: "space-between", marginTop: 8, color: "#bbb" }}>
+        <span>Events ({log.length})</span>
+        <span style={{ display: "inline-flex", gap: 4 }}>
+          <button style={btn} onClick={ackAll}>Ack all</button>
+          <button style={btn} onClick={clearLog}>Clear</button>
+        </span>
+      </div>
+      {log.length === 0 && <div style={{ color: "#888" }}>No events yet</div>}
+      {log.map((e) => (
+        <div
+          key={e.id}
+          style={{
+            borderLeft: `3px solid ${e.acked ? "#444" : "#d9534f"}`,
+            paddingLeft: 6,
+            marginTop: 4,
+            opacity: e.acked ? 0.6 : 1,
+          }}
+        >
+          <div style={{ display: "flex", justifyContent: "space-between", gap: 6 }}>
+            <span>
+              <span style={{ color: "#888" }}>{fmtTime(e.ts)}</span>{" "}
+              <a href="#" onClick={(ev) => { ev.preventDefault(); onSelect(e.balloonId); }}>{e.balloonId}</a>{" "}
+              · {e.rule}
+            </span>
+            {!e.acked && <button style={btn} onClick={() => ack(e.id)}>Ack</button>}
+          </div>
+          <div style={{ color: "#bbb" }}>{e.message}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
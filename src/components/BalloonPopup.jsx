@@ -0,0 +1,92 @@
+import { climbRateKmh, fmtAlt, fmtClimb } from "../lib/altitude";
+import TimeChart from "./TimeChart";
+import RiskBreakdown from "./RiskBreakdown";
+import { fmtUtc } from "../lib/playback";
+
+function fmtPos(p) {
+  return `${Math.abs(p.lat).toFixed(2)}°${p.lat >= 0 ? "N" : "S"} ${Math.abs(p.lon).toFixed(2)}°${p.lon >= 0 ? "E" : "W"}`;
+}
+
+// Popup body for one windowed track (see CanvasTrackLayer for how it is opened)
+export default function BalloonPopup({ tr, pinned, onTogglePin, forecastH, forecast, onForecast }) {
+  const pts = tr._winPts;
+  const last = pts[pts.length - 1];
+
+  const speed = Number.isNaN(tr._winSpeed) ? tr.driftKmh : tr._winSpeed;
+  const bearing = Number.isNaN(tr._winBearing) ? tr.headingDeg : tr._winBearing;
+
+  const normRisk = Math.max(0, Math.min(100, Math.round(tr.risk ?? 0)));
+
+  return (
+    <>
+      <div><b>ID:</b> {tr.id}</div>
+      {tr.external && <div><b>Source:</b> imported · {tr.sourceName}</div>}
+      <div><b>Points (window):</b> {pts.length}</div>
+      <div><b>Speed:</b> {speed?.toFixed?.(1) ?? "—"} km/h</div>
+      <div><b>Bearing:</b> {bearing?.toFixed?.(1) ?? "—"}°</div>
+      <div><b>Last seen:</b> {tr._ageLabel}</div>
+      <div><b>Altitude:</b> {fmtAlt(last.alt)} · climb {fmtClimb(climbRateKmh(pts))}</div>
+      <TimeChart data={pts.map((p) => ({ ts: p.ts, v: p.alt }))} unit=" km" color="#4575b4" />
+      {pts.some((p) => p.mismatch != null) && (
+        <>
+          <div><b>Heading vs wind (at each fix):</b></div>
+          <TimeChart data={pts.map((p) => ({ ts: p.ts, v: p.mismatch }))} unit="°" digits={0} color="#d9534f" />
+        </>
+      )}
+      {tr._gapKm > 0 && (
+        <div><b>Last hop:</b> {tr._gapKm.toFixed(0)} km{tr._gap ? " · GAP" : ""}</div>
+      )}
+      {tr._linkConf != null && (
+        <div><b>Link confidence:</b> {tr._linkConf.toFixed(2)}</div>
+      )}
+      {tr.enriched ? (
+        <>
+          {/* Winds at the last *windowed* fix, matched to its time */}
+          <div><b>Wind 700hPa:</b> {(last.wind700 ?? tr.wind700)?.toFixed?.(1) ?? "—"} m/s · dir {last.dir700 ?? tr.dir700 ?? "—"}°</div>
+          <div><b>Wind 500hPa:</b> {(last.wind500 ?? tr.wind500)?.toFixed?.(1) ?? "—"} m/s · dir {last.dir500 ?? tr.dir500 ?? "—"}°</div>
+        </>
+      ) : (
+        <div style={{ color: "#888" }}>Wind not loaded</div>
+      )}
+      <div><b>Risk:</b> {tr.risk !== undefined ? `${normRisk}/100` : "—"}</div>
+      <RiskBreakdown factors={tr.riskFactors} />
+
+      {forecastH > 0 && (() => {
+        const f = forecast;
+        if (f?.pending) return <div style={{ color: "#888" }}>Projecting +{f.hours}h…</div>;
+        if (f?.path) {
+          return (
+            <div style={{ color: "#5e35b1" }}>
+              <b>{f.landfall ? "Predicted landfall:" : `Predicted +${f.hours}h:`}</b>{" "}
+              {fmtPos(f.end)} at {fmtUtc(f.end.ts)} ({f.level} hPa)
+            </div>
+          );
+        }
+        return (
+          <button
+            onClick={onForecast}
+            style={{ marginTop: 4, padding: "4px 8px", borderRadius: 6, border: "1px solid #444", background: "#fff", color: "#000", cursor: "pointer" }}
+          >
+            {f?.failed ? "Forecast failed — retry" : `Project +${forecastH}h`}
+          </button>
+        );
+      })()}
+
+      <div style={{ marginTop: 6 }}>
+        <button
+          onClick={onTogglePin}
+          style={{
+            padding: "6px 10px",
+            borderRadius: 6,
+            border: "1px solid #444",
+            background: pinned ? "#eee" : "#fff",
+            color: "#000",
+            cursor: "pointer",
+          }}
+        >
+          {pinned ? "Unpin" : "Pin"}
+        </button>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,50 @@
+// Minimal SVG bar chart, the TimeChart of categorical/binned data.
+// bars: [{ label, v, color?, title? }]; labels are drawn under the first, middle and last bar.
+export default function BarChart({
+  bars,
+  width = 220,
+  height = 90,
+  color = "#1f77b4",
+  unit = "",
+}) {
+  if (!bars.length) {
+    return <div style={{ fontSize: 11, color: "#888" }}>No data</div>;
+  }
+
+  const pad = { l: 34, r: 4, t: 4, b: 14 };
+  const vMax = Math.max(1, ...bars.map((b) => b.v));
+  const slot = (width - pad.l - pad.r) / bars.length;
+  const y = (v) => pad.t + (1 - v / vMax) * (height - pad.t - pad.b);
+  const labelled = new Set([0, Math.floor((bars.length - 1) / 2), bars.length - 1]);
+
+  return (
+    <svg width={width} height={height} style={{ display: "block", fontSize: 9 }}>
+      <line x1={pad.l} x2={pad.l} y1={pad.t} y2={height - pad.b} stroke="#999" />
+      <line x1={pad.l} x2={width - pad.r} y1={height - pad.b} y2={height - pad.b} stroke="#999" />
+      <text x={pad.l - 3} y={pad.t + 7} textAnchor="end" fill="#666">{vMax}{unit}</text>
+      <text x={pad.l - 3} y={height - pad.b} textAnchor="end" fill="#666">0{unit}</text>
+      {bars.map((b, i) => (
+        <rect
+          key={i}
+          x={pad.l + i * slot + (slot > 4 ? 1 : 0)}
+          y={y(b.v)}
+          width={Math.max(1, slot - (slot > 4 ? 2 : 0))}
+          height={height - pad.b - y(b.v)}
+          fill={b.color ?? color}
+        >
+          <title>{b.title ?? `${b.label}: ${b.v}${unit}`}</title>
+        </rect>
+      ))}
+      {[...labelled].map((i) => {
+        // First and last labels hug the axis ends so they aren't clipped
+        const anchor = bars.length === 1 ? "middle" : i === 0 ? "start" : i === bars.length - 1 ? "end" : "middle";
+        const x = anchor === "start" ? pad.l : anchor === "end" ? width - pad.r : pad.l + (i + 0.5) * slot;
+        return (
+          <text key={`l${i}`} x={x} y={height - 2} textAnchor={anchor} fill="#666">
+            {bars[i].label}
+          </text>
+        );
+      })}
+    </svg>
+  );
+}
@@ -0,0 +1,219 @@
+import { useEffect, useRef } from "react";
+import { useMap } from "react-leaflet";
+import L from "leaflet";
+import { clusterPoints, riskColor } from "../lib/cluster";
+import { altitudeColor } from "../lib/altitude";
+import { unwrapLongitudes } from "../lib/quality";
+
+// All balloon markers, clusters and track lines on one canvas, redrawn per frame
+// instead of one Leaflet layer per balloon. Sits between overlays and popups.
+const PANE = "balloonCanvas";
+const MARKER_R = 5;
+const HIT_SLOP_PX = 4;
+const LINE_COLOR = "#3388ff";
+
+function clusterRadius(count) {
+  return 10 + 4 * Math.log2(count);
+}
+
+/**
+ * tracks: windowed tracks (_winPts) to draw; rings: { id: color } for fence highlights.
+ * Below clusterBelowZoom fleet balloons are clustered; lines appear from linesFromZoom.
+ * onSelect(id) when a balloon is clicked; clicking a cluster zooms into it.
+ */
+export default function CanvasTrackLayer({
+  tracks, pinnedId, colorMode, rings, importColor, clusterBelowZoom, linesFromZoom, interactive = true, onSelect,
+}) {
+  const map = useMap();
+  const propsRef = useRef(null);
+  propsRef.current = { tracks, pinnedId, colorMode, rings, importColor, clusterBelowZoom, linesFromZoom, interactive, onSelect };
+  const drawRef = useRef(null);
+
+  useEffect(() => {
+    const pane = map.getPane(PANE) ?? map.createPane(PANE);
+    pane.style.zIndex = 450;
+    pane.style.pointerEvents = "none";
+    const canvas = L.DomUtil.create("canvas", "leaflet-zoom-hide", pane);
+    let hits = []; // [{ x, y, r, id?, cluster? }] in container px, topmost last
+    let frame = null;
+
+    function draw() {
+      frame = null;
+      const p = propsRef.current;
+      const size = map.getSize();
+      const dpr = window.devicePixelRatio || 1;
+      L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+      canvas.width = size.x * dpr;
+      canvas.height = size.y * dpr;
+      canvas.style.width = `${size.x}px`;
+      canvas.style.height = `${size.y}px`;
+      const ctx = canvas.getContext("2d");
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, size.x, size.y);
+      hits = [];
+
+      const zoom = map.getZoom();
+      const worldW = 256 * 2 ** zoom;
+      const toPx = (pt) => map.latLngToContainerPoint([pt.lat, pt.lon]);
+      // Copies of the world one turn either side, for low zooms and worldCopyJump
+      const offsets = [-worldW, 0, worldW].filter((dx) => dx === 0 || worldW < size.x * 2);
+
+      /** ---------- Lines ---------- **/
+      const showLines = zoom >= p.linesFromZoom;
+      for (const t of p.tracks) {
+        if (t.id === p.pinnedId || t._winPts.length < 2 || !(showLines || t.external)) continue;
+        const px = unwrapLongitudes(t._winPts).map(toPx); // no streaks across the antimeridian
+        for (const dx of offsets) {
+          if (t.external) {
+            ctx.setLineDash([]);
+            ctx.globalAlpha = 0.8;
+            ctx.lineWidth = 2.5;
+            ctx.strokeStyle = p.importColor;
+          } else if (p.colorMode === "altitude") {
+            ctx.setLineDash([]);
+            ctx.globalAlpha = 0.6;
+            ctx.lineWidth = 2;
+            for (let i = 1; i < px.length; i++) {
+              const a = t._winPts[i - 1], b = t._winPts[i];
+              ctx.strokeStyle = altitudeColor(a.alt != null && b.alt != null ? (a.alt + b.alt) / 2 : (b.alt ?? a.alt));
+              ctx.beginPath();
+              ctx.moveTo(px[i - 1].x + dx, px[i - 1].y);
+              ctx.lineTo(px[i].x + dx, px[i].y);
+              ctx.stroke();
+            }
+            continue;
+          } else {
+            ctx.setLineDash([4, 6]);
+            ctx.globalAlpha = 0.25;
+            ctx.lineWidth = 1.5;
+            ctx.strokeStyle = LINE_COLOR;
+          }
+          ctx.beginPath();
+          px.forEach((q, i) => (i ? ctx.lineTo(q.x + dx, q.y) : ctx.moveTo(q.x + dx, q.y)));
+          ctx.stroke();
+        }
+      }
+      ctx.setLineDash([]);
+      ctx.globalAlpha = 1;
+
+      /** ---------- Markers / clusters ---------- **/
+      const singles = [];
+      const clustered = [];
+      for (const t of p.tracks) {
+        if (!t._winPts.length) continue;
+        if (t.external || t.id === p.pinnedId || zoom >= p.clusterBelowZoom) singles.push(t);
+        else clustered.push(t);
+      }
+      const byId = new Map(clustered.map((t) => [t.id, t]));
+      const clusters = clusterPoints(
+        clustered.map((t) => ({ id: t.id, lat: t._winPts.at(-1).lat, lon: t._winPts.at(-1).lon, risk: t.risk })),
+        zoom
+      );
+      for (const c of clusters) {
+        if (c.count === 1) singles.push(byId.get(c.ids[0]));
+        else drawCluster(ctx, c);
+      }
+      // Pinned last, so it sits on top
+      singles.sort((a, b) => (a.id === p.pinnedId) - (b.id === p.pinnedId));
+      for (const t of singles) drawMarker(ctx, t);
+
+      function drawCluster(ctx, c) {
+        const r = clusterRadius(c.count);
+        const q = toPx(c);
+        for (const dx of offsets) {
+          const x = q.x + dx;
+          if (x < -r || x > size.x + r) continue;
+          ctx.beginPath();
+          ctx.arc(x, q.y, r, 0, 2 * Math.PI);
+          ctx.fillStyle = riskColor(c.maxRisk);
+          ctx.globalAlpha = 0.85;
+          ctx.fill();
+          ctx.globalAlpha = 1;
+          ctx.lineWidth = 2;
+          ctx.strokeStyle = "#fff";
+          ctx.stroke();
+          ctx.fillStyle = "#fff";
+          ctx.font = "bold 11px sans-serif";
+          ctx.textAlign = "center";
+          ctx.textBaseline = "middle";
+          ctx.fillText(String(c.count), x, q.y);
+          hits.push({ x, y: q.y, r, cluster: c });
+        }
+      }
+
+      function drawMarker(ctx, t) {
+        const pinned = t.id === p.pinnedId;
+        const r = pinned ? MARKER_R + 2 : MARKER_R;
+        const q = toPx(t._winPts.at(-1));
+        for (const dx of offsets) {
+          const x = q.x + dx;
+          if (x < -20 || x > size.x + 20) continue;
+          const ring = p.rings[t.id];
+          if (ring) {
+            ctx.beginPath();
+            ctx.arc(x, q.y, 12, 0, 2 * Math.PI);
+            ctx.lineWidth = 3;
+            ctx.strokeStyle = ring;
+            ctx.stroke();
+          }
+          ctx.beginPath();
+          ctx.arc(x, q.y, r, 0, 2 * Math.PI);
+          ctx.fillStyle = t.external ? p.importColor : t._stale ? "#888" : riskColor(t.risk);
+          ctx.fill();
+          ctx.lineWidth = pinned ? 3 : 1.5;
+          ctx.strokeStyle = pinned ? "#ff6b00" : "#fff";
+          ctx.stroke();
+          hits.push({ x, y: q.y, r, id: t.id });
+        }
+      }
+    }
+
+    const schedule = () => {
+      if (frame == null) frame = requestAnimationFrame(draw);
+    };
+
+    function hitAt(pt) {
+      for (let i = hits.length - 1; i >= 0; i--) {
+        const h = hits[i];
+        if (Math.hypot(h.x - pt.x, h.y - pt.y) <= h.r + HIT_SLOP_PX) return h;
+      }
+      return null;
+    }
+
+    function onClick(e) {
+      const p = propsRef.current;
+      if (!p.interactive) return;
+      const h = hitAt(e.containerPoint);
+      if (!h) return;
+      if (h.cluster) map.setView([h.cluster.lat, h.cluster.lon], Math.min(map.getZoom() + 2, p.clusterBelowZoom));
+      else p.onSelect(h.id);
+    }
+
+    function onMouseMove(e) {
+      const over = propsRef.current.interactive && hitAt(e.containerPoint);
+      map.getContainer().style.cursor = over ? "pointer" : "";
+    }
+
+    map.on("moveend zoomend resize viewreset", schedule);
+    map.on("click", onClick);
+    map.on("mousemove", onMouseMove);
+    drawRef.current = schedule;
+    schedule();
+
+    return () => {
+      map.off("moveend zoomend resize viewreset", schedule);
+      map.off("click", onClick);
+      map.off("mousemove", onMouseMove);
+      if (frame != null) cancelAnimationFrame(frame);
+      canvas.remove();
+      drawRef.current = null;
+    };
+  }, [map]);
+
+  // Redraw on any data/style change
+  useEffect(() => {
+    drawRef.current?.();
+  });
+
+  return null;
+}
@@ -0,0 +1,100 @@
+import { CONJUNCTION_HORIZONS_H, conjunctionColor } from "../lib/proximity";
+
+const btn = { padding: "2px 8px", borderRadius: 6, border: "1px solid #444", background: "#fff", color: "#000", cursor: "pointer" };
+const cell = { padding: "1px 6px", borderBottom: "1px solid #222", textAlign: "left" };
+const MAX_ROWS = 200;
+
+/**
+ * Balloon pairs that are within settings.radiusKm or converging on it within
+ * settings.horizonH (findConjunctions result). Clicking a balloon selects it.
+ */
+export default function ConjunctionsPanel({ conjunctions, settings, onSettings, onSelect, onClose }) {
+  const { pairs } = conjunctions;
+  const set = (patch) => onSettings({ ...settings, ...patch });
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        left: 12,
+        bottom: 24,
+        width: 440,
+        maxHeight: "45vh",
+        overflow: "auto",
+        background: "#111",
+        color: "white",
+        borderRadius: 12,
+        padding: 10,
+        zIndex: 9999,
+        fontSize: 12,
+        boxShadow: "0 6px 20px rgba(0,0,0,0.25)",
+      }}
+      onWheel={(e) => e.stopPropagation()}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <b>Conjunctions</b>
+        <button style={btn} onClick={onClose}>Close</button>
+      </div>
+
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginTop: 6 }}>
+        <label>
+          Within{" "}
+          <input
+            type="number"
+            min={1}
+            value={settings.radiusKm}
+            onChange={(e) => Number(e.target.value) > 0 && set({ radiusKm: Number(e.target.value) })}
+            style={{ width: 56 }}
+          />{" "}
+          km
+        </label>
+        <label>
+          Look ahead{" "}
+          <select value={settings.horizonH} onChange={(e) => set({ horizonH: Number(e.target.value) })}>
+            {CONJUNCTION_HORIZONS_H.map((h) => (
+              <option key={h} value={h}>{h}h</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <input type="checkbox" checked={settings.showLines} onChange={(e) => set({ showLines: e.target.checked })} /> Lines on map
+        </label>
+      </div>
+      <div style={{ color: "#888", marginTop: 4 }}>
+        Straight-line projection of each balloon's current drift; stale balloons are skipped.
+      </div>
+
+      {pairs.length === 0 ? (
+        <div style={{ color: "#888", marginTop: 6 }}>No pairs within {settings.radiusKm} km</div>
+      ) : (
+        <table style={{ borderCollapse: "collapse", marginTop: 6, width: "100%" }}>
+          <thead>
+            <tr style={{ color: "#bbb" }}>
+              <th style={cell}>Pair</th>
+              <th style={cell}>Now</th>
+              <th style={cell}>Closest</th>
+              <th style={cell}>In</th>
+              <th style={cell}>Closing</th>
+            </tr>
+          </thead>
+          <tbody>
+            {pairs.slice(0, MAX_ROWS).map((p) => (
+              <tr key={`${p.a}|${p.b}`}>
+                <td style={{ ...cell, color: conjunctionColor(p) }}>
+                  <button style={btn} onClick={() => onSelect(p.a)}>{p.a}</button> ↔{" "}
+                  <button style={btn} onClick={() => onSelect(p.b)}>{p.b}</button>
+                  {p.mutualNearest && <span title="Each other's nearest neighbour"> · NN</span>}
+                </td>
+                <td style={cell}>{p.distKm.toFixed(0)} km</td>
+                <td style={cell}>{p.cpaKm.toFixed(0)} km</td>
+                <td style={cell}>{p.tcpaH > 0 ? `${p.tcpaH.toFixed(1)}h` : "now"}</td>
+                <td style={cell}>{p.closingKmh > 0 ? `${p.closingKmh.toFixed(0)} km/h` : "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {pairs.length > MAX_ROWS && <div style={{ color: "#888" }}>Showing the closest {MAX_ROWS} of {pairs.length}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import { useMemo, useState } from "react";
+import TimeChart from "./TimeChart";
+import { pointHistory, trackSummary, unwrapDegrees } from "../lib/trackStats";
+import { fmtAge } from "../lib/tracks";
+import { fmtAlt } from "../lib/altitude";
+import { fmtUtc } from "../lib/playback";
+
+const btn = { padding: "2px 8px", borderRadius: 6, border: "1px solid #444", background: "#fff", color: "#000", cursor: "pointer" };
+
+// Dock positions; the watchlist keeps the right-hand 344 px
+const DOCKS = {
+  bottom: { left: 12, right: 344, bottom: 24, maxHeight: "40vh" },
+  right: { right: 344, top: 12, width: 250, maxHeight: "90vh" },
+};
+
+const CHARTS = [
+  { key: "speed", label: "Speed", unit: " km/h", digits: 0, color: "#1f77b4" },
+  { key: "heading", label: "Heading", unit: "°", digits: 0, color: "#9467bd", wrap: 360 },
+  { key: "alt", label: "Altitude", unit: " km", digits: 1, color: "#4575b4" },
+  { key: "risk", label: "Risk", unit: "", digits: 0, color: "#d9534f" },
+  { key: "mismatch", label: "Wind mismatch", unit: "°", digits: 0, color: "#ff7f0e" },
+];
+
+// Angles are unwrapped so a turn through north doesn't plot as a full-height spike
+function series(rows, { key, wrap }) {
+  const vs = rows.map((h) => h[key]);
+  const ys = wrap ? unwrapDegrees(vs) : vs;
+  return rows.map((h, i) => ({ ts: h.ts, v: ys[i] }));
+}
+
+function Stat({ label, value }) {
+  return (
+    <div>
+      <div style={{ color: "#888", fontSize: 11 }}>{label}</div>
+      <div>{value}</div>
+    </div>
+  );
+}
+
+/**
+ * Pinned balloon: per-fix charts and totals over its windowed fixes.
+ * History is taken from the whole track so the window's first hop has a predecessor.
+ */
+export default function DetailPanel({ track, riskConfig, nowSec, dock, onDock, onClose }) {
+  const [collapsed, setCollapsed] = useState(false);
+  const history = useMemo(() => pointHistory(track.points, riskConfig), [track.points, riskConfig]);
+
+  // Fixes only: playback's interpolated head is not a measurement
+  const fixes = track._winPts.filter((p) => !p.interpolated);
+  const from = fixes[0]?.ts, to = fixes.at(-1)?.ts;
+  const rows = from == null ? [] : history.filter((h) => h.ts >= from && h.ts <= to);
+  // "Since first fix" counts from the balloon's first fix, not the window's
+  const s = trackSummary(fixes, nowSec, track.points.find((p) => !p.interpolated));
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        ...(DOCKS[dock] ?? DOCKS.bottom),
+        overflow: "auto",
+        background: "#111",
+        color: "white",
+        borderRadius: 12,
+        padding: 10,
+        zIndex: 9998,
+        boxShadow: "0 6px 20px rgba(0,0,0,0.25)",
+        fontSize: 12,
+      }}
+      onWheel={(e) => e.stopPropagation()}
+    >
+      <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+        <b style={{ flex: 1 }}>
+          {track.id}
+          {track.external && <span style={{ color: "#888", fontWeight: 400 }}> · {track.sourceName}</span>}
+        </b>
+        {Object.keys(DOCKS).map((d) => (
+          <button key={d} style={{ ...btn, background: dock === d ? "#eee" : "#fff" }} onClick={() => onDock(d)} title={`Dock ${d}`}>
+            {d === "bottom" ? "▁" : "▕"}
+          </button>
+        ))}
+        <button style={btn} onClick={() => setCollapsed((c) => !c)}>{collapsed ? "▸" : "▾"}</button>
+        <button style={btn} onClick={onClose} title="Unpin">✕</button>
+      </div>
+
+      {!collapsed && (
+        <>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(110px, 1fr))", gap: 6, margin: "8px 0" }}>
+            <Stat label="Distance" value={`${s.distanceKm.toFixed(0)} km`} />
+            <Stat label="Mean drift" value={s.meanDriftKmh != null ? `${s.meanDriftKmh.toFixed(0)} km/h` : "—"} />
+            <Stat label="Max hop" value={`${s.maxHopKm.toFixed(0)} km`} />
+            <Stat label="Gaps" value={s.gaps} />
+            <Stat label="Fixes" value={s.fixes} />
+            <Stat label="Since first fix" value={fmtAge(s.sinceFirstSec)} />
+            <Stat label="First fix" value={s.firstTs != null ? fmtUtc(s.firstTs) : "—"} />
+            <Stat label="Altitude" value={s.altMin != null ? `${fmtAlt(s.altMin)} – ${fmtAlt(s.altMax)}` : "—"} />
+          </div>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+            {CHARTS.map((c) => (
+              <div key={c.key} style={{ background: "#fff", borderRadius: 6, padding: 4, color: "#000" }}>
+                <div style={{ fontSize: 11 }}>{c.label}</div>
+                <TimeChart
+                  data={series(rows, c)}
+                  unit={c.unit}
+                  digits={c.digits}
+                  color={c.color}
+                  wrap={c.wrap}
+                />
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+import { REJECT_REASONS } from "../lib/quality";
+import { fmtUtc } from "../lib/playback";
+
+const btn = { padding: "2px 8px", borderRadius: 6, border: "1px solid #444", background: "#fff", color: "#000", cursor: "pointer" };
+const cell = { padding: "1px 6px", borderBottom: "1px solid #222", textAlign: "left" };
+
+// "2024-05-01 11:00Z (header, cache)"
+function provenance(h) {
+  const via = [h.timeFrom, h.via].filter(Boolean).join(", ");
+  return `${h.timeSec != null ? fmtUtc(h.timeSec) : "—"}${via ? ` (${via})` : ""}`;
+}
+
+function hourColor(h) {
+  if (!h.ok) return "#d9534f";
+  if (h.rejected) return "#f0ad4e";
+  return "#5cb85c";
+}
+
+/**
+ * Ingest diagnostics from the last load pass: per-hour fetch outcome and provenance, rejected
+ * rows by reason and a sample of the rejected rows themselves (stats from ingestSnapshots).
+ */
+export default function DiagnosticsPanel({ stats, onClose }) {
+  const hours = stats?.hours ?? [];
+  const failed = hours.filter((h) => !h.ok);
+  const nominal = hours.filter((h) => h.ok && h.timeFrom === "nominal").length;
+  const reasons = Object.entries(stats?.rejected ?? {}).sort((a, b) => b[1] - a[1]);
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        left: 12,
+        bottom: 24,
+        width: 420,
+        maxHeight: "45vh",
+        overflow: "auto",
+        background: "#111",
+        color: "white",
+        borderRadius: 12,
+        padding: 10,
+        zIndex: 9999,
+        fontSize: 12,
+        boxShadow: "0 6px 20px rgba(0,0,0,0.25)",
+      }}
+      onWheel={(e) => e.stopPropagation()}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <b>Ingest diagnostics</b>
+        <button style={btn} onClick={onClose}>Close</button>
+      </div>
+      {!stats && <div style={{ color: "#888", marginTop: 6 }}>No load yet</div>}
+
+      {stats && (
+        <>
+          <div style={{ marginTop: 6 }}>
+            Rows: {stats.kept}/{stats.raw} kept · {stats.raw - stats.kept} rejected · {stats.balloons} balloons
+            <br />
+            Tracker: {stats.tracker?.births ?? "—"} births · {stats.tracker?.deaths ?? "—"} deaths · {stats.tracker?.ambiguous ?? "—"} ambiguous
+            {stats.archiveError && <div style={{ color: "#ff5555" }}>Archive: {stats.archiveError}</div>}
+          </div>
+
+          {/* One cell per hourly file, newest first */}
+          <div style={{ marginTop: 8, color: "#bbb" }}>Hourly files (hours ago)</div>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 2, marginTop: 2 }}>
+            {hours.map((h) => (
+              <span
+                key={h.hoursAgo}
+                title={`${h.hoursAgo}h ago · ${provenance(h)}: ${h.ok ? `${h.rows} rows, ${h.rejected} rejected` : h.error}`}
+                style={{ width: 22, textAlign: "center", borderRadius: 3, background: hourColor(h), color: "#000", fontSize: 10 }}
+              >
+                {h.hoursAgo}
+              </span>
+            ))}
+          </div>
+          {nominal > 0 && (
+            <div style={{ color: "#888", marginTop: 2 }}>
+              {nominal} file{nominal > 1 ? "s" : ""} without a snapshot time, placed on the hour
+            </div>
+          )}
+          {failed.length > 0 && (
+            <table style={{ borderCollapse: "collapse", marginTop: 4 }}>
+              <tbody>
+                {failed.map((h) => (
+                  <tr key={h.hoursAgo}>
+                    <td style={cell}>{h.hoursAgo}h ago</td>
+                    <td style={cell}>{provenance(h)}</td>
+                    <td style={{ ...cell, color: "#ff5555" }}>{h.error}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <div style={{ marginTop: 8, color: "#bbb" }}>Rejected rows by reason</div>
+          {reasons.length === 0 && <div style={{ color: "#888" }}>None</div>}
+          <table style={{ borderCollapse: "collapse" }}>
+            <tbody>
+              {reasons.map(([k, n]) => (
+                <tr key={k}>
+                  <td style={cell}>{REJECT_REASONS[k] ?? k}</td>
+                  <td style={{ ...cell, textAlign: "right" }}>{n}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {stats.rejectSamples?.length > 0 && (
+            <>
+              <div style={{ marginTop: 8, color: "#bbb" }}>
+                Rejected rows{stats.rejectSamples.length < stats.raw - stats.kept ? ` (first ${stats.rejectSamples.length})` : ""}
+              </div>
+              <table style={{ borderCollapse: "collapse", width: "100%" }}>
+                <thead>
+                  <tr style={{ color: "#888" }}>
+                    <th style={cell}>Hour</th>
+                    <th style={cell}>Row / id</th>
+                    <th style={cell}>Reason</th>
+                    <th style={cell}>Value</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {stats.rejectSamples.map((r, i) => (
+                    <tr key={i}>
+                      <td style={cell}>{r.hoursAgo != null ? `${r.hoursAgo}h` : "—"}</td>
+                      <td style={cell}>{r.id ?? `#${r.row}`}</td>
+                      <td style={cell}>{r.reason}</td>
+                      <td style={{ ...cell, fontFamily: "monospace", wordBreak: "break-all" }}>{r.value ?? ""}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import { useState } from "react";
+import { EXPORT_FORMATS, exportTracks } from "../lib/export";
+import { saveBlob } from "../lib/download";
+
+const btn = { padding: "2px 8px", borderRadius: 6, border: "1px solid #444", background: "#fff", color: "#000", cursor: "pointer" };
+
+function download({ text, mime, filename }) {
+  saveBlob(new Blob([text], { type: mime }), filename);
+}
+
+// Format + scope pickers. scopes = [{ key, label, tracks }] of windowed tracks, built by App
+export default function ExportControls({ scopes }) {
+  const [format, setFormat] = useState("geojson");
+  const [scopeKey, setScopeKey] = useState("visible");
+  const scope = scopes.find((s) => s.key === scopeKey) ?? scopes[0];
+  const count = scope?.tracks.length ?? 0;
+
+  return (
+    <div style={{ display: "flex", gap: 4, marginTop: 8, fontSize: 12, alignItems: "center", flexWrap: "wrap" }}>
+      Export:
+      <select value={format} onChange={(e) => setFormat(e.target.value)}>
+        {Object.entries(EXPORT_FORMATS).map(([k, f]) => (
+          <option key={k} value={k}>{f.label}</option>
+        ))}
+      </select>
+      <select value={scope?.key} onChange={(e) => setScopeKey(e.target.value)}>
+        {scopes.map((s) => (
+          <option key={s.key} value={s.key}>{s.label} ({s.tracks.length})</option>
+        ))}
+      </select>
+      <button
+        style={{ ...btn, opacity: count ? 1 : 0.5 }}
+        disabled={!count}
+        onClick={() => download(exportTracks(scope.tracks, format, `balloons-${scope.key}`))}
+        title="Windowed tracks: every fix inside the current playback window"
+      >
+        Download
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,203 @@
+import { useMemo } from "react";
+import TimeChart from "./TimeChart";
+import BarChart from "./BarChart";
+import { fleetTimeline, histogram, latitudeBands, densityGrid } from "../lib/fleetStats";
+import { trackSpeed } from "../lib/watchlist";
+import { riskColor } from "../lib/cluster";
+import { fmtUtc } from "../lib/playback";
+
+const btn = { padding: "2px 8px", borderRadius: 6, border: "1px solid #444", background: "#fff", color: "#000", cursor: "pointer" };
+const card = { background: "#fff", borderRadius: 6, padding: 4, color: "#000" };
+
+const DENSITY_WINDOW_SEC = 24 * 3600;
+const MAP_SCALE = 1.5; // px per degree for the density map
+
+function Stat({ label, value }) {
+  return (
+    <div>
+      <div style={{ color: "#888", fontSize: 11 }}>{label}</div>
+      <div style={{ fontSize: 16 }}>{value}</div>
+    </div>
+  );
+}
+
+function Chart({ title, children }) {
+  return (
+    <div style={card}>
+      <div style={{ fontSize: 11 }}>{title}</div>
+      {children}
+    </div>
+  );
+}
+
+// 0..1 → blue (sparse) … red (dense)
+function heatColor(f) {
+  return `hsl(${Math.round(240 * (1 - f))}, 90%, 50%)`;
+}
+
+// Equirectangular lat/lon grid with a 30° graticule; no basemap needed
+function DensityMap({ grid }) {
+  const w = 360 * MAP_SCALE, h = 180 * MAP_SCALE;
+  const x = (lon) => (lon + 180) * MAP_SCALE;
+  const y = (lat) => (90 - lat) * MAP_SCALE;
+  const size = grid.cellDeg * MAP_SCALE;
+  return (
+    <svg width={w} height={h} style={{ display: "block", background: "#f4f4f4" }}>
+      {[-150, -120, -90, -60, -30, 0, 30, 60, 90, 120, 150].map((lon) => (
+        <line key={`m${lon}`} x1={x(lon)} x2={x(lon)} y1={0} y2={h} stroke="#ddd" />
+      ))}
+      {[-60, -30, 0, 30, 60].map((lat) => (
+        <line key={`p${lat}`} x1={0} x2={w} y1={y(lat)} y2={y(lat)} stroke={lat ? "#ddd" : "#bbb"} />
+      ))}
+      {grid.cells.map((c) => (
+        <rect
+          key={`${c.lat},${c.lon}`}
+          x={x(c.lon) - size / 2}
+          y={y(c.lat) - size / 2}
+          width={size}
+          height={size}
+          fill={heatColor(Math.sqrt(c.count / grid.max))}
+          opacity={0.85}
+        >
+          <title>{`${c.lat.toFixed(1)}, ${c.lon.toFixed(1)}: ${c.count} fixes`}</title>
+        </rect>
+      ))}
+    </svg>
+  );
+}
+
+/**
+ * Fleet analytics over the watchlist-filtered tracks: headline numbers, counts over
+ * the loaded range, speed/risk distributions, latitude coverage, a 24h density map
+ * and per-hour ingest. tracks are windowed at timeSec; counts over time use full histories.
+ */
+export default function FleetDashboard({
+  tracks, total, filtering, onResetFilters, startSec, endSec, timeSec, ingestStats, onClose,
+}) {
+  const timeline = useMemo(
+    () => (startSec == null ? [] : fleetTimeline(tracks, { startSec: Math.ceil(startSec / 3600) * 3600, endSec })),
+    [tracks, startSec, endSec]
+  );
+  const heads = useMemo(() => tracks.map((t) => t._winPts?.at(-1)).filter(Boolean), [tracks]);
+  const grid = useMemo(
+    () =>
+      densityGrid(
+        tracks.flatMap((t) => t.points.filter((p) => p.ts <= timeSec && p.ts > timeSec - DENSITY_WINDOW_SEC)),
+        5
+      ),
+    [tracks, timeSec]
+  );
+
+  const speeds = histogram(tracks.map(trackSpeed), 20);
+  const risks = histogram(tracks.map((t) => t.risk), 10, { maxBins: 10 });
+  const bands = latitudeBands(heads, 15);
+  const hours = [...(ingestStats?.hours ?? [])].reverse(); // oldest first
+  const stale = tracks.filter((t) => t._stale).length;
+  const gaps = tracks.filter((t) => t._gap).length;
+  const reporting = tracks.filter((t) => t._winPts?.length && timeSec - t._winPts.at(-1).ts <= 3600).length;
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        left: 12,
+        top: 12,
+        right: 344,
+        bottom: 12,
+        overflow: "auto",
+        background: "#111",
+        color: "white",
+        borderRadius: 12,
+        padding: 12,
+        zIndex: 10000,
+        boxShadow: "0 6px 20px rgba(0,0,0,0.25)",
+        fontSize: 12,
+      }}
+      onWheel={(e) => e.stopPropagation()}
+    >
+      <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+        <b style={{ flex: 1, fontSize: 14 }}>Fleet analytics</b>
+        <span style={{ color: "#bbb" }}>at {timeSec != null ? fmtUtc(timeSec) : "—"}</span>
+        <button style={btn} onClick={onClose}>Back to map</button>
+      </div>
+      <div style={{ color: "#888", marginTop: 2 }}>
+        {filtering ? (
+          <>
+            {tracks.length} of {total} balloons match the watchlist filters{" "}
+            <button style={btn} onClick={onResetFilters}>Clear filters</button>
+          </>
+        ) : (
+          `All ${total} balloons · filter from the watchlist to narrow every chart`
+        )}
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(120px, 1fr))", gap: 8, margin: "10px 0" }}>
+        <Stat label="Balloons" value={tracks.length} />
+        <Stat label="Reporting (last hour)" value={reporting} />
+        <Stat label="Stale" value={stale} />
+        <Stat label="Gaps" value={gaps} />
+        <Stat label="Ingest rows kept" value={ingestStats ? `${ingestStats.kept}/${ingestStats.raw}` : "—"} />
+        <Stat
+          label="Tracker births / deaths"
+          value={ingestStats?.tracker ? `${ingestStats.tracker.births} / ${ingestStats.tracker.deaths}` : "—"}
+        />
+      </div>
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+        <Chart title="Reporting balloons per hour">
+          <TimeChart data={timeline.map((r) => ({ ts: r.ts, v: r.reporting }))} width={300} digits={0} color="#5cb85c" />
+        </Chart>
+        <Chart title="Stale balloons">
+          <TimeChart data={timeline.map((r) => ({ ts: r.ts, v: r.stale }))} width={300} digits={0} color="#888" />
+        </Chart>
+        <Chart title="Gaps (hops into the hour)">
+          <TimeChart data={timeline.map((r) => ({ ts: r.ts, v: r.gaps }))} width={300} digits={0} color="#ffb74d" />
+        </Chart>
+        <Chart title="Drift speed (km/h)">
+          <BarChart
+            width={300}
+            bars={speeds.map((b) => ({ label: `${b.from}`, v: b.count, title: `${b.from}–${b.to} km/h: ${b.count}` }))}
+          />
+        </Chart>
+        <Chart title="Risk">
+          <BarChart
+            width={300}
+            bars={risks.map((b) => ({
+              label: `${b.from}`,
+              v: b.count,
+              color: riskColor(b.from + 5),
+              title: `Risk ${b.from}–${b.to}: ${b.count}`,
+            }))}
+          />
+        </Chart>
+        <Chart title="Coverage by latitude (north → south)">
+          <BarChart
+            width={300}
+            color="#4575b4"
+            bars={bands.map((b) => ({
+              label: `${Math.abs(b.to)}°${b.to >= 0 ? "N" : "S"}`,
+              v: b.count,
+              title: `${b.from}° to ${b.to}°: ${b.count}`,
+            }))}
+          />
+        </Chart>
+        <Chart title="Ingest rows per hourly file (oldest → newest)">
+          <BarChart
+            width={300}
+            bars={hours.map((h) => ({
+              label: `${h.hoursAgo}h`,
+              v: h.ok ? h.rows - h.rejected : 0,
+              color: !h.ok ? "#d9534f" : h.rejected ? "#f0ad4e" : "#5cb85c",
+              title: h.ok ? `${h.hoursAgo}h ago: ${h.rows - h.rejected}/${h.rows} rows kept` : `${h.hoursAgo}h ago: ${h.error}`,
+            }))}
+          />
+        </Chart>
+      </div>
+
+      <div style={{ ...card, marginTop: 8, display: "inline-block" }}>
+        <div style={{ fontSize: 11 }}>Position density, last 24h ({grid.cellDeg}° cells, busiest {grid.max} fixes)</div>
+        <DensityMap grid={grid} />
+      </div>
+    </div>
+  );
+}
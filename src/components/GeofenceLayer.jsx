@@ -0,0 +1,39 @@
+import { Polygon, Circle, Polyline, CircleMarker, Tooltip, useMapEvents } from "react-leaflet";
+import { fenceColor } from "../lib/geofence";
+
+// Fences on the map, the shape being drawn, and clicks while drawing.
+// drawing: null | { kind: "polygon" | "circle", pts: [[lat, lon], …] }
+export default function GeofenceLayer({ fences, drawing, onDrawClick }) {
+  useMapEvents({
+    click(e) {
+      if (drawing) onDrawClick([e.latlng.lat, e.latlng.lng]);
+    },
+  });
+
+  return (
+    <>
+      {fences.map((f, i) => {
+        const color = fenceColor(i);
+        const opts = { color, weight: 2, fillOpacity: 0.08 };
+        return f.kind === "circle" ? (
+          <Circle key={f.id} center={[f.center.lat, f.center.lon]} radius={f.radiusKm * 1000} pathOptions={opts}>
+            <Tooltip sticky>{f.name}</Tooltip>
+          </Circle>
+        ) : (
+          <Polygon key={f.id} positions={f.ring} pathOptions={opts}>
+            <Tooltip sticky>{f.name}</Tooltip>
+          </Polygon>
+        );
+      })}
+
+      {drawing?.pts.length > 0 && (
+        <>
+          <Polyline positions={drawing.pts} pathOptions={{ color: "#000", dashArray: "4 4", weight: 2 }} />
+          {drawing.pts.map((p, i) => (
+            <CircleMarker key={i} center={p} radius={4} pathOptions={{ color: "#000" }} />
+          ))}
+        </>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,133 @@
+import { useState } from "react";
+import { fenceColor, fencesFromGeoJSON } from "../lib/geofence";
+
+const btn = { padding: "2px 8px", borderRadius: 6, border: "1px solid #444", background: "#fff", color: "#000", cursor: "pointer" };
+
+function fmtTime(sec) {
+  return `${new Date(sec * 1000).toISOString().slice(5, 16).replace("T", " ")}Z`;
+}
+
+function BalloonLink({ id, onSelect }) {
+  return (
+    <a href="#" onClick={(e) => { e.preventDefault(); onSelect(id); }}>{id}</a>
+  );
+}
+
+/**
+ * Fence list, drawing controls and GeoJSON import.
+ * status = fenceStatus(...).byFence; drawing/onDraw* are owned by App so the map layer can share them.
+ */
+export default function GeofencePanel({ fences, setFences, status, drawing, onDrawStart, onDrawFinish, onDrawCancel, onSelect, onClose }) {
+  const [name, setName] = useState("");
+  const [openId, setOpenId] = useState(null);
+  const [importError, setImportError] = useState(null);
+
+  async function importFile(file) {
+    if (!file) return;
+    try {
+      const imported = fencesFromGeoJSON(JSON.parse(await file.text()), `gj${Date.now()}`);
+      if (!imported.length) throw new Error("No polygons or radius points found");
+      setFences((fs) => [...fs, ...imported]);
+      setImportError(null);
+    } catch (e) {
+      setImportError(`${file.name}: ${e.message ?? e}`);
+    }
+  }
+
+  const canFinish = drawing && (drawing.kind === "polygon" ? drawing.pts.length >= 3 : drawing.pts.length === 2);
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        left: 12,
+        bottom: 24,
+        width: 360,
+        maxHeight: "45vh",
+        overflow: "auto",
+        background: "#111",
+        color: "white",
+        borderRadius: 12,
+        padding: 10,
+        zIndex: 9999,
+        fontSize: 12,
+        boxShadow: "0 6px 20px rgba(0,0,0,0.25)",
+      }}
+      onWheel={(e) => e.stopPropagation()}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <b>Geofences</b>
+        <button style={btn} onClick={onClose}>Close</button>
+      </div>
+
+      {/* Draw / import */}
+      <div style={{ display: "flex", gap: 4, marginTop: 6, flexWrap: "wrap", alignItems: "center" }}>
+        {!drawing ? (
+          <>
+            <button style={btn} onClick={() => onDrawStart("polygon")}>Draw polygon</button>
+            <button style={btn} onClick={() => onDrawStart("circle")}>Draw circle</button>
+            <label style={btn}>
+              Import GeoJSON…
+              <input type="file" accept=".json,.geojson,application/geo+json" hidden onChange={(e) => importFile(e.target.files?.[0])} />
+            </label>
+          </>
+        ) : (
+          <>
+            <span style={{ color: "#bbb" }}>
+              {drawing.kind === "polygon" ? "Click vertices on the map" : "Click centre, then a point on the edge"}
+            </span>
+            <input placeholder="name" value={name} onChange={(e) => setName(e.target.value)} style={{ width: 90 }} />
+            <button
+              style={{ ...btn, opacity: canFinish ? 1 : 0.5 }}
+              disabled={!canFinish}
+              onClick={() => { onDrawFinish(name || `Fence ${fences.length + 1}`); setName(""); }}
+            >
+              Finish
+            </button>
+            <button style={btn} onClick={onDrawCancel}>Cancel</button>
+          </>
+        )}
+      </div>
+      {importError && <div style={{ color: "#ff5555" }}>{importError}</div>}
+
+      {fences.length === 0 && <div style={{ color: "#888", marginTop: 6 }}>No fences yet</div>}
+      {fences.map((f, i) => {
+        const st = status[f.id] ?? { inside: [], events: [], predicted: [] };
+        const open = openId === f.id;
+        return (
+          <div key={f.id} style={{ borderLeft: `3px solid ${fenceColor(i)}`, paddingLeft: 6, marginTop: 6 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", gap: 6 }}>
+              <a href="#" onClick={(e) => { e.preventDefault(); setOpenId(open ? null : f.id); }}>
+                <b>{f.name}</b>
+              </a>
+              <span style={{ color: "#bbb" }}>
+                {st.inside.length} inside · {st.predicted.length} approaching
+              </span>
+              <button style={btn} onClick={() => setFences((fs) => fs.filter((x) => x.id !== f.id))}>✕</button>
+            </div>
+            {open && (
+              <div style={{ color: "#bbb", marginTop: 2 }}>
+                <div>
+                  Inside:{" "}
+                  {st.inside.length
+                    ? st.inside.map((id, k) => <span key={id}>{k ? ", " : ""}<BalloonLink id={id} onSelect={onSelect} /></span>)
+                    : "—"}
+                </div>
+                {st.events.slice(0, 20).map((ev) => (
+                  <div key={`${ev.id}-${ev.type}-${ev.ts}`}>
+                    {fmtTime(ev.ts)} · <BalloonLink id={ev.id} onSelect={onSelect} /> {ev.type === "entry" ? "entered" : "exited"}
+                  </div>
+                ))}
+                {st.predicted.slice(0, 20).map((p) => (
+                  <div key={`eta-${p.id}`}>
+                    ETA {fmtTime(p.eta)} · <BalloonLink id={p.id} onSelect={onSelect} /> (current drift)
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import { useRef, useState } from "react";
+import { flushSync } from "react-dom";
+import { createGifEncoder } from "../lib/gif";
+import { framePlan } from "../lib/playback";
+import { saveBlob } from "../lib/download";
+
+const btn = { padding: "2px 8px", borderRadius: 6, border: "1px solid #444", background: "#fff", color: "#000", cursor: "pointer" };
+
+const FPS = 10;
+const MAX_WIDTH = 800; // recordings are scaled down to this
+const WEBM_SUPPORTED = typeof MediaRecorder !== "undefined" && MediaRecorder.isTypeSupported?.("video/webm");
+
+const nextFrame = () => new Promise((r) => requestAnimationFrame(r));
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function svgImage(svg) {
+  const url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(svg)], { type: "image/svg+xml" }));
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Flatten what the map shows — tiles, SVG overlays, canvas layers — into ctx
+async function drawMap(map, ctx, scale) {
+  const container = map.getContainer();
+  const origin = container.getBoundingClientRect();
+  const place = (el) => {
+    const r = el.getBoundingClientRect();
+    return [r.left - origin.left, r.top - origin.top, r.width, r.height];
+  };
+  ctx.save();
+  ctx.fillStyle = "#ddd";
+  ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+  ctx.scale(scale, scale);
+  for (const img of container.querySelectorAll(".leaflet-tile-pane img.leaflet-tile-loaded")) {
+    ctx.drawImage(img, ...place(img));
+  }
+  for (const svg of container.querySelectorAll(".leaflet-overlay-pane svg")) {
+    ctx.drawImage(await svgImage(svg), ...place(svg));
+  }
+  // Canvas layers in their panes' stacking order
+  const paneZ = (el) => Number(getComputedStyle(el.parentElement).zIndex) || 0;
+  const canvases = [...container.querySelectorAll(".leaflet-map-pane canvas")].sort((a, b) => paneZ(a) - paneZ(b));
+  for (const canvas of canvases) {
+    ctx.drawImage(canvas, ...place(canvas));
+  }
+  ctx.restore();
+}
+
+/**
+ * Renders playback over [startSec, endSec] to an animated GIF or WebM, locally:
+ * onPrepare(times) readies every frame first, then each frame seeks the playhead
+ * (onSeek), waits for the map to redraw and snapshots the current map view.
+ * The playhead is restored afterwards.
+ */
+export default function PlaybackRecorder({ mapRef, startSec, endSec, speed, timeSec, onSeek, onPrepare }) {
+  const [format, setFormat] = useState("gif");
+  const [progress, setProgress] = useState(null); // { done, total }
+  const [error, setError] = useState(null);
+  const cancelRef = useRef(false);
+
+  async function record() {
+    const map = mapRef.current;
+    if (!map || startSec == null) return;
+    const restore = timeSec;
+    const size = map.getSize();
+    const scale = Math.min(1, MAX_WIDTH / size.x);
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(size.x * scale);
+    canvas.height = Math.round(size.y * scale);
+    const ctx = canvas.getContext("2d", { willReadFrequently: format === "gif" });
+
+    const times = framePlan(startSec, endSec, speed, FPS);
+    cancelRef.current = false;
+    setError(null);
+    setProgress({ done: 0, total: times.length });
+
+    let gif = null, recorder = null, chunks = [], track = null;
+    if (format === "gif") {
+      gif = createGifEncoder(canvas.width, canvas.height, { delayMs: 1000 / FPS });
+    } else {
+      const stream = canvas.captureStream(0);
+      track = stream.getVideoTracks()[0];
+      recorder = new MediaRecorder(stream, { mimeType: "video/webm" });
+      recorder.ondataavailable = (e) => e.data.size && chunks.push(e.data);
+      recorder.start();
+    }
+
+    try {
+      await onPrepare?.(times);
+      for (let i = 0; i < times.length && !cancelRef.current; i++) {
+        flushSync(() => onSeek(times[i]));
+        await nextFrame(); // canvas layers redraw on the frame after the commit
+        await nextFrame();
+        await drawMap(map, ctx, scale);
+        if (gif) {
+          gif.addFrame(ctx.getImageData(0, 0, canvas.width, canvas.height).data);
+        } else {
+          track.requestFrame();
+          await sleep(1000 / FPS); // MediaRecorder timestamps frames by wall clock
+        }
+        setProgress({ done: i + 1, total: times.length });
+      }
+      if (gif) {
+        if (!cancelRef.current) saveBlob(new Blob([gif.finish()], { type: "image/gif" }), "balloons-playback.gif");
+      } else {
+        const stopped = new Promise((r) => (recorder.onstop = r));
+        recorder.stop();
+        await stopped;
+        if (!cancelRef.current) saveBlob(new Blob(chunks, { type: "video/webm" }), "balloons-playback.webm");
+      }
+    } catch (e) {
+      // Typically a SecurityError: tiles served without CORS taint the canvas
+      setError(e.name === "SecurityError" ? "Map tiles can't be captured (CORS)" : String(e.message ?? e));
+      if (recorder?.state === "recording") recorder.stop();
+    } finally {
+      setProgress(null);
+      onSeek(restore);
+    }
+  }
+
+  return (
+    <div style={{ display: "flex", gap: 4, marginTop: 6, fontSize: 12, alignItems: "center", flexWrap: "wrap" }}>
+      Record:
+      <select value={format} onChange={(e) => setFormat(e.target.value)} disabled={!!progress}>
+        <option value="gif">GIF</option>
+        {WEBM_SUPPORTED && <option value="webm">WebM</option>}
+      </select>
+      {progress ? (
+        <>
+          <span>Rendering {progress.done}/{progress.total}</span>
+          <button style={btn} onClick={() => (cancelRef.current = true)}>Cancel</button>
+        </>
+      ) : (
+        <button style={btn} onClick={record} disabled={startSec == null} title={`Whole timeline at ${speed} h/s, ${FPS} fps, current map view`}>
+          Record
+        </button>
+      )}
+      {error && <span style={{ color: "#ff5555" }}>{error}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+// Per-factor contributions to a risk score (see scoreRisk in lib/risk)
+export default function RiskBreakdown({ factors }) {
+  if (!factors?.length) return null;
+  return (
+    <table style={{ fontSize: 11, borderCollapse: "collapse", marginTop: 2 }}>
+      <tbody>
+        {factors
+          .filter((f) => f.weight > 0 && !f.inactive)
+          .map((f) => (
+            <tr key={f.key} style={{ color: f.value == null ? "#999" : undefined }}>
+              <td style={{ paddingRight: 6 }}>{f.label}</td>
+              <td style={{ width: 60 }}>
+                <div style={{ background: "#eee", height: 6, borderRadius: 3 }}>
+                  <div
+                    style={{
+                      width: `${Math.round((f.value ?? 0) * 100)}%`,
+                      background: "#d9534f",
+                      height: 6,
+                      borderRadius: 3,
+                    }}
+                  />
+                </div>
+              </td>
+              <td style={{ paddingLeft: 6, textAlign: "right" }}>
+                {f.value == null ? "n/a" : `+${f.contribution.toFixed(0)}`}
+              </td>
+              <td style={{ paddingLeft: 6, color: "#888" }}>{f.detail}</td>
+            </tr>
+          ))}
+      </tbody>
+    </table>
+  );
+}
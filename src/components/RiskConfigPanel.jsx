@@ -0,0 +1,48 @@
+import { listFactors, defaultRiskConfig } from "../lib/risk";
+
+// Weight sliders for the registered risk factors
+export default function RiskConfigPanel({ config, onChange, onClose }) {
+  const setWeight = (key, w) =>
+    onChange({ ...config, weights: { ...config.weights, [key]: w } });
+
+  return (
+    <div style={{ marginTop: 8, padding: 8, border: "1px solid #444", borderRadius: 8, fontSize: 12 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 4 }}>
+        <b>Risk weights</b>
+        <span>
+          <button
+            onClick={() => onChange(defaultRiskConfig())}
+            style={{ padding: "2px 6px", borderRadius: 6, border: "1px solid #444", background: "#fff", color: "#000", cursor: "pointer", marginRight: 4 }}
+          >
+            Reset
+          </button>
+          <button
+            onClick={onClose}
+            style={{ padding: "2px 6px", borderRadius: 6, border: "1px solid #444", background: "#fff", color: "#000", cursor: "pointer" }}
+          >
+            Close
+          </button>
+        </span>
+      </div>
+      {listFactors().map((f) => {
+        const w = config.weights?.[f.key] ?? f.weight;
+        return (
+          <label key={f.key} style={{ display: "flex", alignItems: "center", gap: 6 }}>
+            <span style={{ width: 130 }}>{f.label}</span>
+            <input
+              type="range"
+              min={0}
+              max={1}
+              step={0.05}
+              value={w}
+              onChange={(e) => setWeight(f.key, Number(e.target.value))}
+              style={{ width: 100 }}
+            />
+            <span style={{ width: 30, textAlign: "right" }}>{w.toFixed(2)}</span>
+          </label>
+        );
+      })}
+      <div style={{ marginTop: 4, opacity: 0.7 }}>Restricted regions are the geofences; without any, that factor is left out.</div>
+    </div>
+  );
+}
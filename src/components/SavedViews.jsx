@@ -0,0 +1,53 @@
+import { useState } from "react";
+
+const btn = { padding: "2px 8px", borderRadius: 6, border: "1px solid #444", background: "#fff", color: "#000", cursor: "pointer" };
+
+// Named views (encoded query strings) kept in localStorage, plus copy-link for the current view
+export default function SavedViews({ views, query, onSave, onApply, onDelete }) {
+  const [name, setName] = useState("");
+  const [selected, setSelected] = useState("");
+  const [copied, setCopied] = useState(false);
+
+  async function copyLink() {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      // clipboard blocked — the address bar still has the link
+    }
+  }
+
+  return (
+    <div style={{ display: "flex", gap: 4, marginTop: 8, fontSize: 12, alignItems: "center", flexWrap: "wrap" }}>
+      Views:
+      <select
+        value={selected}
+        onChange={(e) => {
+          setSelected(e.target.value);
+          const v = views.find((x) => x.name === e.target.value);
+          if (v) onApply(v.query);
+        }}
+      >
+        <option value="">—</option>
+        {views.map((v) => (
+          <option key={v.name} value={v.name}>{v.name}</option>
+        ))}
+      </select>
+      {selected && (
+        <button style={btn} onClick={() => { onDelete(selected); setSelected(""); }} title="Delete this saved view">✕</button>
+      )}
+      <input placeholder="name" value={name} onChange={(e) => setName(e.target.value)} style={{ width: 80 }} />
+      <button
+        style={{ ...btn, opacity: name.trim() ? 1 : 0.5 }}
+        disabled={!name.trim()}
+        onClick={() => { onSave(name.trim(), query); setSelected(name.trim()); setName(""); }}
+      >
+        Save
+      </button>
+      <button style={btn} onClick={copyLink} title="Copy a link to exactly this balloon, window and map view">
+        {copied ? "Copied" : "Copy link"}
+      </button>
+    </div>
+  );
+}
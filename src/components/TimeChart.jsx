@@ -0,0 +1,44 @@
+// Minimal SVG line chart over time; no chart library needed for popups/panels.
+// data: [{ ts, v }] with ts in unix seconds; points with v == null are skipped.
+// wrap: label the axis modulo this (for unwrapped angles, e.g. 361° shown as 1°).
+export default function TimeChart({
+  data,
+  width = 220,
+  height = 70,
+  color = "#1f77b4",
+  unit = "",
+  digits = 1,
+  wrap,
+}) {
+  const pts = data.filter((d) => d.v != null && Number.isFinite(d.v));
+  if (pts.length < 2) {
+    return <div style={{ fontSize: 11, color: "#888" }}>Not enough data</div>;
+  }
+
+  const pad = { l: 34, r: 4, t: 4, b: 14 };
+  const t0 = pts[0].ts, t1 = pts.at(-1).ts;
+  let vMin = Math.min(...pts.map((d) => d.v));
+  let vMax = Math.max(...pts.map((d) => d.v));
+  if (vMax - vMin < 1e-6) { vMin -= 0.5; vMax += 0.5; }
+
+  const x = (ts) => pad.l + ((ts - t0) / (t1 - t0 || 1)) * (width - pad.l - pad.r);
+  const y = (v) => pad.t + (1 - (v - vMin) / (vMax - vMin)) * (height - pad.t - pad.b);
+  const path = pts.map((d, i) => `${i ? "L" : "M"}${x(d.ts).toFixed(1)},${y(d.v).toFixed(1)}`).join("");
+  const label = (v) => (wrap ? ((v % wrap) + wrap) % wrap : v).toFixed(digits);
+  const hh = (ts) => new Date(ts * 1000).toISOString().slice(11, 16);
+
+  return (
+    <svg width={width} height={height} style={{ display: "block", fontSize: 9 }}>
+      <line x1={pad.l} x2={pad.l} y1={pad.t} y2={height - pad.b} stroke="#999" />
+      <line x1={pad.l} x2={width - pad.r} y1={height - pad.b} y2={height - pad.b} stroke="#999" />
+      <text x={pad.l - 3} y={pad.t + 7} textAnchor="end" fill="#666">{label(vMax)}{unit}</text>
+      <text x={pad.l - 3} y={height - pad.b} textAnchor="end" fill="#666">{label(vMin)}{unit}</text>
+      <text x={pad.l} y={height - 2} fill="#666">{hh(t0)}Z</text>
+      <text x={width - pad.r} y={height - 2} textAnchor="end" fill="#666">{hh(t1)}Z</text>
+      <path d={path} fill="none" stroke={color} strokeWidth={1.5} />
+      {pts.map((d) => (
+        <circle key={d.ts} cx={x(d.ts)} cy={y(d.v)} r={1.5} fill={color} />
+      ))}
+    </svg>
+  );
+}
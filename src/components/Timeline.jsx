@@ -0,0 +1,97 @@
+import { PLAYBACK_SPEEDS, TAIL_OPTIONS_H, fmtUtc } from "../lib/playback";
+
+const btn = { padding: "4px 8px", borderRadius: 6, border: "1px solid #444", background: "#fff", color: "#000", cursor: "pointer" };
+
+/**
+ * Absolute UTC scrubber over [startSec, endSec] with play/step/loop, speed and tail length.
+ * live = following the newest data (the playhead is pinned to endSec).
+ * holes: [{ fromSec, toSec, hoursAgo }] with no snapshot, marked under the slider.
+ * pending: the map hasn't caught up with timeSec yet and still shows shownSec (null = nothing).
+ */
+export default function Timeline({
+  startSec, endSec, timeSec, live, playing, speed, tailH, loop, holes = [], pending = false, shownSec = null,
+  onSeek, onLive, onPlay, onStep, onSpeed, onTail, onLoop,
+}) {
+  const ready = startSec != null && endSec != null && timeSec != null;
+  // Hour marks for the slider
+  const ticks = [];
+  if (ready) for (let t = Math.ceil(startSec / 3600) * 3600; t <= endSec; t += 3600) ticks.push(t);
+
+  return (
+    <div>
+      <div style={{ fontSize: 12, marginBottom: 4, opacity: 0.9 }}>
+        Time: <b>{ready ? fmtUtc(timeSec) : "—"}</b>
+        {live ? <span style={{ color: "#5cb85c" }}> · live</span> : ready && ` · ${((endSec - timeSec) / 3600).toFixed(1)}h ago`}
+        {ready && pending && (
+          <span style={{ color: "#f0ad4e" }}> · loading{shownSec != null && ` (map at ${fmtUtc(shownSec).slice(11)})`}…</span>
+        )}
+      </div>
+      <input
+        type="range"
+        min={startSec ?? 0}
+        max={endSec ?? 0}
+        step={60}
+        value={timeSec ?? 0}
+        disabled={!ready}
+        list="timeline-hours"
+        onChange={(e) => onSeek(Number(e.target.value))}
+        style={{ width: 260 }}
+      />
+      {ready && holes.length > 0 && (
+        <div style={{ position: "relative", width: 260, height: 4, background: "#333", borderRadius: 2 }}>
+          {holes.map((h) => (
+            <div
+              key={h.fromSec}
+              title={`No snapshot ${fmtUtc(h.fromSec)} – ${fmtUtc(h.toSec)} (${h.hoursAgo.map((k) => `${k}h ago`).join(", ")})`}
+              style={{
+                position: "absolute",
+                left: `${((h.fromSec - startSec) / (endSec - startSec)) * 100}%`,
+                width: `${Math.max(0.5, ((h.toSec - h.fromSec) / (endSec - startSec)) * 100)}%`,
+                height: "100%",
+                background: "#d9534f",
+              }}
+            />
+          ))}
+        </div>
+      )}
+      <datalist id="timeline-hours">
+        {ticks.map((t) => <option key={t} value={t} />)}
+      </datalist>
+      <div style={{ display: "flex", justifyContent: "space-between", width: 260, fontSize: 10, opacity: 0.7 }}>
+        <span>{ready ? fmtUtc(startSec) : ""}</span>
+        <span>{ready ? fmtUtc(endSec) : ""}</span>
+      </div>
+      <div style={{ display: "flex", gap: 6, marginTop: 4, flexWrap: "wrap", alignItems: "center", fontSize: 12 }}>
+        <button style={btn} onClick={() => onStep(-1)} title="Previous hour" disabled={!ready}>⏮ 1h</button>
+        <button style={btn} onClick={onPlay} title={playing ? "Pause" : "Play"} disabled={!ready}>
+          {playing ? "Pause" : "Play"}
+        </button>
+        <button style={btn} onClick={() => onStep(1)} title="Next hour" disabled={!ready}>1h ⏭</button>
+        <button style={{ ...btn, background: loop ? "#eee" : "#fff" }} onClick={onLoop} title="Loop playback">
+          Loop
+        </button>
+        <button style={{ ...btn, background: live ? "#eee" : "#fff" }} onClick={onLive} title="Jump to the newest data and follow it">
+          Live
+        </button>
+      </div>
+      <div style={{ display: "flex", gap: 8, marginTop: 4, fontSize: 12, alignItems: "center" }}>
+        <label>
+          Speed{" "}
+          <select value={speed} onChange={(e) => onSpeed(Number(e.target.value))}>
+            {PLAYBACK_SPEEDS.map((s) => (
+              <option key={s} value={s}>{s} h/s</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Tail{" "}
+          <select value={tailH} onChange={(e) => onTail(Number(e.target.value))}>
+            {[...new Set([...TAIL_OPTIONS_H, tailH])].sort((a, b) => a - b).map((h) => (
+              <option key={h} value={h}>{h}h</option>
+            ))}
+          </select>
+        </label>
+      </div>
+    </div>
+  );
+}
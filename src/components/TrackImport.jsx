@@ -0,0 +1,47 @@
+import { useMemo } from "react";
+import { IMPORT_EXTENSIONS, timelineCoverage } from "../lib/importTracks";
+import { fmtUtc } from "../lib/playback";
+
+const btn = { padding: "2px 8px", borderRadius: 6, border: "1px solid #444", background: "#fff", color: "#000", cursor: "pointer" };
+
+// Imported track files: picker, per-file remove, show/hide. Files can also be dropped on the page (App).
+// Imports play on the fleet timeline (startSec..endSec), so files with fixes outside it are flagged
+export default function TrackImport({ imports, show, color, error, startSec, endSec, onImport, onRemove, onToggle }) {
+  const outside = useMemo(() => {
+    if (startSec == null) return [];
+    return imports.flatMap(({ name, byId }) => {
+      const c = timelineCoverage(byId, { startSec, endSec });
+      if (c.inside === c.total) return [];
+      const span = `${fmtUtc(c.fromSec)} – ${fmtUtc(c.toSec)}`;
+      return [c.inside ? `${name}: ${c.total - c.inside} of ${c.total} fixes (${span}) are outside the timeline` : `${name}: all fixes (${span}) are outside the timeline, nothing to show`];
+    });
+  }, [imports, startSec, endSec]);
+
+  return (
+    <div style={{ fontSize: 12, marginTop: 6 }}>
+      <span style={{ color }}>■</span> Imported tracks:{" "}
+      {imports.length === 0 && <span style={{ opacity: 0.7 }}>none — drop GeoJSON/GPX/KML/CSV on the map</span>}
+      <div style={{ display: "flex", gap: 4, marginTop: 4, flexWrap: "wrap", alignItems: "center" }}>
+        {imports.map((imp) => (
+          <span key={imp.name} style={{ border: `1px solid ${color}`, borderRadius: 6, padding: "1px 6px" }}>
+            {imp.name} ({Object.keys(imp.byId).length}){" "}
+            <a href="#" onClick={(e) => { e.preventDefault(); onRemove(imp.name); }} style={{ color: "#bbb" }}>✕</a>
+          </span>
+        ))}
+        {imports.length > 0 && (
+          <button style={{ ...btn, background: show ? "#eee" : "#fff" }} onClick={onToggle}>
+            {show ? "Hide" : "Show"}
+          </button>
+        )}
+        <label style={btn}>
+          Import tracks…
+          <input type="file" multiple accept={IMPORT_EXTENSIONS.join(",")} hidden onChange={(e) => onImport(e.target.files)} />
+        </label>
+      </div>
+      {outside.map((msg) => (
+        <div key={msg} style={{ color: "#ffb74d" }}>{msg}</div>
+      ))}
+      {error && <div style={{ color: "#ff5555" }}>{error}</div>}
+    </div>
+  );
+}
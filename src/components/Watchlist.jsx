@@ -0,0 +1,226 @@
+import { useEffect, useRef, useState } from "react";
+import { LINK_CONF_MIN } from "../lib/tracker";
+import { fmtAlt, fmtClimb } from "../lib/altitude";
+import { fenceColor } from "../lib/geofence";
+import { riskColor } from "../lib/cluster";
+import { DEFAULT_FILTERS, SORT_COLUMNS, isFiltering, toggleSort, trackSpeed } from "../lib/watchlist";
+
+// Fixed card height so only the rows in view are rendered, however large the fleet
+const ROW_H = 124;
+const OVERSCAN = 4;
+
+const btn = { padding: "2px 8px", borderRadius: 6, border: "1px solid #444", background: "#fff", color: "#000", cursor: "pointer" };
+const numInput = { width: 44 };
+const badge = { borderRadius: 8, padding: "2px 6px", fontSize: 12 };
+
+function RangeInputs({ label, min, max, onChange }) {
+  const parse = (v) => (v === "" ? null : Number(v));
+  return (
+    <span style={{ whiteSpace: "nowrap" }}>
+      {label}{" "}
+      <input type="number" placeholder="min" value={min ?? ""} onChange={(e) => onChange(parse(e.target.value), max)} style={numInput} />
+      –
+      <input type="number" placeholder="max" value={max ?? ""} onChange={(e) => onChange(min, parse(e.target.value))} style={numInput} />
+    </span>
+  );
+}
+
+function FlagSelect({ label, value, onChange }) {
+  return (
+    <select value={value} onChange={(e) => onChange(e.target.value)} title={label}>
+      <option value="any">{label}: any</option>
+      <option value="only">{label} only</option>
+      <option value="hide">Hide {label.toLowerCase()}</option>
+    </select>
+  );
+}
+
+function Card({ t, pinned, fences, fenceIds, importColor, onSelect }) {
+  const normRisk = Math.max(0, Math.min(100, Math.round(t.risk ?? 0)));
+  const speed = trackSpeed(t);
+  // Mismatch is enriched per fix; the interpolated playback head has none
+  const mismatch = t._winPts?.findLast((p) => !p.interpolated)?.mismatch;
+  return (
+    <div
+      onClick={() => onSelect(t.id)}
+      style={{
+        height: ROW_H - 8,
+        boxSizing: "border-box",
+        overflow: "hidden",
+        border: `1px solid ${pinned ? "#ff6b00" : t.external ? importColor : "#444"}`,
+        borderRadius: 10,
+        padding: 10,
+        background: "#000",
+        cursor: "pointer",
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <div>
+          <b>{t.id}</b>{" "}
+          <span style={{ color: riskColor(t.risk) }}>— Risk {t.risk != null ? `${normRisk}/100` : "n/a"}</span>
+        </div>
+        {t.external && (
+          <span style={{ ...badge, background: "#001a17", color: importColor, border: `1px solid ${importColor}` }}>
+            IMPORTED · {t.sourceName}
+          </span>
+        )}
+        {t._stale && (
+          <span style={{ ...badge, background: "#2a0000", color: "#ff5555", border: "1px solid #ff5555" }}>STALE</span>
+        )}
+        {fenceIds?.map((fid) => {
+          const i = fences.findIndex((f) => f.id === fid);
+          return (
+            <span key={fid} style={{ ...badge, background: "#1a1a1a", color: fenceColor(i), border: `1px solid ${fenceColor(i)}` }}>
+              IN {fences[i]?.name}
+            </span>
+          );
+        })}
+        {t._gap && (
+          <span style={{ ...badge, background: "#2a1a00", color: "#ffb74d", border: "1px solid #ffb74d" }}>
+            GAP {Math.round(t._gapKm)} km
+            {t._linkConf != null && t._linkConf < LINK_CONF_MIN ? ` · link ${t._linkConf.toFixed(2)}` : ""}
+          </span>
+        )}
+        <span style={{ color: "#bbb", fontSize: 12 }}>· Last {t._ageLabel}</span>
+      </div>
+      <div style={{ fontSize: 12, color: "#bbb" }}>
+        Speed {speed?.toFixed?.(0) ?? "—"} km/h · Δheading vs wind {mismatch != null ? `${mismatch.toFixed(0)}°` : "—"}
+      </div>
+      <div style={{ fontSize: 12, color: "#bbb" }}>
+        Alt {fmtAlt(t._winPts?.at(-1)?.alt ?? t.altKm)} · Climb {fmtClimb(t.climbKmh)}
+      </div>
+      <div style={{ fontSize: 11, color: "#888" }}>
+        {t.riskFactors
+          ?.filter((f) => f.contribution >= 1)
+          .sort((a, b) => b.contribution - a.contribution)
+          .slice(0, 3)
+          .map((f) => `${f.label} +${f.contribution.toFixed(0)}`)
+          .join(" · ")}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Searchable, filterable, multi-sorted and virtualized balloon list.
+ * tracks are already filtered + sorted by App (the map shares the filters).
+ */
+export default function Watchlist({
+  tracks, total, filters, onFilters, sorts, onSorts, fences, byBalloon, pinnedId, importColor, onSelect,
+}) {
+  const listRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewH, setViewH] = useState(600);
+  const [showFilters, setShowFilters] = useState(isFiltering(filters));
+
+  useEffect(() => {
+    const el = listRef.current;
+    if (!el) return;
+    const ro = new ResizeObserver(() => setViewH(el.clientHeight));
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, []);
+
+  // Back to the top when the result set changes shape
+  useEffect(() => {
+    listRef.current?.scrollTo({ top: 0 });
+    setScrollTop(0);
+  }, [filters, sorts]);
+
+  const set = (patch) => onFilters({ ...filters, ...patch });
+  const first = Math.max(0, Math.floor(scrollTop / ROW_H) - OVERSCAN);
+  const last = Math.min(tracks.length, Math.ceil((scrollTop + viewH) / ROW_H) + OVERSCAN);
+
+  return (
+    <aside
+      style={{
+        position: "absolute",
+        right: 12,
+        top: 12,
+        width: 320,
+        maxHeight: "90vh",
+        display: "flex",
+        flexDirection: "column",
+        background: "#111",
+        borderRadius: 12,
+        padding: 10,
+        zIndex: 9999,
+        boxShadow: "0 6px 20px rgba(0,0,0,0.15)",
+        color: "white",
+      }}
+      onWheel={(e) => e.stopPropagation()}
+      onTouchMove={(e) => e.stopPropagation()}
+    >
+      <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+        <input
+          placeholder="Search ID…"
+          value={filters.q ?? ""}
+          onChange={(e) => set({ q: e.target.value || null })}
+          style={{ flex: 1 }}
+        />
+        <button style={{ ...btn, background: showFilters ? "#eee" : "#fff" }} onClick={() => setShowFilters((v) => !v)}>
+          Filters{isFiltering({ ...filters, q: null }) ? " •" : ""}
+        </button>
+      </div>
+
+      {showFilters && (
+        <div style={{ display: "flex", gap: 6, flexWrap: "wrap", fontSize: 12, marginTop: 6 }}>
+          <FlagSelect label="Stale" value={filters.stale} onChange={(v) => set({ stale: v })} />
+          <FlagSelect label="Gap" value={filters.gap} onChange={(v) => set({ gap: v })} />
+          <select value={filters.region ?? ""} onChange={(e) => set({ region: e.target.value || null })} title="Region">
+            <option value="">Anywhere</option>
+            {fences.map((f) => (
+              <option key={f.id} value={f.id}>In {f.name}</option>
+            ))}
+          </select>
+          <RangeInputs label="Risk" min={filters.riskMin} max={filters.riskMax} onChange={(a, b) => set({ riskMin: a, riskMax: b })} />
+          <RangeInputs label="km/h" min={filters.speedMin} max={filters.speedMax} onChange={(a, b) => set({ speedMin: a, speedMax: b })} />
+          <RangeInputs label="Alt km" min={filters.altMin} max={filters.altMax} onChange={(a, b) => set({ altMin: a, altMax: b })} />
+          <button style={btn} onClick={() => onFilters(DEFAULT_FILTERS)}>Reset</button>
+        </div>
+      )}
+
+      {/* Sort: click = primary key (again to flip), shift-click = add a tie-breaker */}
+      <div style={{ display: "flex", gap: 4, flexWrap: "wrap", fontSize: 12, marginTop: 6 }} title="Shift-click to add a secondary sort">
+        {Object.entries(SORT_COLUMNS).map(([key, col]) => {
+          const i = sorts.findIndex((s) => s.key === key);
+          return (
+            <button
+              key={key}
+              style={{ ...btn, background: i >= 0 ? "#eee" : "#fff" }}
+              onClick={(e) => onSorts(toggleSort(sorts, key, e.shiftKey))}
+            >
+              {col.label}
+              {i >= 0 && `${sorts[i].dir === "desc" ? " ↓" : " ↑"}${sorts.length > 1 ? i + 1 : ""}`}
+            </button>
+          );
+        })}
+      </div>
+
+      <div style={{ color: "#888", fontSize: 12, margin: "6px 0" }}>
+        {tracks.length === total ? `${total} balloons` : `${tracks.length} of ${total} balloons`}
+      </div>
+
+      <div
+        ref={listRef}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        style={{ flex: "1 1 auto", minHeight: 0, overflow: "auto" }}
+      >
+        <div style={{ height: tracks.length * ROW_H, position: "relative" }}>
+          {tracks.slice(first, last).map((t, k) => (
+            <div key={t.id} style={{ position: "absolute", top: (first + k) * ROW_H, left: 0, right: 0 }}>
+              <Card
+                t={t}
+                pinned={t.id === pinnedId}
+                fences={fences}
+                fenceIds={byBalloon[t.id]}
+                importColor={importColor}
+                onSelect={onSelect}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+    </aside>
+  );
+}
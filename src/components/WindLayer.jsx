@@ -0,0 +1,115 @@
+import { useEffect, useRef } from "react";
+import { useMap } from "react-leaflet";
+import L from "leaflet";
+import { barbFeathers, windSpeedColor } from "../lib/windGrid";
+
+// Wind barbs on their own canvas, under the balloon canvas (see CanvasTrackLayer)
+const PANE = "windCanvas";
+const STAFF_PX = 24;
+const FEATHER_PX = 9;
+
+// Staff points to where the wind comes FROM; feathers on the clockwise side in the
+// northern hemisphere, the other side in the southern, as on a weather map
+function drawBarb(ctx, x, y, { lat, speed, dir }) {
+  const f = barbFeathers(speed);
+  ctx.strokeStyle = ctx.fillStyle = windSpeedColor(speed);
+  if (f.calm) {
+    ctx.beginPath();
+    ctx.arc(x, y, 3, 0, 2 * Math.PI);
+    ctx.stroke();
+    return;
+  }
+  const θ = (dir * Math.PI) / 180;
+  const ux = Math.sin(θ), uy = -Math.cos(θ);
+  const side = lat >= 0 ? 1 : -1;
+  const px = -uy * side, py = ux * side;
+  const at = (d, off = 0) => [x + ux * d + px * off, y + uy * d + py * off];
+
+  ctx.beginPath();
+  ctx.moveTo(x, y);
+  ctx.lineTo(...at(STAFF_PX));
+  ctx.stroke();
+
+  let d = STAFF_PX;
+  for (let i = 0; i < f.pennants; i++) {
+    ctx.beginPath();
+    ctx.moveTo(...at(d));
+    ctx.lineTo(...at(d - 2, FEATHER_PX));
+    ctx.lineTo(...at(d - 5));
+    ctx.closePath();
+    ctx.fill();
+    d -= 6;
+  }
+  if (!f.pennants && !f.barbs) d -= 4; // a lone half barb sits off the tip
+  for (let i = 0; i < f.barbs + f.halves; i++) {
+    const len = i < f.barbs ? FEATHER_PX : FEATHER_PX / 2;
+    ctx.beginPath();
+    ctx.moveTo(...at(d));
+    ctx.lineTo(...at(d + len / 3, len));
+    ctx.stroke();
+    d -= 4;
+  }
+}
+
+// barbs = [{ lat, lon, speed (m/s), dir (deg FROM) }]
+export default function WindLayer({ barbs }) {
+  const map = useMap();
+  const barbsRef = useRef(barbs);
+  barbsRef.current = barbs;
+  const drawRef = useRef(null);
+
+  useEffect(() => {
+    const pane = map.getPane(PANE) ?? map.createPane(PANE);
+    pane.style.zIndex = 420;
+    pane.style.pointerEvents = "none";
+    const canvas = L.DomUtil.create("canvas", "leaflet-zoom-hide", pane);
+    let frame = null;
+
+    function draw() {
+      frame = null;
+      const size = map.getSize();
+      const dpr = window.devicePixelRatio || 1;
+      L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+      canvas.width = size.x * dpr;
+      canvas.height = size.y * dpr;
+      canvas.style.width = `${size.x}px`;
+      canvas.style.height = `${size.y}px`;
+      const ctx = canvas.getContext("2d");
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, size.x, size.y);
+      ctx.lineWidth = 1.5;
+      ctx.globalAlpha = 0.85;
+
+      const worldW = 256 * 2 ** map.getZoom();
+      const offsets = [-worldW, 0, worldW].filter((dx) => dx === 0 || worldW < size.x * 2);
+      for (const b of barbsRef.current) {
+        const q = map.latLngToContainerPoint([b.lat, b.lon]);
+        for (const dx of offsets) {
+          const x = q.x + dx;
+          if (x < -STAFF_PX || x > size.x + STAFF_PX || q.y < -STAFF_PX || q.y > size.y + STAFF_PX) continue;
+          drawBarb(ctx, x, q.y, b);
+        }
+      }
+    }
+
+    const schedule = () => {
+      if (frame == null) frame = requestAnimationFrame(draw);
+    };
+    map.on("moveend zoomend resize viewreset", schedule);
+    drawRef.current = schedule;
+    schedule();
+
+    return () => {
+      map.off("moveend zoomend resize viewreset", schedule);
+      if (frame != null) cancelAnimationFrame(frame);
+      canvas.remove();
+      drawRef.current = null;
+    };
+  }, [map]);
+
+  useEffect(() => {
+    drawRef.current?.();
+  }, [barbs]);
+
+  return null;
+}
@@ -0,0 +1,77 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { evaluateRules, appendEvents } from "../lib/alerts";
+
+const RULES_KEY = "windborne.alertRules";
+const LOG_KEY = "windborne.alertLog";
+const ACTIVE_KEY = "windborne.alertActive";
+
+const DEFAULT_RULES = [
+  { id: "default-risk", type: "riskAbove", value: 80, enabled: true },
+  { id: "default-stale", type: "becameStale", enabled: false },
+  { id: "default-gap", type: "gapAbove", value: 300, enabled: false },
+];
+
+function read(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function write(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // quota / private mode — the log just won't survive a reload
+  }
+}
+
+function notify(events) {
+  if (typeof Notification === "undefined" || Notification.permission !== "granted") return;
+  if (events.length > 3) {
+    new Notification(`WindBorne: ${events.length} new alerts`, {
+      body: events.slice(0, 3).map((e) => `${e.balloonId}: ${e.message}`).join("\n"),
+      tag: "windborne-batch",
+    });
+    return;
+  }
+  for (const e of events) {
+    new Notification(`WindBorne ${e.balloonId}: ${e.rule}`, { body: e.message, tag: e.key });
+  }
+}
+
+// Rules + persistent event log; call evaluate(tracks, nowSec) once per load pass
+export function useAlerts() {
+  const [rules, setRules] = useState(() => read(RULES_KEY, DEFAULT_RULES));
+  const [log, setLog] = useState(() => read(LOG_KEY, []));
+  const activeRef = useRef(read(ACTIVE_KEY, {}));
+  const rulesRef = useRef(rules);
+  rulesRef.current = rules;
+
+  useEffect(() => write(RULES_KEY, rules), [rules]);
+  useEffect(() => write(LOG_KEY, log), [log]);
+
+  // Stable, so callers can run it once per pass; it reads the current rules from a ref
+  const evaluate = useCallback((tracks, nowSec) => {
+    const { events, active } = evaluateRules(rulesRef.current, tracks, activeRef.current, nowSec);
+    activeRef.current = active;
+    write(ACTIVE_KEY, active);
+    if (!events.length) return;
+    setLog((l) => appendEvents(l, events));
+    notify(events);
+  }, []);
+
+  const ackedAt = () => Math.floor(Date.now() / 1000);
+  const ack = useCallback(
+    (id) => setLog((l) => l.map((e) => (e.id === id && !e.acked ? { ...e, acked: true, ackedAt: ackedAt() } : e))),
+    []
+  );
+  const ackAll = useCallback(
+    () => setLog((l) => l.map((e) => (e.acked ? e : { ...e, acked: true, ackedAt: ackedAt() }))),
+    []
+  );
+  const clearLog = useCallback(() => setLog([]), []);
+
+  return { rules, setRules, log, evaluate, ack, ackAll, clearLog, unacked: log.filter((e) => !e.acked).length };
+}
@@ -0,0 +1,24 @@
+import { useEffect, useState } from "react";
+
+// useState mirrored to localStorage under `key`
+export function usePersistentState(key, initial) {
+  const [value, setValue] = useState(() => {
+    try {
+      const raw = localStorage.getItem(key);
+      if (raw != null) return JSON.parse(raw);
+    } catch {
+      // unreadable → fall back to initial
+    }
+    return typeof initial === "function" ? initial() : initial;
+  });
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch {
+      // quota / private mode — value just won't survive a reload
+    }
+  }, [key, value]);
+
+  return [value, setValue];
+}
@@ -0,0 +1,85 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { frameTracks } from "../lib/tracks";
+
+const PREFETCH_TICKS = 30; // frames requested ahead of the playhead while playing
+const MAX_FRAMES = 1000;   // cached per generation; a recording plans at most 600
+
+// Same fixes at the same times: frames computed for a stay valid for b
+function sameFixes(a, b) {
+  if (a.length !== b.length) return false;
+  return a.every((p, i) => p.ts === b[i].ts && p.lat === b[i].lat && p.lon === b[i].lon && p.alt === b[i].alt);
+}
+
+/**
+ * Tracks windowed at the playhead (see windowAt), with the windowing done by the ingest
+ * worker: frames are cached per whole second and, while playing (stepSec > 0), the next
+ * PREFETCH_TICKS ticks are requested ahead so each tick only slices points.
+ * Until a frame for timeSec arrives the last windowed tracks stay on screen, flagged:
+ * pending is true and shownSec is the time they are windowed at (null before the first frame).
+ * → { windowed, pending, shownSec, prefetch(times) → Promise } — prefetch readies frames for seeks to come.
+ */
+export function usePlaybackFrames(client, tracks, timeSec, tailSec, { stepSec = 0 } = {}) {
+  // Bumped only when fixes change, so enrichment patches and risk edits reuse the frames
+  const genRef = useRef({ gen: 0, tracks: [] });
+  if (tracks !== genRef.current.tracks) {
+    const prev = genRef.current;
+    const moved = tracks.length !== prev.tracks.length || tracks.some((t, i) => !sameFixes(t.points, prev.tracks[i].points));
+    genRef.current = { gen: moved ? prev.gen + 1 : prev.gen, tracks };
+  }
+  const gen = genRef.current.gen;
+
+  const cacheRef = useRef(null);
+  if (cacheRef.current?.gen !== gen || cacheRef.current.tailSec !== tailSec) {
+    cacheRef.current = { gen, tailSec, frames: new Map(), pending: new Set() };
+  }
+  const [, setLanded] = useState(0); // bumped when frames arrive
+
+  useEffect(() => {
+    client.setTracks(gen, genRef.current.tracks.map((t) => t.points)).catch(() => {});
+  }, [client, gen]);
+
+  const prefetch = useCallback(
+    async (times) => {
+      const cache = cacheRef.current;
+      const want = [...new Set(times.map(Math.round))].filter((t) => !cache.frames.has(t) && !cache.pending.has(t));
+      if (!want.length) return;
+      want.forEach((t) => cache.pending.add(t));
+      try {
+        const frames = await client.frames(cache.gen, want, cache.tailSec);
+        if (cacheRef.current !== cache) return; // tracks or tail changed meanwhile
+        for (const f of frames) cache.frames.set(f.tSec, f);
+        // Maps iterate in insertion order, so this drops the oldest frames first
+        for (const t of cache.frames.keys()) {
+          if (cache.frames.size <= MAX_FRAMES) break;
+          cache.frames.delete(t);
+        }
+        setLanded((n) => n + 1);
+      } catch {
+        // superseded by newer tracks; the next request covers the playhead
+      } finally {
+        want.forEach((t) => cache.pending.delete(t));
+      }
+    },
+    [client]
+  );
+
+  useEffect(() => {
+    if (timeSec == null) return;
+    const times = [timeSec];
+    for (let k = 1; stepSec > 0 && k <= PREFETCH_TICKS; k++) times.push(timeSec + k * stepSec);
+    prefetch(times);
+  }, [prefetch, gen, tailSec, timeSec, stepSec]);
+
+  const frame = timeSec == null ? null : cacheRef.current.frames.get(Math.round(timeSec));
+  const lastRef = useRef(null); // { windowed, shownSec } last put on screen
+  const shown = useMemo(() => {
+    if (timeSec == null) {
+      return { windowed: tracks.map((t) => ({ ...t, _winPts: t.points, _winSpeed: NaN, _winBearing: NaN })), shownSec: null };
+    }
+    if (frame) return { windowed: frameTracks(tracks, frame), shownSec: frame.tSec };
+    return lastRef.current ?? { windowed: tracks.map((t) => ({ ...t, _winPts: [], _winSpeed: NaN, _winBearing: NaN })), shownSec: null };
+  }, [tracks, timeSec, frame]);
+  lastRef.current = shown;
+
+  return { ...shown, pending: timeSec != null && !frame, prefetch };
+}
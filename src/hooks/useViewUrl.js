@@ -0,0 +1,30 @@
+import { useEffect, useRef } from "react";
+import { encodeView, initialView, onlyMinorChange } from "../lib/viewState";
+
+/**
+ * Mirror `view` into the query string and apply it back on browser back/forward.
+ * Navigation-worthy changes push a history entry; map moves just replace the current one.
+ * onNavigate(view) is called on popstate with the URL's view, defaults filled in.
+ * replace: never push (e.g. while playback is stepping the window every tick).
+ */
+export function useViewUrl(view, onNavigate, { replace = false } = {}) {
+  const query = encodeView(view);
+  const onNavigateRef = useRef(onNavigate);
+  onNavigateRef.current = onNavigate;
+
+  useEffect(() => {
+    const current = window.location.search.replace(/^\?/, "");
+    if (query === current) return;
+    const url = `${window.location.pathname}${query ? `?${query}` : ""}${window.location.hash}`;
+    if (replace || onlyMinorChange(current, query)) window.history.replaceState(null, "", url);
+    else window.history.pushState(null, "", url);
+  }, [query, replace]);
+
+  useEffect(() => {
+    const onPop = () => onNavigateRef.current(initialView(window.location.search));
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+
+  return query;
+}
@@ -0,0 +1,36 @@
+import { useEffect, useRef, useState } from "react";
+import { fetchGridSeries } from "../api/openmeteo";
+import { gridForBounds } from "../lib/windGrid";
+
+const DEBOUNCE_MS = 400;
+
+/**
+ * Wind series on a grid over the map view, refetched (debounced) as the view moves.
+ * Series reach back to sinceSec so the overlay can follow the playback clock.
+ * → { nodes: [{ lat, lon, series }], step, loading, error }
+ */
+export function useWindGrid(enabled, bounds, pxWide, sinceSec) {
+  const [state, setState] = useState({ nodes: [], step: null, loading: false, error: null });
+  const seqRef = useRef(0);
+
+  useEffect(() => {
+    if (!enabled || !bounds) return;
+    const seq = ++seqRef.current;
+    const id = setTimeout(async () => {
+      const { step, points } = gridForBounds(bounds, { pxWide });
+      setState((s) => ({ ...s, loading: true, error: null }));
+      try {
+        const series = await fetchGridSeries(points, { sinceSec, strict: true });
+        if (seq !== seqRef.current) return;
+        const nodes = points.map((p, i) => ({ ...p, series: series[i] })).filter((n) => n.series);
+        setState({ nodes, step, loading: false, error: nodes.length < points.length ? "some grid points failed" : null });
+      } catch (e) {
+        if (seq !== seqRef.current) return;
+        setState((s) => ({ ...s, loading: false, error: e.status === 429 ? "rate limited, pan to retry" : String(e.message ?? e) }));
+      }
+    }, DEBOUNCE_MS);
+    return () => clearTimeout(id);
+  }, [enabled, bounds, pxWide, sinceSec]);
+
+  return enabled ? state : { nodes: [], step: null, loading: false, error: null };
+}
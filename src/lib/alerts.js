@@ -0,0 +1,88 @@
+// Alert rules, evaluated against scored tracks after each load pass.
+// Rules are edge-triggered per (rule, balloon): an event fires when a condition
+// becomes true and re-arms only after it clears, so a refresh never repeats it.
+// Rules marked usesWinds can't clear on a track whose winds haven't loaded yet.
+import { pointInPolygon } from "./geo.js";
+
+// rule: { id, type, value?, polygon?, polygonName?, enabled }
+export const RULE_TYPES = {
+  riskAbove: {
+    label: "Risk above",
+    defaultValue: 80,
+    usesWinds: true, // risk without winds reads low until enrichment lands
+    test: (t, r) => (t.risk != null && t.risk > r.value ? `risk ${t.risk} > ${r.value}` : null),
+  },
+  becameStale: {
+    label: "Goes STALE",
+    test: (t) => (t._stale ? `no fix for ${t._ageLabel}` : null),
+  },
+  gapAbove: {
+    label: "Gap above (km)",
+    defaultValue: 300,
+    test: (t, r) => (t._gapKm > r.value ? `gap ${Math.round(t._gapKm)} km > ${r.value} km` : null),
+  },
+  entersPolygon: {
+    label: "Enters polygon",
+    test: (t, r) => {
+      const last = t.points?.at(-1);
+      if (!last || !(r.polygon?.length >= 3)) return null;
+      return pointInPolygon(last, r.polygon) ? `inside ${r.polygonName || "polygon"}` : null;
+    },
+  },
+  altitudeDrop: {
+    label: "Altitude drops faster than (km/h)",
+    defaultValue: 2,
+    test: (t, r) =>
+      t.climbKmh != null && -t.climbKmh > r.value ? `sinking ${(-t.climbKmh).toFixed(2)} km/h` : null,
+  },
+};
+
+export function describeRule(rule) {
+  const type = RULE_TYPES[rule.type];
+  if (!type) return `Unknown rule (${rule.type})`;
+  if (rule.type === "entersPolygon") return `${type.label} ${rule.polygonName || ""}`.trim();
+  return type.defaultValue != null ? `${type.label} ${rule.value}` : type.label;
+}
+
+/**
+ * @param rules   enabled and disabled rules
+ * @param tracks  scored tracks; unenriched ones carry usesWinds rules' state forward
+ * @param active  { "ruleId:balloonId": true } from the previous pass
+ * @returns {{ events: Array, active: object }} events are new firings only
+ */
+export function evaluateRules(rules, tracks, active = {}, nowSec = Math.floor(Date.now() / 1000)) {
+  const events = [];
+  const nextActive = {};
+
+  for (const rule of rules) {
+    const type = RULE_TYPES[rule.type];
+    if (!rule.enabled || !type) continue;
+    for (const t of tracks) {
+      const message = type.test(t, rule);
+      const key = `${rule.id}:${t.id}`;
+      if (!message) {
+        if (type.usesWinds && !t.enriched && active[key]) nextActive[key] = true;
+        continue;
+      }
+      nextActive[key] = true;
+      if (active[key]) continue;
+      events.push({
+        id: `${key}:${nowSec}`,
+        key,
+        ruleId: rule.id,
+        rule: describeRule(rule),
+        balloonId: t.id,
+        message,
+        ts: nowSec,
+        acked: false,
+      });
+    }
+  }
+  return { events, active: nextActive };
+}
+
+// Newest first, bounded
+export function appendEvents(log, events, max = 500) {
+  if (!events.length) return log;
+  return [...events.slice().reverse(), ...log].slice(0, max);
+}
@@ -0,0 +1,87 @@
+import { describe, it, expect } from "vitest";
+import { evaluateRules, appendEvents, describeRule } from "./alerts.js";
+import { buildTracks, carryEnrichment } from "./tracks.js";
+import { scoreRisk } from "./risk.js";
+
+const rules = [
+  { id: "r1", type: "riskAbove", value: 80, enabled: true },
+  { id: "r2", type: "becameStale", enabled: true },
+  { id: "r3", type: "entersPolygon", polygonName: "Box", polygon: [[0, 0], [0, 10], [10, 10], [10, 0]], enabled: true },
+  { id: "r4", type: "altitudeDrop", value: 2, enabled: false },
+];
+
+const track = (over) => ({ id: "b1", enriched: true, risk: 10, _stale: false, climbKmh: -5, points: [{ lat: 20, lon: 20 }], ...over });
+
+describe("evaluateRules", () => {
+  it("fires once when a condition becomes true", () => {
+    const first = evaluateRules(rules, [track({ risk: 90 })], {}, 100);
+    expect(first.events).toHaveLength(1);
+    expect(first.events[0]).toMatchObject({ ruleId: "r1", balloonId: "b1", message: "risk 90 > 80", acked: false });
+
+    const again = evaluateRules(rules, [track({ risk: 95 })], first.active, 200);
+    expect(again.events).toHaveLength(0);
+  });
+
+  it("re-arms after the condition clears", () => {
+    const a = evaluateRules(rules, [track({ risk: 90 })], {}, 100);
+    const b = evaluateRules(rules, [track({ risk: 10 })], a.active, 200);
+    const c = evaluateRules(rules, [track({ risk: 90 })], b.active, 300);
+    expect(b.events).toHaveLength(0);
+    expect(c.events).toHaveLength(1);
+  });
+
+  it("tracks each balloon separately", () => {
+    const res = evaluateRules(rules, [track({ id: "b1", _stale: true }), track({ id: "b2", _stale: true })], {}, 1);
+    expect(res.events.map((e) => e.balloonId)).toEqual(["b1", "b2"]);
+  });
+
+  it("detects entering a polygon and skips disabled rules", () => {
+    const res = evaluateRules(rules, [track({ points: [{ lat: 5, lon: 5 }] })], {}, 1);
+    expect(res.events.map((e) => e.ruleId)).toEqual(["r3"]);
+  });
+
+  it("holds a risk alert while a track's winds are reloading", () => {
+    const a = evaluateRules(rules, [track({ risk: 90 })], {}, 100);
+    const b = evaluateRules(rules, [track({ risk: 40, enriched: false })], a.active, 200);
+    expect(b.active["r1:b1"]).toBe(true);
+    const c = evaluateRules(rules, [track({ risk: 10 })], b.active, 300);
+    expect(c.active["r1:b1"]).toBeUndefined();
+  });
+
+  it("doesn't re-fire across an hourly pass for an unchanged risk", () => {
+    const H = 3600;
+    // Fast, climbing and heading straight into a sheared wind: high risk once winds are in
+    const W = { wind700: 5, dir700: 0, wind500: 40, dir500: 0 };
+    const fix = (k) => ({ lat: k, lon: 50, alt: 10 + 3 * k, ts: k * H, row: 0 });
+    const enrich = (t) => ({ ...t, ...W, enriched: true, points: t.points.map((p) => ({ ...p, ...W, mismatch: 180 })) });
+    const pass = (tracks, active, nowSec) =>
+      evaluateRules(rules, tracks.map((t) => ({ ...t, ...scoreRisk(t) })), active, nowSec);
+
+    const first = buildTracks({ b1: [fix(0), fix(1)] }, H).map(enrich);
+    const a = pass(first, {}, H);
+    expect(a.events.map((e) => e.ruleId)).toEqual(["r1"]);
+
+    // Next hour: a new fix, not yet enriched, scores low without winds
+    const second = carryEnrichment(buildTracks({ b1: [fix(0), fix(1), fix(2)] }, 2 * H), first);
+    expect(scoreRisk(second[0]).risk).toBeLessThan(80);
+    const b = pass(second, a.active, 2 * H);
+    expect(b.events).toHaveLength(0);
+
+    const c = pass(second.map(enrich), b.active, 2 * H + 600);
+    expect(c.events).toHaveLength(0);
+  });
+});
+
+describe("appendEvents", () => {
+  it("keeps the newest first and bounds the log", () => {
+    const log = appendEvents([{ id: "old" }], [{ id: "a" }, { id: "b" }], 2);
+    expect(log.map((e) => e.id)).toEqual(["b", "a"]);
+  });
+});
+
+describe("describeRule", () => {
+  it("includes thresholds and polygon names", () => {
+    expect(describeRule(rules[0])).toBe("Risk above 80");
+    expect(describeRule(rules[2])).toBe("Enters polygon Box");
+  });
+});
@@ -0,0 +1,44 @@
+// Altitude helpers — feed altitudes are in km above sea level
+
+// Climb (+) / sink (−) rate between the last two points that carry altitude, km/h
+export function climbRateKmh(points) {
+  const withAlt = points.filter((p) => p.alt != null);
+  if (withAlt.length < 2) return undefined;
+  const prev = withAlt[withAlt.length - 2];
+  const last = withAlt[withAlt.length - 1];
+  const dtH = Math.max((last.ts - prev.ts) / 3600, 1e-6);
+  return (last.alt - prev.alt) / dtH;
+}
+
+// Low → high: warm → cool. Capped at 25 km (above any balloon we track).
+const ALT_STOPS = [
+  [0, [215, 48, 39]],
+  [5, [252, 141, 89]],
+  [10, [254, 224, 144]],
+  [15, [145, 191, 219]],
+  [25, [69, 117, 180]],
+];
+
+export function altitudeColor(altKm) {
+  if (altKm == null) return "#888";
+  const a = Math.max(ALT_STOPS[0][0], Math.min(altKm, ALT_STOPS.at(-1)[0]));
+  for (let i = 1; i < ALT_STOPS.length; i++) {
+    const [a1, c1] = ALT_STOPS[i];
+    if (a > a1) continue;
+    const [a0, c0] = ALT_STOPS[i - 1];
+    const t = (a - a0) / (a1 - a0 || 1);
+    const rgb = c0.map((v, k) => Math.round(v + (c1[k] - v) * t));
+    return `rgb(${rgb.join(",")})`;
+  }
+  return `rgb(${ALT_STOPS.at(-1)[1].join(",")})`;
+}
+
+export function fmtAlt(altKm) {
+  return altKm != null ? `${altKm.toFixed(1)} km` : "—";
+}
+
+export function fmtClimb(kmh) {
+  if (kmh == null) return "—";
+  const sign = kmh > 0 ? "+" : kmh < 0 ? "−" : "";
+  return `${sign}${Math.abs(kmh).toFixed(2)} km/h`;
+}
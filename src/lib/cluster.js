@@ -0,0 +1,50 @@
+// Screen-space grid clustering for low zoom levels.
+// Items are bucketed by their Web Mercator pixel position at the given zoom;
+// each bucket reports its size, centroid and worst risk.
+
+const TILE = 256;
+
+// lat/lon → world pixel at zoom (Web Mercator, as Leaflet's default CRS)
+export function projectPx(lat, lon, zoom) {
+  const scale = TILE * 2 ** zoom;
+  const clamped = Math.max(-85.05112878, Math.min(85.05112878, lat));
+  const s = Math.sin((clamped * Math.PI) / 180);
+  return {
+    x: ((lon + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + s) / (1 - s)) / (4 * Math.PI)) * scale,
+  };
+}
+
+/**
+ * @param items  [{ id, lat, lon, risk? }]
+ * @returns [{ lat, lon, count, maxRisk, ids }] — single-item clusters included
+ */
+export function clusterPoints(items, zoom, radiusPx = 40) {
+  const cells = new Map();
+  for (const it of items) {
+    const { x, y } = projectPx(it.lat, it.lon, zoom);
+    const key = `${Math.floor(x / radiusPx)},${Math.floor(y / radiusPx)}`;
+    let c = cells.get(key);
+    if (!c) {
+      c = { latSum: 0, lonSum: 0, count: 0, maxRisk: null, ids: [] };
+      cells.set(key, c);
+    }
+    c.latSum += it.lat;
+    c.lonSum += it.lon;
+    c.count++;
+    c.ids.push(it.id);
+    if (it.risk != null && (c.maxRisk == null || it.risk > c.maxRisk)) c.maxRisk = it.risk;
+  }
+  return [...cells.values()].map((c) => ({
+    lat: c.latSum / c.count,
+    lon: c.lonSum / c.count,
+    count: c.count,
+    maxRisk: c.maxRisk,
+    ids: c.ids,
+  }));
+}
+
+export function riskColor(risk) {
+  if (risk == null) return "#888";
+  return risk >= 80 ? "#d9534f" : risk >= 50 ? "#f0ad4e" : "#5cb85c";
+}
@@ -0,0 +1,28 @@
+import { describe, it, expect } from "vitest";
+import { projectPx, clusterPoints } from "./cluster.js";
+
+describe("projectPx", () => {
+  it("maps the world to 256·2^z pixels", () => {
+    expect(projectPx(0, 0, 0)).toEqual({ x: 128, y: 128 });
+    expect(projectPx(0, 180, 1).x).toBe(512);
+  });
+});
+
+describe("clusterPoints", () => {
+  const items = [
+    { id: "a", lat: 10, lon: 10, risk: 20 },
+    { id: "b", lat: 10.5, lon: 10.5, risk: 85 },
+    { id: "c", lat: -40, lon: 120 },
+  ];
+
+  it("merges nearby points at low zoom and keeps the worst risk", () => {
+    const cs = clusterPoints(items, 2).sort((x, y) => y.count - x.count);
+    expect(cs).toHaveLength(2);
+    expect(cs[0]).toMatchObject({ count: 2, maxRisk: 85, ids: ["a", "b"], lat: 10.25 });
+    expect(cs[1]).toMatchObject({ count: 1, maxRisk: null, ids: ["c"] });
+  });
+
+  it("separates them when zoomed in", () => {
+    expect(clusterPoints(items, 9)).toHaveLength(3);
+  });
+});
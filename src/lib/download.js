@@ -0,0 +1,13 @@
+// Browser download of a generated file; a UTC timestamp goes before the extension
+// so repeated exports don't overwrite each other.
+export function saveBlob(blob, filename) {
+  const a = document.createElement("a");
+  const ts = new Date().toISOString().replace(/[:.]/g, "-");
+  const dot = filename.lastIndexOf(".");
+  a.href = URL.createObjectURL(blob);
+  a.download = `${filename.slice(0, dot)}-${ts}${filename.slice(dot)}`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(a.href);
+}
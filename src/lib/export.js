@@ -0,0 +1,160 @@
+// Track serializers: GeoJSON, KML, GPX and long-format CSV.
+// Pure string builders over (windowed) tracks, so the UI and headless scripts share them.
+// A track's exported points are its _winPts when present, else all of its points;
+// playback's interpolated head is not a fix and is left out.
+
+const isoTime = (sec) => new Date(sec * 1000).toISOString().replace(".000Z", "Z");
+const num = (v, digits) => (v == null || !Number.isFinite(v) ? null : Number(v.toFixed(digits)));
+
+function trackPoints(t) {
+  return (t._winPts ?? t.points ?? []).filter((p) => !p.interpolated);
+}
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&'"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" })[c]);
+}
+
+function csvCell(v) {
+  if (v == null) return "";
+  const s = String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Track-level properties carried by every format that has room for them
+function trackProps(t) {
+  return {
+    id: t.id,
+    risk: t.risk ?? null,
+    stale: !!t._stale,
+    drift_kmh: num(t.driftKmh, 1),
+    heading_deg: num(t.headingDeg, 1),
+    alt_km: num(t.altKm, 3),
+  };
+}
+
+/** ---------- GeoJSON ---------- **/
+// One LineString feature per track (a single-fix track becomes a Point);
+// per-fix times ride along in properties.times, as most viewers expect
+export function toGeoJSON(tracks) {
+  const features = [];
+  for (const t of tracks) {
+    const pts = trackPoints(t);
+    if (!pts.length) continue;
+    const coords = pts.map((p) => (p.alt != null ? [p.lon, p.lat, num(p.alt * 1000, 0)] : [p.lon, p.lat]));
+    features.push({
+      type: "Feature",
+      geometry: coords.length > 1 ? { type: "LineString", coordinates: coords } : { type: "Point", coordinates: coords[0] },
+      properties: { ...trackProps(t), times: pts.map((p) => isoTime(p.ts)) },
+    });
+  }
+  return JSON.stringify({ type: "FeatureCollection", features });
+}
+
+/** ---------- KML ---------- **/
+// gx:Track placemarks, so Google Earth's time slider animates each balloon
+export function toKML(tracks, name = "WindBorne balloons") {
+  const placemarks = [];
+  for (const t of tracks) {
+    const pts = trackPoints(t);
+    if (!pts.length) continue;
+    const whens = pts.map((p) => `        <when>${isoTime(p.ts)}</when>`);
+    const coords = pts.map((p) => `        <gx:coord>${p.lon} ${p.lat} ${num((p.alt ?? 0) * 1000, 0)}</gx:coord>`);
+    const props = trackProps(t);
+    const data = Object.entries(props)
+      .filter(([k, v]) => k !== "id" && v != null)
+      .map(([k, v]) => `        <Data name="${k}"><value>${escapeXml(v)}</value></Data>`);
+    placemarks.push(
+      [
+        "    <Placemark>",
+        `      <name>${escapeXml(t.id)}</name>`,
+        "      <ExtendedData>",
+        ...data,
+        "      </ExtendedData>",
+        "      <gx:Track>",
+        "        <altitudeMode>absolute</altitudeMode>",
+        ...whens,
+        ...coords,
+        "      </gx:Track>",
+        "    </Placemark>",
+      ].join("\n")
+    );
+  }
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    "  <Document>",
+    `    <name>${escapeXml(name)}</name>`,
+    ...placemarks,
+    "  </Document>",
+    "</kml>",
+    "",
+  ].join("\n");
+}
+
+/** ---------- GPX ---------- **/
+// One <trk> per balloon; elevation in metres
+export function toGPX(tracks, creator = "windborne-viewer") {
+  const trks = [];
+  for (const t of tracks) {
+    const pts = trackPoints(t);
+    if (!pts.length) continue;
+    const trkpts = pts.map((p) => {
+      const ele = p.alt != null ? `<ele>${num(p.alt * 1000, 0)}</ele>` : "";
+      return `      <trkpt lat="${p.lat}" lon="${p.lon}">${ele}<time>${isoTime(p.ts)}</time></trkpt>`;
+    });
+    const desc = t.risk != null ? `\n    <desc>risk ${t.risk}${t._stale ? ", stale" : ""}</desc>` : "";
+    trks.push(
+      [`  <trk>\n    <name>${escapeXml(t.id)}</name>${desc}`, "    <trkseg>", ...trkpts, "    </trkseg>", "  </trk>"].join("\n")
+    );
+  }
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${escapeXml(creator)}" xmlns="http://www.topografix.com/GPX/1/1">`,
+    ...trks,
+    "</gpx>",
+    "",
+  ].join("\n");
+}
+
+/** ---------- CSV ---------- **/
+export const CSV_COLUMNS = [
+  "id", "ts", "time_utc", "src_hour", "lat", "lon", "alt_km",
+  "wind700_ms", "dir700_deg", "wind500_ms", "dir500_deg", "mismatch_deg",
+  "link_conf", "risk", "stale",
+];
+
+// Long format: one row per fix. Winds are per fix (blank where not enriched);
+// risk and stale are the track's current values, repeated on each row
+export function toCSV(tracks) {
+  const rows = [CSV_COLUMNS.join(",")];
+  for (const t of tracks) {
+    for (const p of trackPoints(t)) {
+      rows.push(
+        [
+          t.id, p.ts, isoTime(p.ts), p.srcHour ?? "", p.lat, p.lon, num(p.alt, 3),
+          num(p.wind700, 1), num(p.dir700, 0), num(p.wind500, 1), num(p.dir500, 0), num(p.mismatch, 0),
+          num(p.conf, 2), t.risk, t._stale ? "TRUE" : "FALSE",
+        ].map(csvCell).join(",")
+      );
+    }
+  }
+  return `${rows.join("\n")}\n`;
+}
+
+/** ---------- Registry ---------- **/
+export const EXPORT_FORMATS = {
+  geojson: { label: "GeoJSON", ext: "geojson", mime: "application/geo+json", serialize: toGeoJSON },
+  kml: { label: "KML", ext: "kml", mime: "application/vnd.google-earth.kml+xml", serialize: toKML },
+  gpx: { label: "GPX", ext: "gpx", mime: "application/gpx+xml", serialize: toGPX },
+  csv: { label: "CSV (per point)", ext: "csv", mime: "text/csv;charset=utf-8", serialize: toCSV },
+};
+
+/**
+ * @param format key of EXPORT_FORMATS
+ * @returns {{ text: string, mime: string, filename: string }}
+ */
+export function exportTracks(tracks, format, basename = "balloons") {
+  const f = EXPORT_FORMATS[format];
+  if (!f) throw new Error(`Unknown export format: ${format}`);
+  return { text: f.serialize(tracks), mime: f.mime, filename: `${basename}.${f.ext}` };
+}
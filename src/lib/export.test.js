@@ -0,0 +1,67 @@
+import { describe, it, expect } from "vitest";
+import { toGeoJSON, toKML, toGPX, toCSV, exportTracks, CSV_COLUMNS } from "./export.js";
+
+const T0 = 1700000000;
+const track = {
+  id: "b1",
+  risk: 42,
+  _stale: false,
+  driftKmh: 55.56,
+  points: [
+    { lat: 10, lon: 20, alt: 12.5, ts: T0 },
+    { lat: 10.5, lon: 21, alt: 12.4, ts: T0 + 3600, wind700: 10.04, dir700: 270 },
+    { lat: 11, lon: 22, alt: 12.3, ts: T0 + 7200 },
+  ],
+};
+// Only the last two fixes are inside the playback window
+const windowed = { ...track, _winPts: track.points.slice(1) };
+
+describe("toGeoJSON", () => {
+  it("writes one LineString per track with times and metre elevations", () => {
+    const gj = JSON.parse(toGeoJSON([track, { id: "empty", points: [] }]));
+    expect(gj.features).toHaveLength(1);
+    const [f] = gj.features;
+    expect(f.geometry.type).toBe("LineString");
+    expect(f.geometry.coordinates[0]).toEqual([20, 10, 12500]);
+    expect(f.properties.times[0]).toBe("2023-11-14T22:13:20Z");
+    expect(f.properties).toMatchObject({ id: "b1", risk: 42, drift_kmh: 55.6 });
+  });
+
+  it("exports only the windowed points", () => {
+    const [f] = JSON.parse(toGeoJSON([windowed])).features;
+    expect(f.geometry.coordinates).toHaveLength(2);
+  });
+});
+
+describe("toKML / toGPX", () => {
+  it("emit a timed track per balloon", () => {
+    const kml = toKML([track]);
+    expect(kml.match(/<when>/g)).toHaveLength(3);
+    expect(kml).toContain("<gx:coord>20 10 12500</gx:coord>");
+
+    const gpx = toGPX([windowed]);
+    expect(gpx.match(/<trkpt /g)).toHaveLength(2);
+    expect(gpx).toContain('<trkpt lat="10.5" lon="21"><ele>12400</ele><time>2023-11-14T23:13:20Z</time></trkpt>');
+  });
+
+  it("escapes names", () => {
+    expect(toGPX([{ ...track, id: "a<b>&c" }])).toContain("<name>a&lt;b&gt;&amp;c</name>");
+  });
+});
+
+describe("toCSV", () => {
+  it("writes one row per point with blanks for missing winds", () => {
+    const lines = toCSV([track]).trim().split("\n");
+    expect(lines[0]).toBe(CSV_COLUMNS.join(","));
+    expect(lines).toHaveLength(4);
+    const row = Object.fromEntries(CSV_COLUMNS.map((c, i) => [c, lines[2].split(",")[i]]));
+    expect(row).toMatchObject({ id: "b1", ts: String(T0 + 3600), wind700_ms: "10", dir700_deg: "270", wind500_ms: "", risk: "42", stale: "FALSE" });
+  });
+});
+
+describe("exportTracks", () => {
+  it("names the file after the format and rejects unknown formats", () => {
+    expect(exportTracks([track], "gpx").filename).toBe("balloons.gpx");
+    expect(() => exportTracks([track], "shp")).toThrow(/Unknown export format/);
+  });
+});
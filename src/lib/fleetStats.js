@@ -0,0 +1,80 @@
+// Fleet-level statistics for the analytics view: counts over time, value
+// distributions, latitude coverage and a position density grid.
+import { STALE_SEC, hopStats, isGapHop } from "./tracks.js";
+
+/**
+ * One row per step in [startSec, endSec] (fixes only; playback's interpolated heads are skipped):
+ *   reporting: balloons with a fix in the step ending at ts
+ *   stale:     balloons seen before ts whose latest fix by then is older than STALE_SEC
+ *   gaps:      balloons whose hop into that step is a gap (see isGapHop)
+ * → [{ ts, reporting, stale, gaps }]
+ */
+export function fleetTimeline(tracks, { startSec, endSec, stepSec = 3600 }) {
+  const n = Math.max(0, Math.floor((endSec - startSec) / stepSec)) + 1;
+  const rows = Array.from({ length: n }, (_, i) => ({ ts: startSec + i * stepSec, reporting: 0, stale: 0, gaps: 0 }));
+
+  for (const t of tracks) {
+    const pts = (t.points ?? []).filter((p) => !p.interpolated);
+    let j = 0; // pts[0..j) are at or before the current row
+    for (const row of rows) {
+      let reported = false, gap = false;
+      for (; j < pts.length && pts[j].ts <= row.ts; j++) {
+        if (pts[j].ts <= row.ts - stepSec) continue;
+        reported = true;
+        if (j > 0 && isGapHop(hopStats(pts[j - 1], pts[j]), pts[j])) gap = true;
+      }
+      if (!j) continue;
+      if (reported) row.reporting++;
+      if (row.ts - pts[j - 1].ts > STALE_SEC) row.stale++;
+      if (gap) row.gaps++;
+    }
+  }
+  return rows;
+}
+
+/**
+ * Fixed-width bins from `min`; values past maxBins land in the last bin.
+ * Non-finite values are ignored. → [{ from, to, count }]
+ */
+export function histogram(values, binWidth, { min = 0, maxBins = 40 } = {}) {
+  const counts = [];
+  for (const v of values) {
+    if (v == null || !Number.isFinite(v)) continue;
+    const i = Math.min(maxBins - 1, Math.max(0, Math.floor((v - min) / binWidth)));
+    counts[i] = (counts[i] ?? 0) + 1;
+  }
+  return Array.from({ length: counts.length }, (_, i) => ({
+    from: min + i * binWidth,
+    to: min + (i + 1) * binWidth,
+    count: counts[i] ?? 0,
+  }));
+}
+
+// Positions per latitude band, north first → [{ from, to, count }]
+export function latitudeBands(points, bandDeg = 10) {
+  const bands = [];
+  for (let to = 90; to > -90; to -= bandDeg) bands.push({ from: Math.max(-90, to - bandDeg), to, count: 0 });
+  for (const p of points) {
+    const i = Math.min(bands.length - 1, Math.floor((90 - p.lat) / bandDeg));
+    if (i >= 0) bands[i].count++;
+  }
+  return bands;
+}
+
+/**
+ * Positions binned into cellDeg × cellDeg lat/lon cells (centres), busiest first.
+ * → { cellDeg, max, cells: [{ lat, lon, count }] }
+ */
+export function densityGrid(points, cellDeg = 5) {
+  const cells = new Map();
+  for (const p of points) {
+    const row = Math.min(Math.floor((p.lat + 90) / cellDeg), Math.ceil(180 / cellDeg) - 1);
+    const col = Math.floor((((p.lon + 180) % 360) + 360) % 360 / cellDeg);
+    const key = `${row},${col}`;
+    const c = cells.get(key);
+    if (c) c.count++;
+    else cells.set(key, { lat: -90 + (row + 0.5) * cellDeg, lon: -180 + (col + 0.5) * cellDeg, count: 1 });
+  }
+  const list = [...cells.values()].sort((a, b) => b.count - a.count);
+  return { cellDeg, max: list[0]?.count ?? 0, cells: list };
+}
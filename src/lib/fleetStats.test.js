@@ -0,0 +1,47 @@
+import { describe, it, expect } from "vitest";
+import { fleetTimeline, histogram, latitudeBands, densityGrid } from "./fleetStats.js";
+
+const H = 3600;
+const track = (id, fixes) => ({ id, points: fixes.map(([h, lat, lon]) => ({ lat, lon, ts: h * H })) });
+
+describe("fleetTimeline", () => {
+  it("counts reporting, stale and gap balloons per hour", () => {
+    const tracks = [
+      track("a", [[0, 0, 0], [1, 0, 0.5], [2, 0, 1]]),
+      track("b", [[0, 10, 10]]),                 // stops reporting after hour 0
+      track("c", [[1, 20, 0], [2, 20, 10]]),     // ~1000 km hop into hour 2
+    ];
+    const rows = fleetTimeline(tracks, { startSec: 0, endSec: 3 * H });
+    expect(rows.map((r) => [r.ts / H, r.reporting, r.stale, r.gaps])).toEqual([
+      [0, 2, 0, 0],
+      [1, 2, 0, 0],
+      [2, 2, 1, 1],
+      [3, 0, 1, 0],
+    ]);
+  });
+});
+
+describe("histogram", () => {
+  it("bins values, clamping overflow into the last bin", () => {
+    expect(histogram([1, 9, 10, 35, NaN, null, 999], 10, { maxBins: 4 })).toEqual([
+      { from: 0, to: 10, count: 2 },
+      { from: 10, to: 20, count: 1 },
+      { from: 20, to: 30, count: 0 },
+      { from: 30, to: 40, count: 2 },
+    ]);
+  });
+});
+
+describe("latitudeBands / densityGrid", () => {
+  it("bins positions by latitude band and lat/lon cell", () => {
+    const pts = [{ lat: 89, lon: 0 }, { lat: 45, lon: 179.9 }, { lat: 44, lon: -179.9 }, { lat: -90, lon: 0 }];
+    const bands = latitudeBands(pts, 30);
+    expect(bands.map((b) => b.count)).toEqual([1, 2, 0, 0, 0, 1]);
+    expect(bands[0]).toMatchObject({ from: 60, to: 90 });
+
+    const grid = densityGrid([...pts, { lat: 46, lon: 178 }], 5);
+    expect(grid.max).toBe(2);
+    expect(grid.cells[0]).toEqual({ lat: 47.5, lon: 177.5, count: 2 });
+    expect(grid.cells.find((c) => c.lon === -177.5)).toMatchObject({ lat: 42.5 });
+  });
+});
@@ -0,0 +1,82 @@
+// Trajectory forecast: advect a balloon forward through hourly 700/500 hPa winds
+import { haversineMeters, destinationPoint } from "./geo.js";
+import { angleDelta } from "./risk.js";
+import { windAt, downwindDeg } from "./wind.js";
+
+export const FORECAST_HOURS = [6, 12, 24];
+
+const STEP_SEC = 15 * 60;
+const RESAMPLE_KM = 250;      // refetch winds once the projection leaves the sampled area
+const LEVEL_SPLIT_KM = 4.2;   // between 700 hPa (~3 km) and 500 hPa (~5.6 km)
+const SPREAD_KMH = 4;         // cone half-width growth independent of speed
+const SPREAD_FRAC = 0.15;     // plus this share of the distance travelled
+
+// Altitude decides the level; without it, take the level whose downwind matches the heading
+export function pickLevel({ altKm, headingDeg }, winds) {
+  if (altKm != null) return altKm < LEVEL_SPLIT_KM ? "700" : "500";
+  const m700 = angleDelta(headingDeg, downwindDeg(winds.dir700));
+  const m500 = angleDelta(headingDeg, downwindDeg(winds.dir500));
+  if (m700 == null) return "500";
+  if (m500 == null) return "700";
+  return m700 < m500 ? "700" : "500";
+}
+
+/**
+ * Project a track forward.
+ * @param {{ points, headingDeg?, altKm?, climbKmh? }} track
+ * @param {number} hours  horizon (see FORECAST_HOURS)
+ * @param {(lat, lon) => Promise<object|null>} fetchSeries  hourly series as returned by fetchWindSeries
+ * @returns {Promise<null | { level, path, cone, end, landfall, hours }>}
+ */
+export async function projectTrack(track, hours, fetchSeries) {
+  const start = track.points.at(-1);
+  if (!start) return null;
+
+  let sampledAt = start;
+  let series = await fetchSeries(start.lat, start.lon);
+  if (!series) return null;
+
+  const w0 = windAt(series, start.ts);
+  const level = pickLevel(track, w0);
+  const other = level === "700" ? "500" : "700";
+
+  const climb = track.climbKmh != null && track.climbKmh < 0 ? track.climbKmh : 0;
+  let pos = { lat: start.lat, lon: start.lon, alt: start.alt, ts: start.ts };
+  let travelledKm = 0;
+  let landfall = false;
+  const path = [pos];
+  const left = [], right = [];
+
+  for (let ts = start.ts + STEP_SEC; ts <= start.ts + hours * 3600; ts += STEP_SEC) {
+    if (haversineMeters(sampledAt, pos) / 1000 > RESAMPLE_KM) {
+      const next = await fetchSeries(pos.lat, pos.lon);
+      if (next) { series = next; sampledAt = pos; }
+    }
+    const w = windAt(series, ts - STEP_SEC / 2);
+    const speed = w[`wind${level}`] ?? w[`wind${other}`];
+    const dir = w[`dir${level}`] ?? w[`dir${other}`];
+    if (speed == null || dir == null) break;
+
+    const bearing = downwindDeg(dir);
+    const stepM = speed * STEP_SEC;
+    const next = destinationPoint(pos, bearing, stepM);
+    travelledKm += stepM / 1000;
+
+    let alt = pos.alt;
+    if (alt != null && climb) {
+      alt += (climb * STEP_SEC) / 3600;
+      if (alt <= 0) { alt = 0; landfall = true; }
+    }
+    pos = { ...next, alt, ts };
+    path.push(pos);
+
+    const halfKm = (SPREAD_KMH * (ts - start.ts)) / 3600 + SPREAD_FRAC * travelledKm;
+    left.push(destinationPoint(pos, bearing - 90, halfKm * 1000));
+    right.push(destinationPoint(pos, bearing + 90, halfKm * 1000));
+    if (landfall) break;
+  }
+
+  if (path.length < 2) return null;
+  const cone = [[start.lat, start.lon], ...left.map((p) => [p.lat, p.lon]), ...right.reverse().map((p) => [p.lat, p.lon])];
+  return { level, path, cone, end: path.at(-1), landfall, hours };
+}
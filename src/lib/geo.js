@@ -28,3 +28,65 @@ export function bearingDeg(a, b) {
     Math.sin(φ1) * Math.cos(φ2) * Math.cos(λ2 - λ1);
   return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
 }
+
+// Point reached travelling distM along an initial bearing (great circle)
+export function destinationPoint(a, bearing, distM) {
+  const R = 6371e3;
+  const δ = distM / R;
+  const θ = toRad(bearing);
+  const φ1 = toRad(a.lat),
+    λ1 = toRad(a.lon);
+
+  const φ2 = Math.asin(
+    Math.sin(φ1) * Math.cos(δ) + Math.cos(φ1) * Math.sin(δ) * Math.cos(θ)
+  );
+  const λ2 =
+    λ1 +
+    Math.atan2(
+      Math.sin(θ) * Math.sin(δ) * Math.cos(φ1),
+      Math.cos(δ) - Math.sin(φ1) * Math.sin(φ2)
+    );
+  const lon = ((((λ2 * 180) / Math.PI) + 540) % 360) - 180;
+  return { lat: (φ2 * 180) / Math.PI, lon };
+}
+
+// Point a fraction f of the way from a to b along the great circle (f in [0, 1])
+export function interpolateGreatCircle(a, b, f) {
+  const φ1 = toRad(a.lat),
+    λ1 = toRad(a.lon);
+  const φ2 = toRad(b.lat),
+    λ2 = toRad(b.lon);
+  const δ = haversineMeters(a, b) / 6371e3;
+  if (δ < 1e-12) return { lat: a.lat, lon: a.lon };
+
+  const A = Math.sin((1 - f) * δ) / Math.sin(δ);
+  const B = Math.sin(f * δ) / Math.sin(δ);
+  const x = A * Math.cos(φ1) * Math.cos(λ1) + B * Math.cos(φ2) * Math.cos(λ2);
+  const y = A * Math.cos(φ1) * Math.sin(λ1) + B * Math.cos(φ2) * Math.sin(λ2);
+  const z = A * Math.sin(φ1) + B * Math.sin(φ2);
+  return {
+    lat: (Math.atan2(z, Math.hypot(x, y)) * 180) / Math.PI,
+    lon: (Math.atan2(y, x) * 180) / Math.PI,
+  };
+}
+
+const wrap180 = (d) => ((((d + 180) % 360) + 360) % 360) - 180;
+
+// Ray-casting point-in-polygon; ring is [[lat, lon], …] (closing point optional).
+// Longitudes are unwrapped along the ring from its first vertex, so a ring drawn across
+// ±180° stays one shape; the point is tried at each 360° copy that could fall inside it.
+export function pointInPolygon(p, ring) {
+  if (!ring.length) return false;
+  const xs = [ring[0][1]];
+  for (let i = 1; i < ring.length; i++) xs.push(xs[i - 1] + wrap180(ring[i][1] - ring[i - 1][1]));
+  const px = ring[0][1] + wrap180(p.lon - ring[0][1]);
+  return [px, px - 360, px + 360].some((x) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const yi = ring[i][0], yj = ring[j][0];
+      const crosses = yi > p.lat !== yj > p.lat && x < ((xs[j] - xs[i]) * (p.lat - yi)) / (yj - yi) + xs[i];
+      if (crosses) inside = !inside;
+    }
+    return inside;
+  });
+}
@@ -0,0 +1,137 @@
+// Geofences: polygons and circles, containment, entry/exit along a track and
+// dead-reckoned time of entry.
+// fence: { id, name, kind: "polygon", ring: [[lat, lon], …] } | { id, name, kind: "circle", center: { lat, lon }, radiusKm }
+import { haversineMeters, destinationPoint, pointInPolygon, toRad } from "./geo.js";
+
+const PREDICT_STEP_SEC = 15 * 60;
+const KM_PER_DEG = 111.195;
+const FENCE_COLORS = ["#e6550d", "#3182bd", "#31a354", "#756bb1", "#de2d26", "#636363"];
+
+export function fenceColor(index) {
+  return FENCE_COLORS[index % FENCE_COLORS.length];
+}
+
+export function fenceContains(fence, p) {
+  if (fence.kind === "circle") return haversineMeters(fence.center, p) / 1000 <= fence.radiusKm;
+  return fence.ring?.length >= 3 && pointInPolygon(p, fence.ring);
+}
+
+// Distance (km) from p to the fence: circles signed (< 0 inside), polygons 0 inside.
+// Polygon edges are measured on a flat projection around p, which is fine at the
+// few-hundred-km scale this is used for.
+export function fenceDistanceKm(fence, p) {
+  if (fence.kind === "circle") return haversineMeters(fence.center, p) / 1000 - fence.radiusKm;
+  if (!(fence.ring?.length >= 3)) return Infinity;
+  if (fenceContains(fence, p)) return 0;
+  const kx = KM_PER_DEG * Math.cos(toRad(p.lat));
+  const xy = ([lat, lon]) => [((((lon - p.lon) % 360) + 540) % 360 - 180) * kx, (lat - p.lat) * KM_PER_DEG];
+  let best = Infinity;
+  fence.ring.forEach((v, i) => {
+    const [ax, ay] = xy(v), [bx, by] = xy(fence.ring[(i + 1) % fence.ring.length]);
+    const dx = bx - ax, dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0;
+    best = Math.min(best, Math.hypot(ax + t * dx, ay + t * dy));
+  });
+  return best;
+}
+
+// Circle → polygon ring, for consumers that only understand polygons
+export function fenceRing(fence, segments = 48) {
+  if (fence.kind !== "circle") return fence.ring;
+  return Array.from({ length: segments }, (_, i) => {
+    const p = destinationPoint(fence.center, (360 * i) / segments, fence.radiusKm * 1000);
+    return [p.lat, p.lon];
+  });
+}
+
+// Entries/exits between consecutive fixes, stamped with the first fix on the new side
+export function fenceCrossings(fence, points) {
+  const out = [];
+  let was = null;
+  for (const p of points) {
+    const is = fenceContains(fence, p);
+    if (was !== null && is !== was) out.push({ type: is ? "entry" : "exit", ts: p.ts });
+    was = is;
+  }
+  return out;
+}
+
+// Dead-reckon along the current drift; unix sec of first step inside, or null
+export function predictEntry(fence, track, horizonH = 24) {
+  const last = track.points?.at(-1);
+  if (!last || track.driftKmh == null || track.headingDeg == null || fenceContains(fence, last)) return null;
+  const stepM = (track.driftKmh * 1000 * PREDICT_STEP_SEC) / 3600;
+  if (stepM <= 0) return null;
+  let pos = last;
+  for (let t = PREDICT_STEP_SEC; t <= horizonH * 3600; t += PREDICT_STEP_SEC) {
+    pos = destinationPoint(pos, track.headingDeg, stepM);
+    if (fenceContains(fence, pos)) return last.ts + t;
+  }
+  return null;
+}
+
+/**
+ * Per-fence status over windowed tracks.
+ * @returns {{ byFence: { [fenceId]: { inside: string[], events: [{ id, type, ts }], predicted: [{ id, eta }] } },
+ *             byBalloon: { [balloonId]: string[] } }}  byBalloon lists the fence ids containing it
+ */
+export function fenceStatus(fences, tracks, horizonH = 24) {
+  const byFence = {};
+  const byBalloon = {};
+  for (const f of fences) {
+    const st = { inside: [], events: [], predicted: [] };
+    for (const t of tracks) {
+      const pts = t._winPts ?? t.points;
+      if (!pts?.length) continue;
+      if (fenceContains(f, pts.at(-1))) {
+        st.inside.push(t.id);
+        (byBalloon[t.id] ||= []).push(f.id);
+      } else {
+        const eta = predictEntry(f, t, horizonH);
+        if (eta != null) st.predicted.push({ id: t.id, eta });
+      }
+      for (const c of fenceCrossings(f, pts)) st.events.push({ id: t.id, ...c });
+    }
+    st.events.sort((a, b) => b.ts - a.ts);
+    st.predicted.sort((a, b) => a.eta - b.eta);
+    byFence[f.id] = st;
+  }
+  return { byFence, byBalloon };
+}
+
+/**
+ * GeoJSON (FeatureCollection / Feature / Geometry) → fences.
+ * Polygon and MultiPolygon outer rings become polygons; a Point with a
+ * radius_km (or radiusKm / radius in metres) property becomes a circle.
+ */
+export function fencesFromGeoJSON(gj, idPrefix = "gj") {
+  const feats =
+    gj?.type === "FeatureCollection" ? gj.features :
+    gj?.type === "Feature" ? [gj] :
+    gj?.type ? [{ type: "Feature", geometry: gj, properties: {} }] : [];
+
+  const fences = [];
+  feats.forEach((feat, i) => {
+    const g = feat?.geometry;
+    const props = feat?.properties ?? {};
+    const name = props.name ?? props.NAME ?? props.title ?? `Fence ${i + 1}`;
+    const id = `${idPrefix}-${i}`;
+    const toRing = (coords) => coords.map(([lon, lat]) => [lat, lon]);
+
+    if (g?.type === "Polygon") {
+      fences.push({ id, name, kind: "polygon", ring: toRing(g.coordinates[0]) });
+    } else if (g?.type === "MultiPolygon") {
+      g.coordinates.forEach((poly, k) =>
+        fences.push({ id: `${id}-${k}`, name: g.coordinates.length > 1 ? `${name} ${k + 1}` : name, kind: "polygon", ring: toRing(poly[0]) })
+      );
+    } else if (g?.type === "Point") {
+      const radiusKm = Number(props.radius_km ?? props.radiusKm ?? (props.radius != null ? props.radius / 1000 : NaN));
+      if (Number.isFinite(radiusKm) && radiusKm > 0) {
+        const [lon, lat] = g.coordinates;
+        fences.push({ id, name, kind: "circle", center: { lat, lon }, radiusKm });
+      }
+    }
+  });
+  return fences;
+}
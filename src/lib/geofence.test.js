@@ -0,0 +1,89 @@
+import { describe, it, expect } from "vitest";
+import { fenceContains, fenceDistanceKm, fenceCrossings, predictEntry, fenceStatus, fencesFromGeoJSON } from "./geofence.js";
+
+const box = { id: "box", name: "Box", kind: "polygon", ring: [[0, 0], [0, 10], [10, 10], [10, 0]] };
+const circle = { id: "c", name: "Circle", kind: "circle", center: { lat: 50, lon: 0 }, radiusKm: 100 };
+
+describe("fenceContains", () => {
+  it("handles polygons and circles", () => {
+    expect(fenceContains(box, { lat: 5, lon: 5 })).toBe(true);
+    expect(fenceContains(box, { lat: 5, lon: 15 })).toBe(false);
+    expect(fenceContains(circle, { lat: 50.5, lon: 0 })).toBe(true);
+    expect(fenceContains(circle, { lat: 52, lon: 0 })).toBe(false);
+  });
+
+  it("keeps a polygon drawn across the antimeridian in one piece", () => {
+    const dateline = { id: "dl", name: "Dateline", kind: "polygon", ring: [[-10, 170], [-10, -170], [10, -170], [10, 170]] };
+    for (const lon of [175, 180, -180, -175]) expect(fenceContains(dateline, { lat: 0, lon })).toBe(true);
+    for (const lon of [0, 160, -160]) expect(fenceContains(dateline, { lat: 0, lon })).toBe(false);
+    expect(fenceContains(dateline, { lat: 20, lon: 180 })).toBe(false);
+    // Same ring written with unwrapped longitudes
+    const unwrapped = { ...dateline, ring: [[-10, 170], [-10, 190], [10, 190], [10, 170]] };
+    expect(fenceContains(unwrapped, { lat: 0, lon: -175 })).toBe(true);
+  });
+});
+
+describe("fenceDistanceKm", () => {
+  it("measures to the nearest edge, signed for circles", () => {
+    expect(fenceDistanceKm(box, { lat: 5, lon: 5 })).toBe(0);
+    expect(fenceDistanceKm(box, { lat: 5, lon: 11 })).toBeCloseTo(110.8, 0);
+    expect(fenceDistanceKm(box, { lat: -1, lon: -1 })).toBeCloseTo(157, 0); // corner
+    expect(fenceDistanceKm(circle, { lat: 50, lon: 0 })).toBeCloseTo(-100, 6);
+  });
+});
+
+describe("fenceCrossings", () => {
+  it("stamps entries and exits with the first fix on the new side", () => {
+    const pts = [
+      { lat: 5, lon: -2, ts: 1 },
+      { lat: 5, lon: 2, ts: 2 },
+      { lat: 5, lon: 8, ts: 3 },
+      { lat: 5, lon: 12, ts: 4 },
+    ];
+    expect(fenceCrossings(box, pts)).toEqual([{ type: "entry", ts: 2 }, { type: "exit", ts: 4 }]);
+  });
+});
+
+describe("predictEntry", () => {
+  it("dead-reckons along the current drift", () => {
+    // ~111 km west of the box, drifting east at 50 km/h → a little over 2h
+    const track = { driftKmh: 50, headingDeg: 90, points: [{ lat: 5, lon: -1, ts: 0 }] };
+    const eta = predictEntry(box, track);
+    expect(eta).toBeGreaterThan(2 * 3600);
+    expect(eta).toBeLessThanOrEqual(2.5 * 3600);
+  });
+
+  it("returns null when drifting away or already inside", () => {
+    expect(predictEntry(box, { driftKmh: 50, headingDeg: 270, points: [{ lat: 5, lon: -1, ts: 0 }] })).toBeNull();
+    expect(predictEntry(box, { driftKmh: 50, headingDeg: 90, points: [{ lat: 5, lon: 5, ts: 0 }] })).toBeNull();
+  });
+});
+
+describe("fenceStatus", () => {
+  it("lists balloons inside each fence and the fences holding each balloon", () => {
+    const tracks = [
+      { id: "in", points: [{ lat: 5, lon: 5, ts: 0 }] },
+      { id: "out", points: [{ lat: 40, lon: 40, ts: 0 }] },
+    ];
+    const { byFence, byBalloon } = fenceStatus([box], tracks);
+    expect(byFence.box.inside).toEqual(["in"]);
+    expect(byBalloon).toEqual({ in: ["box"] });
+  });
+});
+
+describe("fencesFromGeoJSON", () => {
+  it("reads polygons (lon/lat order) and radius points", () => {
+    const fences = fencesFromGeoJSON({
+      type: "FeatureCollection",
+      features: [
+        { type: "Feature", properties: { name: "Zone" }, geometry: { type: "Polygon", coordinates: [[[0, 0], [10, 0], [10, 5], [0, 0]]] } },
+        { type: "Feature", properties: { name: "Pad", radius_km: 20 }, geometry: { type: "Point", coordinates: [7, 45] } },
+        { type: "Feature", properties: {}, geometry: { type: "LineString", coordinates: [[0, 0], [1, 1]] } },
+      ],
+    });
+    expect(fences).toHaveLength(2);
+    expect(fences[0]).toMatchObject({ name: "Zone", kind: "polygon" });
+    expect(fences[0].ring[1]).toEqual([0, 10]);
+    expect(fences[1]).toMatchObject({ name: "Pad", kind: "circle", center: { lat: 45, lon: 7 }, radiusKm: 20 });
+  });
+});
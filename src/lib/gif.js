@@ -0,0 +1,165 @@
+// Minimal animated GIF89a encoder, so recordings are rendered locally with no
+// dependency. Fixed RGB 3-3-2 palette with optional 4×4 ordered dithering:
+// fine for map frames and fast enough to quantize every frame on the fly.
+
+const BAYER4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+
+// Index i → [r, g, b] for i = rrrgggbb
+function palette() {
+  const out = new Uint8Array(256 * 3);
+  for (let i = 0; i < 256; i++) {
+    out[i * 3] = Math.round((((i >> 5) & 7) * 255) / 7);
+    out[i * 3 + 1] = Math.round((((i >> 2) & 7) * 255) / 7);
+    out[i * 3 + 2] = Math.round(((i & 3) * 255) / 3);
+  }
+  return out;
+}
+
+// RGBA pixels → palette indices
+export function quantize(rgba, width, height, dither = true) {
+  const out = new Uint8Array(width * height);
+  for (let y = 0, i = 0; y < height; y++) {
+    for (let x = 0; x < width; x++, i++) {
+      // Threshold in [-0.5, 0.5) of one quantization step per channel
+      const d = dither ? BAYER4[(y & 3) * 4 + (x & 3)] / 16 - 0.5 : 0;
+      const r = Math.min(7, Math.max(0, Math.round((rgba[i * 4] * 7) / 255 + d)));
+      const g = Math.min(7, Math.max(0, Math.round((rgba[i * 4 + 1] * 7) / 255 + d)));
+      const b = Math.min(3, Math.max(0, Math.round((rgba[i * 4 + 2] * 3) / 255 + d)));
+      out[i] = (r << 5) | (g << 2) | b;
+    }
+  }
+  return out;
+}
+
+// Growable byte buffer
+function createWriter() {
+  let buf = new Uint8Array(1 << 16);
+  let len = 0;
+  const ensure = (n) => {
+    if (len + n <= buf.length) return;
+    let size = buf.length * 2;
+    while (size < len + n) size *= 2;
+    const next = new Uint8Array(size);
+    next.set(buf.subarray(0, len));
+    buf = next;
+  };
+  return {
+    byte(b) {
+      ensure(1);
+      buf[len++] = b;
+    },
+    u16(v) {
+      this.byte(v & 0xff);
+      this.byte((v >> 8) & 0xff);
+    },
+    bytes(arr) {
+      ensure(arr.length);
+      buf.set(arr, len);
+      len += arr.length;
+    },
+    ascii(s) {
+      for (const c of s) this.byte(c.charCodeAt(0));
+    },
+    result: () => buf.slice(0, len),
+  };
+}
+
+// LZW-compress indices (8-bit) into GIF data sub-blocks
+function writeImageData(w, indices) {
+  const MIN_CODE = 8;
+  const CLEAR = 1 << MIN_CODE, EOI = CLEAR + 1;
+  const block = new Uint8Array(255);
+  let blockLen = 0;
+  let acc = 0, accBits = 0;
+  let codeSize = MIN_CODE + 1, next = EOI + 1;
+  let table = new Map();
+
+  const flushBlock = () => {
+    w.byte(blockLen);
+    w.bytes(block.subarray(0, blockLen));
+    blockLen = 0;
+  };
+  const emit = (code) => {
+    acc |= code << accBits;
+    accBits += codeSize;
+    while (accBits >= 8) {
+      block[blockLen++] = acc & 0xff;
+      if (blockLen === 255) flushBlock();
+      acc >>>= 8;
+      accBits -= 8;
+    }
+  };
+
+  w.byte(MIN_CODE);
+  emit(CLEAR);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (next === 4096) {
+      emit(CLEAR);
+      codeSize = MIN_CODE + 1;
+      next = EOI + 1;
+      table = new Map();
+    } else {
+      if (next >= 1 << codeSize) codeSize++;
+      table.set(key, next++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(EOI);
+  if (accBits > 0) {
+    block[blockLen++] = acc & 0xff;
+    if (blockLen === 255) flushBlock();
+  }
+  if (blockLen) flushBlock();
+  w.byte(0); // block terminator
+}
+
+/**
+ * Streaming encoder: addFrame(rgba) per frame (same size), finish() → GIF bytes.
+ * delayMs is rounded to GIF's 1/100 s; loop = repeat forever.
+ */
+export function createGifEncoder(width, height, { delayMs = 100, loop = true, dither = true } = {}) {
+  const w = createWriter();
+  w.ascii("GIF89a");
+  w.u16(width);
+  w.u16(height);
+  w.byte(0xf7); // global colour table, 8 bits/primary, 256 entries
+  w.byte(0); // background index
+  w.byte(0); // pixel aspect
+  w.bytes(palette());
+  if (loop) {
+    w.bytes([0x21, 0xff, 0x0b]);
+    w.ascii("NETSCAPE2.0");
+    w.bytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+  }
+
+  return {
+    addFrame(rgba) {
+      // Graphic control: no disposal, delay
+      w.bytes([0x21, 0xf9, 0x04, 0x04]);
+      w.u16(Math.max(2, Math.round(delayMs / 10)));
+      w.bytes([0x00, 0x00]);
+      // Image descriptor: full frame, no local table
+      w.byte(0x2c);
+      w.u16(0);
+      w.u16(0);
+      w.u16(width);
+      w.u16(height);
+      w.byte(0);
+      writeImageData(w, quantize(rgba, width, height, dither));
+    },
+    finish() {
+      w.byte(0x3b);
+      return w.result();
+    },
+  };
+}
@@ -0,0 +1,75 @@
+import { describe, it, expect } from "vitest";
+import { createGifEncoder, quantize } from "./gif.js";
+
+// Reference LZW decoder for the first image's data, starting at offset i
+function decodeImage(bytes, i, count) {
+  const minCode = bytes[i++];
+  const data = [];
+  for (let n = bytes[i++]; n; n = bytes[i++]) {
+    data.push(...bytes.subarray(i, i + n));
+    i += n;
+  }
+  const clear = 1 << minCode, eoi = clear + 1;
+  let size = minCode + 1, dict = [], prev = null, bit = 0;
+  const out = [];
+  const reset = () => {
+    dict = Array.from({ length: clear + 2 }, (_, k) => [k]);
+    size = minCode + 1;
+    prev = null;
+  };
+  reset();
+  while (out.length < count) {
+    let code = 0;
+    for (let b = 0; b < size; b++, bit++) code |= ((data[bit >> 3] >> (bit & 7)) & 1) << b;
+    if (code === clear) { reset(); continue; }
+    if (code === eoi) break;
+    const entry = code < dict.length ? dict[code] : [...prev, prev[0]];
+    out.push(...entry);
+    if (prev && dict.length < 4096) {
+      dict.push([...prev, entry[0]]);
+      if (dict.length >= 1 << size && size < 12) size++;
+    }
+    prev = entry;
+  }
+  return { out, end: i };
+}
+
+describe("quantize", () => {
+  it("maps primaries onto the 3-3-2 palette", () => {
+    const rgba = new Uint8ClampedArray([255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255, 255, 255, 255, 255]);
+    expect([...quantize(rgba, 4, 1, false)]).toEqual([0b11100000, 0b00011100, 0b00000011, 0xff]);
+  });
+});
+
+describe("createGifEncoder", () => {
+  it("writes a looping GIF89a whose frames decode back to the quantized pixels", () => {
+    const width = 64, height = 48;
+    // Noisy frame, so the LZW table fills and clears at least once
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    let seed = 7;
+    for (let i = 0; i < rgba.length; i++) {
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      rgba[i] = i % 4 === 3 ? 255 : seed >> 23;
+    }
+    const enc = createGifEncoder(width, height, { delayMs: 250 });
+    enc.addFrame(rgba);
+    enc.addFrame(rgba);
+    const gif = enc.finish();
+
+    expect(String.fromCharCode(...gif.subarray(0, 6))).toBe("GIF89a");
+    expect(gif[6] | (gif[7] << 8)).toBe(width);
+    expect(gif[8] | (gif[9] << 8)).toBe(height);
+    const afterTable = 13 + 768;
+    expect(String.fromCharCode(...gif.subarray(afterTable + 3, afterTable + 14))).toBe("NETSCAPE2.0");
+
+    const frame1 = afterTable + 19;
+    expect([...gif.subarray(frame1, frame1 + 4)]).toEqual([0x21, 0xf9, 0x04, 0x04]);
+    expect(gif[frame1 + 4]).toBe(25); // centiseconds
+    const { out, end } = decodeImage(gif, frame1 + 8 + 10, width * height);
+    expect(out).toEqual([...quantize(rgba, width, height)]);
+    const second = decodeImage(gif, end + 8 + 10, width * height);
+    expect(second.out).toEqual(out);
+    expect(gif[second.end]).toBe(0x3b);
+    expect(second.end).toBe(gif.length - 1);
+  });
+});
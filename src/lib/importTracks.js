@@ -0,0 +1,213 @@
+// External track files (our own radiosondes, aircraft, …) → { id: points }, the
+// same shape the WindBorne ingest produces, so buildTracks/windowAt apply as-is.
+// Formats: GeoJSON, GPX, KML (gx:Track and timed Placemarks) and CSV.
+// Fixes without a usable time are dropped: windowing and playback need ts.
+
+// Unix seconds from unix sec/ms (number or numeric string) or an ISO/RFC date string
+export function toSec(v) {
+  if (v == null || v === "") return null;
+  const n = typeof v === "number" ? v : /^-?\d+(\.\d+)?$/.test(String(v).trim()) ? Number(v) : NaN;
+  if (Number.isFinite(n)) return Math.round(n > 1e12 ? n / 1000 : n);
+  const ms = Date.parse(v);
+  return Number.isFinite(ms) ? Math.round(ms / 1000) : null;
+}
+
+function fix(lat, lon, altKm, ts) {
+  lat = Number(lat);
+  lon = Number(lon);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || ts == null) return null;
+  if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  const p = { lat, lon, ts };
+  if (altKm != null && Number.isFinite(Number(altKm))) p.alt = Number(altKm);
+  return p;
+}
+
+// Append fixes per id, then sort each track by time and drop repeated timestamps
+function collect() {
+  const byId = {};
+  return {
+    add(id, p) {
+      if (p) (byId[String(id)] ||= []).push(p);
+    },
+    done() {
+      for (const [id, pts] of Object.entries(byId)) {
+        pts.sort((a, b) => a.ts - b.ts);
+        byId[id] = pts.filter((p, i) => i === 0 || p.ts !== pts[i - 1].ts);
+      }
+      return byId;
+    },
+  };
+}
+
+/** ---------- GeoJSON ---------- **/
+// LineStrings with per-coordinate times (properties.times / coordTimes /
+// coordinateProperties.times) or timed Points grouped by id/name.
+// The third coordinate is metres, as in GeoJSON exports from this app.
+export function tracksFromGeoJSON(gj) {
+  const feats =
+    gj?.type === "FeatureCollection" ? gj.features :
+    gj?.type === "Feature" ? [gj] : [];
+  const out = collect();
+
+  feats.forEach((feat, i) => {
+    const g = feat?.geometry;
+    const props = feat?.properties ?? {};
+    const id = props.id ?? props.name ?? `track${i + 1}`;
+    const toFix = ([lon, lat, ele], ts) => fix(lat, lon, ele != null ? ele / 1000 : null, ts);
+
+    if (g?.type === "Point") {
+      out.add(id, toFix(g.coordinates, toSec(props.time ?? props.timestamp ?? props.ts)));
+    } else if (g?.type === "LineString" || g?.type === "MultiLineString") {
+      const lines = g.type === "LineString" ? [g.coordinates] : g.coordinates;
+      const times = props.times ?? props.coordTimes ?? props.coordinateProperties?.times;
+      // coordTimes mirrors the geometry: nested per line for MultiLineString
+      const flatTimes = Array.isArray(times?.[0]) ? times.flat() : times;
+      lines.flat().forEach((c, k) => out.add(id, toFix(c, toSec(flatTimes?.[k]))));
+    }
+  });
+  return out.done();
+}
+
+/** ---------- XML (GPX / KML) ---------- **/
+// Regex-level extraction, so it also runs in Node where there is no DOMParser
+function tagText(xml, tag) {
+  const m = xml.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`));
+  return m ? unescapeXml(m[1].trim()) : null;
+}
+
+function blocks(xml, tag) {
+  return xml.match(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?</${tag}>`, "g")) ?? [];
+}
+
+function unescapeXml(s) {
+  return s
+    .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, "$1")
+    .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, "&");
+}
+
+function attr(tagSrc, name) {
+  const m = tagSrc.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return m ? m[1] : null;
+}
+
+// <trk> and <rte> become tracks; ele is metres
+export function tracksFromGPX(xml) {
+  const out = collect();
+  [...blocks(xml, "trk"), ...blocks(xml, "rte")].forEach((trk, i) => {
+    const id = tagText(trk.replace(/<(trkseg|rtept)\b[\s\S]*/, ""), "name") ?? `track${i + 1}`;
+    for (const pt of trk.match(/<(trkpt|rtept)\b[\s\S]*?(\/>|<\/\1>)/g) ?? []) {
+      const open = pt.match(/<(trkpt|rtept)\b[^>]*>/)[0];
+      const ele = tagText(pt, "ele");
+      out.add(id, fix(attr(open, "lat"), attr(open, "lon"), ele != null ? Number(ele) / 1000 : null, toSec(tagText(pt, "time"))));
+    }
+  });
+  return out.done();
+}
+
+// gx:Track placemarks (when/gx:coord pairs), or Point placemarks with a
+// TimeStamp grouped by name; altitude is metres
+export function tracksFromKML(xml) {
+  const out = collect();
+  blocks(xml, "Placemark").forEach((pm, i) => {
+    const id = tagText(pm.replace(/<(ExtendedData|gx:Track|Point)\b[\s\S]*/, ""), "name") ?? `track${i + 1}`;
+    for (const trk of blocks(pm, "gx:Track")) {
+      const whens = [...trk.matchAll(/<when>([\s\S]*?)<\/when>/g)].map((m) => toSec(m[1].trim()));
+      const coords = [...trk.matchAll(/<gx:coord>([\s\S]*?)<\/gx:coord>/g)].map((m) => m[1].trim().split(/\s+/).map(Number));
+      coords.forEach(([lon, lat, ele], k) => out.add(id, fix(lat, lon, ele != null ? ele / 1000 : null, whens[k])));
+    }
+    const point = tagText(pm, "Point");
+    if (point) {
+      const [lon, lat, ele] = (tagText(point, "coordinates") ?? "").split(",").map(Number);
+      const when = tagText(pm, "TimeStamp");
+      out.add(id, fix(lat, lon, ele != null && !Number.isNaN(ele) ? ele / 1000 : null, toSec(when && tagText(when, "when"))));
+    }
+  });
+  return out.done();
+}
+
+/** ---------- CSV ---------- **/
+const CSV_ALIASES = {
+  id: ["id", "name", "track", "track_id", "callsign", "flight"],
+  lat: ["lat", "latitude"],
+  lon: ["lon", "lng", "long", "longitude"],
+  altKm: ["alt_km", "altitude_km"],
+  altM: ["alt_m", "altitude_m", "ele", "elevation", "alt", "altitude"],
+  ts: ["ts", "unix", "epoch", "time_utc", "time", "timestamp", "datetime", "date"],
+};
+
+function splitCsvLine(line) {
+  const cells = [];
+  let cur = "", quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cur += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { cells.push(cur); cur = ""; }
+    else cur += c;
+  }
+  cells.push(cur);
+  return cells.map((s) => s.trim());
+}
+
+// Header row required; one row per fix. A bare "alt"/"ele" column is taken as metres
+export function tracksFromCSV(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim());
+  if (!lines.length) return {};
+  const header = splitCsvLine(lines[0]).map((h) => h.toLowerCase());
+  const col = Object.fromEntries(
+    Object.entries(CSV_ALIASES).map(([k, names]) => [k, names.map((n) => header.indexOf(n)).find((i) => i >= 0) ?? -1])
+  );
+  if (col.lat < 0 || col.lon < 0 || col.ts < 0) throw new Error("CSV needs lat, lon and time columns");
+
+  const out = collect();
+  for (const line of lines.slice(1)) {
+    const cells = splitCsvLine(line);
+    const altKm = col.altKm >= 0 && cells[col.altKm] !== "" ? Number(cells[col.altKm])
+      : col.altM >= 0 && cells[col.altM] !== "" ? Number(cells[col.altM]) / 1000 : null;
+    out.add(col.id >= 0 ? cells[col.id] || "track1" : "track1", fix(cells[col.lat], cells[col.lon], altKm, toSec(cells[col.ts])));
+  }
+  return out.done();
+}
+
+/** ---------- Dispatch ---------- **/
+export const IMPORT_EXTENSIONS = [".geojson", ".json", ".gpx", ".kml", ".csv"];
+
+/**
+ * Parse a track file by extension, falling back to sniffing the content.
+ * @returns {{ [id]: Array<{ lat, lon, alt?, ts }> }}  ids are prefixed with idPrefix
+ */
+export function parseTrackFile(text, filename = "", idPrefix = "") {
+  const ext = filename.toLowerCase().match(/\.[a-z]+$/)?.[0];
+  const head = text.trimStart().slice(0, 400);
+  let byId;
+  if (ext === ".gpx" || head.includes("<gpx")) byId = tracksFromGPX(text);
+  else if (ext === ".kml" || head.includes("<kml")) byId = tracksFromKML(text);
+  else if (ext === ".geojson" || ext === ".json" || head.startsWith("{")) byId = tracksFromGeoJSON(JSON.parse(text));
+  else if (ext === ".csv" || !ext) byId = tracksFromCSV(text);
+  else throw new Error(`Unsupported file type ${ext}`);
+
+  const entries = Object.entries(byId).filter(([, pts]) => pts.length);
+  if (!entries.length) throw new Error("No timed track points found");
+  return Object.fromEntries(entries.map(([id, pts]) => [`${idPrefix}${id}`, pts]));
+}
+
+/**
+ * How an import sits against the fleet timeline [startSec, endSec]: imported tracks play
+ * on the fleet clock, so fixes outside it are never drawn.
+ * → { fromSec, toSec, inside, total } over all fixes of byId
+ */
+export function timelineCoverage(byId, { startSec, endSec }) {
+  let fromSec = Infinity, toSec = -Infinity, inside = 0, total = 0;
+  for (const pts of Object.values(byId)) {
+    for (const p of pts) {
+      fromSec = Math.min(fromSec, p.ts);
+      toSec = Math.max(toSec, p.ts);
+      if (p.ts >= startSec && p.ts <= endSec) inside++;
+      total++;
+    }
+  }
+  return { fromSec, toSec, inside, total };
+}
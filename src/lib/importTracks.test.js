@@ -0,0 +1,77 @@
+import { describe, it, expect } from "vitest";
+import { parseTrackFile, timelineCoverage, tracksFromCSV, tracksFromGeoJSON, toSec } from "./importTracks.js";
+import { toGeoJSON, toKML, toGPX, toCSV } from "./export.js";
+
+const T0 = 1700000000;
+const track = {
+  id: "sonde-1",
+  points: [
+    { lat: 10, lon: 20, alt: 12.5, ts: T0 },
+    { lat: 10.5, lon: 21, alt: 12.4, ts: T0 + 3600 },
+    { lat: 11, lon: 22, alt: 12.3, ts: T0 + 7200 },
+  ],
+};
+
+describe("toSec", () => {
+  it("accepts unix seconds, milliseconds and ISO strings", () => {
+    expect(toSec(T0)).toBe(T0);
+    expect(toSec(String(T0 * 1000))).toBe(T0);
+    expect(toSec("2023-11-14T22:13:20Z")).toBe(T0);
+    expect(toSec("not a time")).toBeNull();
+  });
+});
+
+describe("parseTrackFile", () => {
+  it.each([
+    ["geojson", toGeoJSON],
+    ["kml", toKML],
+    ["gpx", toGPX],
+    ["csv", toCSV],
+  ])("round-trips this app's %s export", (ext, serialize) => {
+    const byId = parseTrackFile(serialize([track]), `x.${ext}`, "ext:");
+    expect(Object.keys(byId)).toEqual(["ext:sonde-1"]);
+    expect(byId["ext:sonde-1"]).toEqual(track.points);
+  });
+
+  it("sniffs the format when the extension is missing and rejects untimed files", () => {
+    expect(Object.keys(parseTrackFile(toGPX([track]), "upload"))).toEqual(["sonde-1"]);
+    const untimed = { type: "Feature", properties: {}, geometry: { type: "LineString", coordinates: [[0, 0], [1, 1]] } };
+    expect(() => parseTrackFile(JSON.stringify(untimed), "a.geojson")).toThrow(/No timed/);
+  });
+});
+
+describe("tracksFromGeoJSON", () => {
+  it("groups timed points by name and sorts them", () => {
+    const fc = {
+      type: "FeatureCollection",
+      features: [
+        { type: "Feature", properties: { name: "A", time: "2023-11-14T23:13:20Z" }, geometry: { type: "Point", coordinates: [1, 2] } },
+        { type: "Feature", properties: { name: "A", time: T0 }, geometry: { type: "Point", coordinates: [0, 1] } },
+      ],
+    };
+    expect(tracksFromGeoJSON(fc).A.map((p) => p.ts)).toEqual([T0, T0 + 3600]);
+  });
+});
+
+describe("tracksFromCSV", () => {
+  it("maps common column names, treats bare alt as metres and handles quotes", () => {
+    const csv = 'callsign,latitude,longitude,alt,time\n"N1, inc",1,2,10000,2023-11-14T22:13:20Z\n"N1, inc",1.5,2.5,,2023-11-14T23:13:20Z\n';
+    const byId = tracksFromCSV(csv);
+    expect(byId["N1, inc"]).toEqual([
+      { lat: 1, lon: 2, alt: 10, ts: T0 },
+      { lat: 1.5, lon: 2.5, ts: T0 + 3600 },
+    ]);
+  });
+
+  it("requires position and time columns", () => {
+    expect(() => tracksFromCSV("id,lat,lon\na,1,2")).toThrow(/time/);
+  });
+});
+
+describe("timelineCoverage", () => {
+  it("counts the fixes that fall on the fleet timeline", () => {
+    const byId = { a: [{ lat: 0, lon: 0, ts: 100 }, { lat: 0, lon: 1, ts: 200 }], b: [{ lat: 1, lon: 1, ts: 5000 }] };
+    expect(timelineCoverage(byId, { startSec: 150, endSec: 6000 })).toEqual({ fromSec: 100, toSec: 5000, inside: 2, total: 3 });
+    expect(timelineCoverage(byId, { startSec: 10000, endSec: 20000 }).inside).toBe(0);
+  });
+});
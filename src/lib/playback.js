@@ -0,0 +1,61 @@
+// Playback clock over an absolute UTC range: play/loop advance, hour steps and
+// the frame times used when recording an animation.
+
+export const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4, 8]; // data hours per wall-clock second
+export const TAIL_OPTIONS_H = [1, 3, 6, 12, 24, 72, 168];
+
+export function fmtUtc(sec) {
+  return `${new Date(sec * 1000).toISOString().slice(0, 16).replace("T", " ")}Z`;
+}
+
+const clamp = (t, { startSec, endSec }) => Math.min(endSec, Math.max(startSec, t));
+
+// Move the playhead forward by dtSec; at the end it wraps (loop) or stops there
+export function advancePlayhead(t, dtSec, range) {
+  const next = t + dtSec;
+  if (next < range.endSec) return { t: Math.max(next, range.startSec), ended: false };
+  if (range.loop && t >= range.endSec) return { t: range.startSec, ended: false };
+  return { t: range.endSec, ended: !range.loop };
+}
+
+// Previous / next whole UTC hour (dir = -1 | 1), within the range
+export function stepHour(t, dir, range) {
+  const h = dir > 0 ? Math.floor(t / 3600) + 1 : Math.ceil(t / 3600) - 1;
+  return clamp(h * 3600, range);
+}
+
+/**
+ * Playhead times for a recording of [startSec, endSec] at `speed` data hours per
+ * second and `fps` frames per second, thinned to at most maxFrames.
+ */
+export function framePlan(startSec, endSec, speed, fps, maxFrames = 600) {
+  const span = endSec - startSec;
+  if (span <= 0) return [startSec];
+  let step = (speed * 3600) / fps;
+  if (span / step + 1 > maxFrames) step = span / (maxFrames - 1);
+  const n = Math.ceil(span / step - 1e-9);
+  return Array.from({ length: n + 1 }, (_, i) => (i < n ? startSec + i * step : endSec));
+}
+
+/**
+ * Spans of the range with no snapshot: each failed hourly file (stats.hours entries
+ * with ok: false) blanks the half hour either side of its time; neighbours merge.
+ * → [{ fromSec, toSec, hoursAgo: [k…] }], oldest first, clipped to the range
+ */
+export function timelineHoles(hours, { startSec, endSec }) {
+  const holes = [];
+  const failed = (hours ?? []).filter((h) => !h.ok && h.timeSec != null).sort((a, b) => a.timeSec - b.timeSec);
+  for (const h of failed) {
+    const fromSec = Math.max(startSec, h.timeSec - 1800);
+    const toSec = Math.min(endSec, h.timeSec + 1800);
+    if (toSec <= fromSec) continue;
+    const prev = holes.at(-1);
+    if (prev && fromSec <= prev.toSec) {
+      prev.toSec = Math.max(prev.toSec, toSec);
+      prev.hoursAgo.push(h.hoursAgo);
+    } else {
+      holes.push({ fromSec, toSec, hoursAgo: [h.hoursAgo] });
+    }
+  }
+  return holes;
+}
@@ -0,0 +1,46 @@
+import { describe, it, expect } from "vitest";
+import { advancePlayhead, stepHour, framePlan, timelineHoles } from "./playback.js";
+
+const range = { startSec: 0, endSec: 10 * 3600, loop: false };
+
+describe("advancePlayhead", () => {
+  it("stops at the end, or lands on it and then wraps when looping", () => {
+    expect(advancePlayhead(3600, 1800, range)).toEqual({ t: 5400, ended: false });
+    expect(advancePlayhead(35000, 3600, range)).toEqual({ t: 36000, ended: true });
+    const loop = { ...range, loop: true };
+    expect(advancePlayhead(35000, 3600, loop)).toEqual({ t: 36000, ended: false });
+    expect(advancePlayhead(36000, 3600, loop)).toEqual({ t: 0, ended: false });
+  });
+});
+
+describe("stepHour", () => {
+  it("snaps to the neighbouring whole hour within the range", () => {
+    expect(stepHour(5400, 1, range)).toBe(7200);
+    expect(stepHour(5400, -1, range)).toBe(3600);
+    expect(stepHour(3600, -1, range)).toBe(0);
+    expect(stepHour(0, -1, range)).toBe(0);
+    expect(stepHour(36000, 1, range)).toBe(36000);
+  });
+});
+
+describe("framePlan", () => {
+  it("spaces frames by speed and fps, capped at maxFrames", () => {
+    const t = framePlan(0, 3600, 1, 10);
+    expect(t).toHaveLength(11);
+    expect(t[1]).toBe(360);
+    expect(t.at(-1)).toBe(3600);
+    expect(framePlan(0, 100 * 3600, 1, 10, 50)).toHaveLength(50);
+  });
+});
+
+describe("timelineHoles", () => {
+  it("blanks failed hours, merging neighbours and clipping to the range", () => {
+    const hours = [0, 1, 2, 3, 4, 10].map((k) => ({ hoursAgo: k, ok: ![1, 2, 4, 10].includes(k), timeSec: 36000 - k * 3600 }));
+    expect(timelineHoles(hours, range)).toEqual([
+      { fromSec: 0, toSec: 1800, hoursAgo: [10] },
+      { fromSec: 19800, toSec: 23400, hoursAgo: [4] },
+      { fromSec: 27000, toSec: 34200, hoursAgo: [2, 1] },
+    ]);
+    expect(timelineHoles(undefined, range)).toEqual([]);
+  });
+});
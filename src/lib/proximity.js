@@ -0,0 +1,121 @@
+// Proximity between balloons: a lat/lon grid index over their positions, nearest
+// neighbours, and the closest point of approach (CPA) if both keep their current drift.
+import { haversineMeters, bearingDeg, toRad } from "./geo.js";
+import { trackSpeed } from "./watchlist.js";
+
+const KM_PER_DEG = 111.195;
+
+export const CONJUNCTION_DEFAULTS = { radiusKm: 50, horizonH: 6, showLines: true };
+export const CONJUNCTION_HORIZONS_H = [1, 3, 6, 12, 24];
+
+/**
+ * Uniform lat/lon grid over items with { lat, lon }.
+ * within(p, radiusKm) → [{ item, distKm }], unsorted (p itself included when indexed).
+ */
+export function createSpatialIndex(items, cellDeg = 2) {
+  const rows = Math.ceil(180 / cellDeg), cols = Math.ceil(360 / cellDeg);
+  const rowOf = (lat) => Math.min(rows - 1, Math.max(0, Math.floor((lat + 90) / cellDeg)));
+  const colOf = (lon) => ((Math.floor((lon + 180) / cellDeg) % cols) + cols) % cols;
+  const cells = new Map();
+  for (const it of items) {
+    const key = rowOf(it.lat) * cols + colOf(it.lon);
+    const c = cells.get(key);
+    if (c) c.push(it);
+    else cells.set(key, [it]);
+  }
+
+  return {
+    within(p, radiusKm) {
+      const dLat = radiusKm / KM_PER_DEG;
+      // Widest longitude span is at the band's poleward edge; near a pole it's every column
+      const edge = Math.min(90, Math.abs(p.lat) + dLat);
+      const dLon = edge >= 89.9 ? 180 : dLat / Math.cos(toRad(edge));
+      const c0 = Math.floor((p.lon - dLon + 180) / cellDeg), c1 = Math.floor((p.lon + dLon + 180) / cellDeg);
+      const colCount = Math.min(cols, c1 - c0 + 1);
+
+      const out = [];
+      for (let r = rowOf(p.lat - dLat); r <= rowOf(p.lat + dLat); r++) {
+        for (let k = 0; k < colCount; k++) {
+          const c = (((c0 + k) % cols) + cols) % cols;
+          for (const it of cells.get(r * cols + c) ?? []) {
+            const distKm = haversineMeters(p, it) / 1000;
+            if (distKm <= radiusKm) out.push({ item: it, distKm });
+          }
+        }
+      }
+      return out;
+    },
+  };
+}
+
+// Drift as an east/north velocity (km/h); unknown speed or heading counts as stationary
+function velocity({ speedKmh, bearing }) {
+  if (!Number.isFinite(speedKmh) || !Number.isFinite(bearing)) return { x: 0, y: 0 };
+  return { x: speedKmh * Math.sin(toRad(bearing)), y: speedKmh * Math.cos(toRad(bearing)) };
+}
+
+/**
+ * Straight-line CPA of b relative to a in a's local east/north plane, within horizonH.
+ * a, b: { lat, lon, speedKmh, bearing }
+ * → { distKm, cpaKm, tcpaH, closingKmh } (closingKmh > 0 when the gap is shrinking)
+ */
+export function closestApproach(a, b, horizonH) {
+  const distKm = haversineMeters(a, b) / 1000;
+  const brg = toRad(bearingDeg(a, b));
+  const r = { x: distKm * Math.sin(brg), y: distKm * Math.cos(brg) };
+  const va = velocity(a), vb = velocity(b);
+  const v = { x: vb.x - va.x, y: vb.y - va.y };
+  const vv = v.x * v.x + v.y * v.y;
+  const rv = r.x * v.x + r.y * v.y;
+  const tcpaH = vv > 1e-9 ? Math.min(horizonH, Math.max(0, -rv / vv)) : 0;
+  return {
+    distKm,
+    cpaKm: Math.hypot(r.x + v.x * tcpaH, r.y + v.y * tcpaH),
+    tcpaH,
+    closingKmh: distKm > 0 ? -rv / distKm : 0,
+  };
+}
+
+// Windowed track → its position and drift at the playhead
+function driftState(t) {
+  const p = (t._winPts ?? t.points).at(-1);
+  const bearing = Number.isFinite(t._winBearing) ? t._winBearing : t.headingDeg;
+  return { id: t.id, lat: p.lat, lon: p.lon, speedKmh: trackSpeed(t), bearing };
+}
+
+/**
+ * Pairs of balloons within radiusKm now, or due to come within it in the next
+ * horizonH hours on their current drift. Stale balloons are left out.
+ * → { pairs: [{ a, b, aPos, bPos, distKm, cpaKm, tcpaH, closingKmh, within, mutualNearest }] by CPA,
+ *     nearest: { id: { id, distKm } } — each balloon's closest neighbour within the search reach }
+ */
+export function findConjunctions(tracks, { radiusKm = CONJUNCTION_DEFAULTS.radiusKm, horizonH = CONJUNCTION_DEFAULTS.horizonH } = {}) {
+  const items = tracks.filter((t) => !t._stale && (t._winPts ?? t.points)?.length).map(driftState);
+  const index = createSpatialIndex(items);
+  const vMax = Math.max(0, ...items.map((it) => (Number.isFinite(it.speedKmh) ? it.speedKmh : 0)));
+
+  const nearest = {};
+  const pairs = [];
+  for (const a of items) {
+    const speed = Number.isFinite(a.speedKmh) ? a.speedKmh : 0;
+    // Farthest a partner could start and still close to radiusKm within the horizon
+    const reach = radiusKm + (speed + vMax) * horizonH;
+    for (const { item: b, distKm } of index.within(a, reach)) {
+      if (b === a) continue;
+      if (!nearest[a.id] || distKm < nearest[a.id].distKm) nearest[a.id] = { id: b.id, distKm };
+      if (b.id <= a.id) continue; // each pair once
+      const cpa = closestApproach(a, b, horizonH);
+      if (cpa.distKm > radiusKm && cpa.cpaKm > radiusKm) continue;
+      pairs.push({ a: a.id, b: b.id, aPos: [a.lat, a.lon], bPos: [b.lat, b.lon], ...cpa, within: cpa.distKm <= radiusKm });
+    }
+  }
+
+  for (const p of pairs) p.mutualNearest = nearest[p.a]?.id === p.b && nearest[p.b]?.id === p.a;
+  pairs.sort((x, y) => x.cpaKm - y.cpaKm || x.distKm - y.distKm);
+  return { pairs, nearest };
+}
+
+// Red: within the radius now; amber: converging on it
+export function conjunctionColor(pair) {
+  return pair.within ? "#d9534f" : "#f0ad4e";
+}
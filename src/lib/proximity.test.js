@@ -0,0 +1,78 @@
+import { describe, it, expect } from "vitest";
+import { createSpatialIndex, closestApproach, findConjunctions } from "./proximity.js";
+
+const balloon = (id, lat, lon, speed = 0, bearing = 0, extra = {}) => ({
+  id,
+  points: [{ lat, lon, ts: 0 }],
+  _winPts: [{ lat, lon, ts: 0 }],
+  _winSpeed: speed,
+  _winBearing: bearing,
+  ...extra,
+});
+
+describe("createSpatialIndex", () => {
+  it("finds neighbours across cell edges, the antimeridian and near the pole", () => {
+    const items = [
+      { id: "a", lat: 0, lon: 179.9 },
+      { id: "b", lat: 0, lon: -179.9 },
+      { id: "c", lat: 0, lon: 10 },
+      { id: "d", lat: 89.5, lon: 0 },
+      { id: "e", lat: 89.5, lon: 180 },
+    ];
+    const idx = createSpatialIndex(items);
+    const ids = (p, km) => idx.within(p, km).map((r) => r.item.id).sort();
+    expect(ids(items[0], 50)).toEqual(["a", "b"]);
+    expect(ids({ lat: 0, lon: 9 }, 120)).toEqual(["c"]);
+    expect(ids(items[3], 150)).toEqual(["d", "e"]);
+  });
+});
+
+describe("closestApproach", () => {
+  it("projects converging and diverging drift", () => {
+    // 1° apart on the equator (~111 km), b flying west at 100 km/h towards a
+    const head = closestApproach({ lat: 0, lon: 0, speedKmh: 0, bearing: 0 }, { lat: 0, lon: 1, speedKmh: 100, bearing: 270 }, 6);
+    expect(head.distKm).toBeCloseTo(111.2, 0);
+    expect(head.tcpaH).toBeCloseTo(1.112, 2);
+    expect(head.cpaKm).toBeCloseTo(0, 3);
+    expect(head.closingKmh).toBeCloseTo(100, 3);
+
+    const away = closestApproach({ lat: 0, lon: 0, speedKmh: 50, bearing: 270 }, { lat: 0, lon: 1, speedKmh: 50, bearing: 90 }, 6);
+    expect(away.tcpaH).toBe(0);
+    expect(away.cpaKm).toBeCloseTo(away.distKm, 6);
+    expect(away.closingKmh).toBeCloseTo(-100, 3);
+  });
+});
+
+describe("findConjunctions", () => {
+  it("reports close and converging pairs, skips stale balloons and marks mutual nearest", () => {
+    const { pairs, nearest } = findConjunctions(
+      [
+        balloon("a", 0, 0),
+        balloon("b", 0, 0.3), // ~33 km away
+        balloon("c", 0, 3, 100, 270), // 330 km east, closing at 100 km/h
+        balloon("d", 40, 40),
+        balloon("e", 40, 40.1, 0, 0, { _stale: true }),
+      ],
+      { radiusKm: 50, horizonH: 6 }
+    );
+    // c passes straight through a and b (CPA ≈ 0), so a–b (33 km) sorts last
+    expect(pairs.map((p) => `${p.a}-${p.b}`).sort()).toEqual(["a-b", "a-c", "b-c"]);
+    expect(pairs.at(-1)).toMatchObject({ a: "a", b: "b", within: true, mutualNearest: true });
+    const ac = pairs.find((p) => p.a === "a" && p.b === "c");
+    expect(ac).toMatchObject({ within: false, mutualNearest: false });
+    expect(ac.tcpaH).toBeCloseTo(3.34, 1);
+    expect(nearest.c.id).toBe("b");
+    expect(nearest.d).toBeUndefined();
+  });
+
+  it("checks pairs that start far apart but close at jet-stream speeds", () => {
+    // ~1500 km apart on the equator, flying at each other at 150 km/h
+    const { pairs } = findConjunctions([balloon("a", 0, 0, 150, 90), balloon("b", 0, 13.5, 150, 270)], {
+      radiusKm: 50,
+      horizonH: 12,
+    });
+    expect(pairs).toHaveLength(1);
+    expect(pairs[0].distKm).toBeGreaterThan(1400);
+    expect(pairs[0].tcpaH).toBeCloseTo(5, 0);
+  });
+});
@@ -0,0 +1,95 @@
+// Data-quality checks for the WindBorne feed: per-row range checks, duplicate
+// fixes, implausible jumps along a track, and antimeridian-safe longitudes for
+// drawing. Rejections carry a reason key so ingest can report why rows went.
+import { haversineMeters } from "./geo.js";
+import { MAX_DRIFT_KMH } from "./tracker.js";
+
+export const REJECT_REASONS = {
+  notRow: "Not a row (object or [lat, lon, alt])",
+  nonNumeric: "Lat/lon missing or not a number",
+  latRange: "Latitude outside ±90°",
+  lonRange: "Longitude outside ±180° (or 0–360°)",
+  altRange: "Altitude outside −1…50 km",
+  duplicate: "Duplicate fix (same balloon and time)",
+  implausibleSpeed: `Jump faster than ${MAX_DRIFT_KMH} km/h`,
+};
+
+const ALT_MIN_KM = -1;
+const ALT_MAX_KM = 50;
+
+/**
+ * Range-check a normalised fix { lat, lon, alt? }. Longitudes given as 0–360
+ * are brought into [-180, 180]. → { fix } or { reason } (a REJECT_REASONS key)
+ */
+export function validateFix(fix) {
+  const { lat, lon, alt } = fix;
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return { reason: "nonNumeric" };
+  if (Math.abs(lat) > 90) return { reason: "latRange" };
+  if (lon < -180 || lon > 360) return { reason: "lonRange" };
+  if (alt != null && (alt < ALT_MIN_KM || alt > ALT_MAX_KM)) return { reason: "altRange" };
+  return { fix: lon > 180 ? { ...fix, lon: lon - 360 } : fix };
+}
+
+// Sorted by ts, one fix per timestamp (the first one seen wins)
+export function dedupeFixes(points) {
+  const seen = new Set();
+  const kept = [];
+  let duplicates = 0;
+  for (const p of [...points].sort((a, b) => a.ts - b.ts)) {
+    if (seen.has(p.ts)) {
+      duplicates++;
+      continue;
+    }
+    seen.add(p.ts);
+    kept.push(p);
+  }
+  return { points: kept, duplicates };
+}
+
+const kmh = (a, b) => haversineMeters(a, b) / 1000 / Math.max((b.ts - a.ts) / 3600, 1e-6);
+
+/**
+ * Drop single-fix spikes: a fix that is implausibly fast from the previous kept
+ * fix while the one after it is reachable without it. A jump that persists
+ * (every later fix is also far) is kept: it is a real discontinuity, not noise,
+ * and surfaces as a gap. A spike on the very first fix is dropped the same way.
+ * → { points, rejected }
+ */
+export function rejectImplausible(points, maxKmh = MAX_DRIFT_KMH) {
+  const kept = [];
+  const rejected = [];
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i], next = points[i + 1];
+    const prev = kept.at(-1);
+    if (!prev || kmh(prev, p) <= maxKmh) {
+      kept.push(p);
+      continue;
+    }
+    if (next && kmh(prev, next) <= maxKmh) {
+      rejected.push(p);
+    } else if (kept.length === 1 && next && kmh(p, next) <= maxKmh) {
+      rejected.push(kept.pop());
+      kept.push(p);
+    } else {
+      kept.push(p);
+    }
+  }
+  return { points: kept, rejected };
+}
+
+/**
+ * Longitudes made continuous across ±180° for drawing lines, anchored on the
+ * newest fix so it keeps its own longitude (and lines up with its marker).
+ * → [{ ...p, lon }] with lon possibly outside [-180, 180]
+ */
+export function unwrapLongitudes(points) {
+  const out = points.slice();
+  for (let i = out.length - 2; i >= 0; i--) {
+    let lon = points[i].lon;
+    const ref = out[i + 1].lon;
+    while (lon - ref > 180) lon -= 360;
+    while (lon - ref < -180) lon += 360;
+    if (lon !== points[i].lon) out[i] = { ...points[i], lon };
+  }
+  return out;
+}
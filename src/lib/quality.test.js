@@ -0,0 +1,51 @@
+import { describe, it, expect } from "vitest";
+import { validateFix, dedupeFixes, rejectImplausible, unwrapLongitudes } from "./quality.js";
+
+const H = 3600;
+
+describe("validateFix", () => {
+  it("rejects out-of-range values with a reason and wraps 0–360 longitudes", () => {
+    expect(validateFix({ lat: NaN, lon: 0 })).toEqual({ reason: "nonNumeric" });
+    expect(validateFix({ lat: 91, lon: 0 })).toEqual({ reason: "latRange" });
+    expect(validateFix({ lat: 0, lon: -181 })).toEqual({ reason: "lonRange" });
+    expect(validateFix({ lat: 0, lon: 0, alt: 80 })).toEqual({ reason: "altRange" });
+    expect(validateFix({ lat: 10, lon: 270, alt: 12 })).toEqual({ fix: { lat: 10, lon: -90, alt: 12 } });
+  });
+});
+
+describe("dedupeFixes", () => {
+  it("keeps the first fix per timestamp, sorted", () => {
+    const { points, duplicates } = dedupeFixes([
+      { lat: 1, lon: 0, ts: H },
+      { lat: 0, lon: 0, ts: 0 },
+      { lat: 9, lon: 9, ts: H },
+    ]);
+    expect(points.map((p) => p.lat)).toEqual([0, 1]);
+    expect(duplicates).toBe(1);
+  });
+});
+
+describe("rejectImplausible", () => {
+  const track = (lats) => lats.map((lat, i) => ({ lat, lon: 0, ts: i * H }));
+
+  it("drops a one-fix spike", () => {
+    const { points, rejected } = rejectImplausible(track([0, 1, 40, 2, 3]));
+    expect(points.map((p) => p.lat)).toEqual([0, 1, 2, 3]);
+    expect(rejected.map((p) => p.lat)).toEqual([40]);
+  });
+
+  it("drops a spike on the first fix", () => {
+    expect(rejectImplausible(track([40, 1, 2])).points.map((p) => p.lat)).toEqual([1, 2]);
+  });
+
+  it("keeps a jump that persists", () => {
+    expect(rejectImplausible(track([0, 1, 40, 41, 42])).rejected).toEqual([]);
+  });
+});
+
+describe("unwrapLongitudes", () => {
+  it("makes a track continuous across the antimeridian, keeping the newest fix", () => {
+    const pts = [170, 178, -176, -170].map((lon, i) => ({ lat: 0, lon, ts: i }));
+    expect(unwrapLongitudes(pts).map((p) => p.lon)).toEqual([-190, -182, -176, -170]);
+  });
+});
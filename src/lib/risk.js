@@ -1,20 +1,182 @@
+import { downwindDeg } from "./wind.js";
+import { fenceDistanceKm } from "./geofence.js";
+
 export function angleDelta(a, b) {
   if (a == null || b == null) return undefined;
   const d = Math.abs(a - b) % 360;
   return d > 180 ? 360 - d : d;
 }
 
-// Simple risk: combine drift speed, wind mismatch, and shear → 0..100
-export function computeRisk({ driftKmh, headingDeg, dir700, dir500, wind700, wind500 }) {
-  if (driftKmh == null) return undefined;
+// Angle between the balloon's track and the direction the wind carries it (700 hPa, else 500)
+export function windMismatchDeg(headingDeg, { dir700, dir500 } = {}) {
+  return angleDelta(headingDeg, downwindDeg(dir700 ?? dir500));
+}
+
+/** ---------- Factor registry ---------- **/
+// A factor scores one aspect of a track on 0..1 and explains itself:
+//   { key, label, weight (default), params (defaults), score(track, params) → { value?, detail, inactive? } }
+// value undefined = no data; it then contributes 0 but is reported as n/a.
+// inactive = the factor has nothing to judge by (e.g. no regions): its weight is left out too.
+const factors = new Map();
+
+export function registerFactor(factor) {
+  if (!factor?.key || typeof factor.score !== "function") {
+    throw new Error("registerFactor: need { key, score() }");
+  }
+  factors.set(factor.key, { label: factor.key, weight: 0, params: {}, ...factor });
+}
+
+// Drop a registered factor (plugins being unloaded, tests); → whether it was there
+export function unregisterFactor(key) {
+  return factors.delete(key);
+}
+
+export function listFactors() {
+  return [...factors.values()];
+}
+
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+registerFactor({
+  key: "drift",
+  label: "Drift speed",
+  weight: 0.3,
+  params: { capKmh: 100 },
+  score: ({ driftKmh }, { capKmh }) =>
+    driftKmh == null
+      ? { detail: "no hop yet" }
+      : { value: clamp01(driftKmh / capKmh), detail: `${driftKmh.toFixed(0)} km/h` },
+});
+
+registerFactor({
+  key: "windMismatch",
+  label: "Wind mismatch",
+  weight: 0.3,
+  params: { capDeg: 90 },
+  score: ({ headingDeg, dir700, dir500 }, { capDeg }) => {
+    const m = windMismatchDeg(headingDeg, { dir700, dir500 });
+    return m == null ? { detail: "wind not loaded" } : { value: clamp01(m / capDeg), detail: `${m.toFixed(0)}°` };
+  },
+});
 
-  const useDir = dir700 ?? dir500;
-  const mismatch = angleDelta(headingDeg, useDir);         // degrees
-  const shear = (wind700 != null && wind500 != null) ? Math.abs(wind700 - wind500) : undefined; // m/s
+registerFactor({
+  key: "shear",
+  label: "Wind shear 700↔500",
+  weight: 0.15,
+  params: { capMs: 30 },
+  score: ({ wind700, wind500 }, { capMs }) => {
+    if (wind700 == null || wind500 == null) return { detail: "wind not loaded" };
+    const s = Math.abs(wind700 - wind500);
+    return { value: clamp01(s / capMs), detail: `${s.toFixed(1)} m/s` };
+  },
+});
 
-  const d = Math.min(driftKmh / 100, 1); // cap 100 km/h
-  const m = mismatch != null ? Math.min(mismatch / 90, 1) : 0; // cap 90°
-  const s = shear != null ? Math.min(shear / 30, 1) : 0;        // cap 30 m/s
+registerFactor({
+  key: "altitudeChange",
+  label: "Altitude change",
+  weight: 0.1,
+  params: { capKmh: 2 },
+  score: ({ climbKmh }, { capKmh }) =>
+    climbKmh == null
+      ? { detail: "no altitude" }
+      : { value: clamp01(Math.abs(climbKmh) / capKmh), detail: `${climbKmh.toFixed(2)} km/h` },
+});
+
+registerFactor({
+  key: "staleAge",
+  label: "Stale age",
+  weight: 0.05,
+  params: { graceSec: 3600, capSec: 6 * 3600 },
+  score: ({ _ageSec }, { graceSec, capSec }) =>
+    _ageSec == null
+      ? { detail: "no fix" }
+      : { value: clamp01((_ageSec - graceSec) / (capSec - graceSec)), detail: `${Math.round(_ageSec / 60)} min` },
+});
+
+registerFactor({
+  key: "gapSize",
+  label: "Gap size",
+  weight: 0.05,
+  params: { capKm: 600 },
+  score: ({ _gapKm }, { capKm }) =>
+    !_gapKm ? { detail: "no hop yet" } : { value: clamp01(_gapKm / capKm), detail: `${_gapKm.toFixed(0)} km last hop` },
+});
+
+// Regions are geofences (see lib/geofence; the app passes its own via withRestrictedRegions)
+// or plain circles { name, lat, lon, radiusKm }; 1 inside, fading to 0 at the edge + bufferKm
+registerFactor({
+  key: "restrictedProximity",
+  label: "Near restricted region",
+  weight: 0.05,
+  params: { bufferKm: 200, regions: [] },
+  score: ({ points }, { bufferKm, regions }) => {
+    if (!regions?.length) return { detail: "no regions", inactive: true };
+    const last = points?.at(-1);
+    if (!last) return { detail: "no fix" };
+    let best = { value: 0, detail: "clear" };
+    for (const r of regions) {
+      const fence = r.kind ? r : { kind: "circle", center: { lat: r.lat, lon: r.lon }, radiusKm: r.radiusKm };
+      const dKm = fenceDistanceKm(fence, last);
+      const v = dKm <= 0 ? 1 : clamp01(1 - dKm / bufferKm);
+      if (v > best.value) best = { value: v, detail: dKm <= 0 ? `inside ${r.name}` : `${dKm.toFixed(0)} km from ${r.name}` };
+    }
+    return best;
+  },
+});
+
+/** ---------- Config ---------- **/
+// { weights: { key: number }, params: { key: {...} } } — anything missing falls back to factor defaults
+export function defaultRiskConfig() {
+  const weights = {}, params = {};
+  for (const f of factors.values()) {
+    weights[f.key] = f.weight;
+    params[f.key] = { ...f.params };
+  }
+  return { weights, params };
+}
+
+// config with fences added to the restricted regions
+export function withRestrictedRegions(config, fences) {
+  if (!fences?.length) return config;
+  const rp = config.params?.restrictedProximity;
+  return {
+    ...config,
+    params: { ...config.params, restrictedProximity: { ...rp, regions: [...(rp?.regions ?? []), ...fences] } },
+  };
+}
+
+/**
+ * Score a track → { risk: 0..100 | undefined, riskFactors: [{ key, label, value?, weight, contribution, detail }] }
+ * risk = Σ weight·value / Σ weight (inactive factors left out of both), so it stays on
+ * 0..100 whatever the weights add up to.
+ * It is undefined only when no factor has data.
+ */
+export function scoreRisk(track, config = {}) {
+  let num = 0, den = 0, any = false;
+  const riskFactors = [];
+
+  for (const f of factors.values()) {
+    const weight = Math.max(0, config.weights?.[f.key] ?? f.weight);
+    const params = { ...f.params, ...config.params?.[f.key] };
+    const { value, detail, inactive = false } = f.score(track, params);
+    if (inactive) {
+      riskFactors.push({ key: f.key, label: f.label, value: undefined, weight, detail, contribution: 0, inactive });
+      continue;
+    }
+    den += weight;
+    if (value != null && Number.isFinite(value)) {
+      any = true;
+      num += weight * value;
+    }
+    riskFactors.push({ key: f.key, label: f.label, value, weight, detail, contribution: 0 });
+  }
+
+  if (!any || den <= 0) return { risk: undefined, riskFactors };
+  for (const rf of riskFactors) rf.contribution = rf.value != null ? (100 * rf.weight * rf.value) / den : 0;
+  return { risk: Math.round((100 * num) / den), riskFactors };
+}
 
-  return Math.round((0.4 * d + 0.4 * m + 0.2 * s) * 100);
+// Back-compat: just the 0..100 number
+export function computeRisk(track, config) {
+  return scoreRisk(track, config).risk;
 }
@@ -0,0 +1,107 @@
+import { describe, it, expect, afterEach } from "vitest";
+import {
+  scoreRisk, computeRisk, registerFactor, unregisterFactor, listFactors, defaultRiskConfig, withRestrictedRegions,
+} from "./risk.js";
+
+// Factors registered by a test must not leak into the ones after it
+afterEach(() => unregisterFactor("test_const"));
+
+// Known scenarios. Winds use the meteorological FROM convention: dir 270 blows towards 90°.
+const calm = {
+  driftKmh: 20, headingDeg: 90, climbKmh: 0.05, _ageSec: 600, _gapKm: 20,
+  wind700: 10, dir700: 270, wind500: 12, dir500: 270,
+  points: [{ lat: 0, lon: 0, ts: 0 }],
+};
+
+const wild = {
+  driftKmh: 180, headingDeg: 0, climbKmh: -3, _ageSec: 8 * 3600, _gapKm: 900,
+  wind700: 5, dir700: 270, wind500: 45, dir500: 270,
+  points: [{ lat: 0, lon: 0, ts: 0 }],
+};
+
+const factor = (res, key) => res.riskFactors.find((f) => f.key === key);
+
+describe("scoreRisk", () => {
+  it("keeps a slow balloon riding the wind low", () => {
+    const { risk } = scoreRisk(calm);
+    expect(risk).toBeLessThan(15);
+  });
+
+  it("scores a fast, cross-wind, sheared, stale balloon high", () => {
+    const { risk } = scoreRisk(wild);
+    expect(risk).toBeGreaterThan(80);
+  });
+
+  it("reads mismatch against the downwind direction", () => {
+    expect(factor(scoreRisk(calm), "windMismatch").value).toBe(0);
+    expect(factor(scoreRisk({ ...calm, headingDeg: 270 }), "windMismatch").value).toBe(1);
+  });
+
+  it("reports wind factors as n/a until winds are loaded", () => {
+    const res = scoreRisk({ driftKmh: 50, headingDeg: 10 });
+    expect(factor(res, "windMismatch").value).toBeUndefined();
+    expect(factor(res, "windMismatch").detail).toBe("wind not loaded");
+    expect(factor(res, "shear").contribution).toBe(0);
+    expect(res.risk).toBe(16); // 0.3 × 0.5 of a total weight of 0.95 (no regions, so proximity sits out)
+  });
+
+  it("is undefined when no factor has data", () => {
+    expect(scoreRisk({}).risk).toBeUndefined();
+    expect(computeRisk({})).toBeUndefined();
+  });
+
+  it("breaks the score down into contributions that add up", () => {
+    const res = scoreRisk(wild);
+    const sum = res.riskFactors.reduce((s, f) => s + f.contribution, 0);
+    expect(Math.round(sum)).toBe(res.risk);
+  });
+
+  it("honours configured weights and params", () => {
+    const driftOnly = { weights: Object.fromEntries(listFactors().map((f) => [f.key, 0])) };
+    driftOnly.weights.drift = 1;
+    expect(scoreRisk(calm, driftOnly).risk).toBe(20);
+    expect(scoreRisk(calm, { ...driftOnly, params: { drift: { capKmh: 40 } } }).risk).toBe(50);
+  });
+
+  it("scores proximity to restricted regions", () => {
+    const params = { restrictedProximity: { bufferKm: 200, regions: [{ name: "R1", lat: 0, lon: 0, radiusKm: 50 }] } };
+    expect(factor(scoreRisk(calm, { params }), "restrictedProximity")).toMatchObject({ value: 1, detail: "inside R1" });
+
+    const far = { ...calm, points: [{ lat: 10, lon: 10, ts: 0 }] };
+    expect(factor(scoreRisk(far, { params }), "restrictedProximity").value).toBe(0);
+  });
+
+  it("uses geofences as regions and sits out without any", () => {
+    const none = scoreRisk(calm);
+    expect(factor(none, "restrictedProximity")).toMatchObject({ inactive: true, detail: "no regions", contribution: 0 });
+
+    // 100 km east of a polygon fence with a 200 km buffer → 0.5
+    const fence = { id: "f", name: "Box", kind: "polygon", ring: [[-1, -2], [-1, -0.9], [1, -0.9], [1, -2]] };
+    const cfg = withRestrictedRegions(defaultRiskConfig(), [fence]);
+    const near = factor(scoreRisk(calm, cfg), "restrictedProximity");
+    expect(near.value).toBeCloseTo(0.5, 1);
+    expect(near.detail).toBe("100 km from Box");
+    expect(scoreRisk(calm, cfg).risk).toBeGreaterThan(none.risk);
+    expect(withRestrictedRegions(cfg, [])).toBe(cfg);
+  });
+
+  it("accepts registered factors", () => {
+    registerFactor({ key: "test_const", label: "Const", weight: 0, score: () => ({ value: 1, detail: "always" }) });
+    expect(defaultRiskConfig().weights.test_const).toBe(0);
+    const cfg = { weights: { ...defaultRiskConfig().weights, test_const: 1 } };
+    expect(scoreRisk(calm, cfg).risk).toBeGreaterThan(scoreRisk(calm).risk);
+  });
+
+  it("forgets unregistered factors", () => {
+    registerFactor({ key: "test_const", score: () => ({ value: 1, detail: "always" }) });
+    expect(unregisterFactor("test_const")).toBe(true);
+    expect(listFactors().map((f) => f.key)).not.toContain("test_const");
+    expect(defaultRiskConfig().weights).not.toHaveProperty("test_const");
+  });
+});
+
+describe("computeRisk", () => {
+  it("returns the same number as scoreRisk", () => {
+    expect(computeRisk(wild)).toBe(scoreRisk(wild).risk);
+  });
+});
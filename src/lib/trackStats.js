@@ -0,0 +1,74 @@
+// Per-fix histories and totals for one track, for the balloon detail panel.
+// Each fix is described by the hop that ends at it; risk is re-scored as it
+// would have been at that fix, so its history reads like the live score did.
+import { hopStats, isGapHop } from "./tracks.js";
+import { climbRateKmh } from "./altitude.js";
+import { scoreRisk, windMismatchDeg } from "./risk.js";
+
+/**
+ * points (sorted by ts) → [{ ts, speed, heading, alt, mismatch, risk, gap }] per fix.
+ * The first fix has no hop: speed/heading/risk undefined.
+ */
+export function pointHistory(points, riskConfig) {
+  return points.map((p, i) => {
+    if (!i) return { ts: p.ts, alt: p.alt };
+    const hop = hopStats(points[i - 1], p);
+    const mismatch = p.mismatch ?? windMismatchDeg(hop.bearing, p);
+    const { risk } = scoreRisk(
+      {
+        points: points.slice(0, i + 1),
+        driftKmh: hop.speedKmh,
+        headingDeg: hop.bearing,
+        climbKmh: climbRateKmh(points.slice(Math.max(0, i - 1), i + 1)),
+        wind700: p.wind700, dir700: p.dir700, wind500: p.wind500, dir500: p.dir500,
+        _ageSec: 0,
+        _gapKm: hop.distM / 1000,
+      },
+      riskConfig
+    );
+    return { ts: p.ts, speed: hop.speedKmh, heading: hop.bearing, alt: p.alt, mismatch, risk, gap: isGapHop(hop, p) };
+  });
+}
+
+/**
+ * Headings in degrees → the same series with each step taken the short way round,
+ * so 359° → 1° reads as +2° (giving 361°) rather than a drop of 358°. Nulls are kept.
+ */
+export function unwrapDegrees(values) {
+  let prev;
+  return values.map((v) => {
+    if (v == null || !Number.isFinite(v)) return v;
+    if (prev != null) v = prev + ((((v - prev) % 360) + 540) % 360) - 180;
+    return (prev = v);
+  });
+}
+
+/**
+ * Totals over points: { fixes, distanceKm, meanDriftKmh, maxHopKm, gaps, firstTs, sinceFirstSec, altMin, altMax }
+ * meanDriftKmh = distance / elapsed time. firstTs / sinceFirstSec (to nowSec) come from
+ * firstFix, which defaults to points[0]; pass the balloon's first fix when points is a window.
+ */
+export function trackSummary(points, nowSec, firstFix = points[0]) {
+  let distanceKm = 0, maxHopKm = 0, gaps = 0;
+  for (let i = 1; i < points.length; i++) {
+    const hop = hopStats(points[i - 1], points[i]);
+    const km = hop.distM / 1000;
+    distanceKm += km;
+    maxHopKm = Math.max(maxHopKm, km);
+    if (isGapHop(hop, points[i])) gaps++;
+  }
+  const alts = points.map((p) => p.alt).filter((a) => a != null);
+  const first = points[0], last = points.at(-1);
+  const elapsedH = first && last ? (last.ts - first.ts) / 3600 : 0;
+  return {
+    fixes: points.length,
+    distanceKm,
+    meanDriftKmh: elapsedH > 0 ? distanceKm / elapsedH : undefined,
+    maxHopKm,
+    gaps,
+    firstTs: firstFix?.ts,
+    sinceFirstSec: firstFix && nowSec != null ? Math.max(0, nowSec - firstFix.ts) : undefined,
+    altMin: alts.length ? Math.min(...alts) : undefined,
+    altMax: alts.length ? Math.max(...alts) : undefined,
+  };
+}
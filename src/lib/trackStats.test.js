@@ -0,0 +1,58 @@
+import { describe, it, expect } from "vitest";
+import { pointHistory, trackSummary, unwrapDegrees } from "./trackStats.js";
+
+const H = 3600;
+// ~111 km per hop due north, then a 555 km jump (a gap)
+const points = [
+  { lat: 0, lon: 0, alt: 10, ts: 0 },
+  { lat: 1, lon: 0, alt: 11, ts: H, wind700: 20, dir700: 180 },
+  { lat: 2, lon: 0, alt: 12, ts: 2 * H, wind700: 20, dir700: 90 },
+  { lat: 7, lon: 0, alt: 12, ts: 3 * H },
+];
+
+describe("pointHistory", () => {
+  it("describes each fix by the hop ending at it", () => {
+    const h = pointHistory(points);
+    expect(h[0]).toEqual({ ts: 0, alt: 10 });
+    expect(h[1].speed).toBeCloseTo(111.2, 0);
+    expect(h[1].heading).toBeCloseTo(0, 3);
+    expect(h[1].mismatch).toBe(0); // southerly wind, moving north
+    expect(h[2].mismatch).toBe(90);
+    expect(h[3].gap).toBe(true);
+    expect(h[1].gap).toBe(false);
+  });
+
+  it("scores risk as of each fix", () => {
+    const h = pointHistory(points);
+    expect(h[2].risk).toBeGreaterThan(h[1].risk); // wind mismatch kicks in
+    expect(h[0].risk).toBeUndefined();
+  });
+});
+
+describe("trackSummary", () => {
+  it("totals distance, drift, hops and gaps", () => {
+    const s = trackSummary(points, 5 * H);
+    expect(s.fixes).toBe(4);
+    expect(s.distanceKm).toBeCloseTo(778.4, 0);
+    expect(s.meanDriftKmh).toBeCloseTo(778.4 / 3, 0);
+    expect(s.maxHopKm).toBeCloseTo(556, 0);
+    expect(s.gaps).toBe(1);
+    expect(s.sinceFirstSec).toBe(5 * H);
+    expect([s.altMin, s.altMax]).toEqual([10, 12]);
+    expect(trackSummary([], 0)).toMatchObject({ fixes: 0, distanceKm: 0, meanDriftKmh: undefined });
+  });
+
+  it("measures time since the given first fix rather than the window's", () => {
+    const s = trackSummary(points.slice(2), 5 * H, points[0]);
+    expect(s.fixes).toBe(2);
+    expect(s.firstTs).toBe(0);
+    expect(s.sinceFirstSec).toBe(5 * H);
+  });
+});
+
+describe("unwrapDegrees", () => {
+  it("steps across north the short way round", () => {
+    expect(unwrapDegrees([undefined, 350, 359, 1, 10, 340])).toEqual([undefined, 350, 359, 361, 370, 340]);
+    expect(unwrapDegrees([5, null, 355])).toEqual([5, null, -5]);
+  });
+});
@@ -0,0 +1,133 @@
+// Nearest-neighbour tracker: links anonymous fixes from one hourly snapshot to the next.
+// Array rows carry no balloon id and the row order shifts whenever a balloon drops out
+// or is added, so identities are rebuilt from positions instead of row indices.
+import { haversineMeters } from "./geo.js";
+
+export const MAX_DRIFT_KMH = 350;   // faster than any plausible stratospheric drift
+export const MAX_MISS_H = 2;        // hours a track may go unseen before it is closed
+export const LINK_CONF_MIN = 0.5;   // links below this are flagged as uncertain
+const ALT_KM_WEIGHT = 20;           // 1 km of altitude change costs like 20 km of drift
+
+// A fix is the same on every pass that still sees the file it came from
+const fixKey = (p) => `${p.ts}:${p.lat}:${p.lon}`;
+
+/**
+ * Fix → id of the previous pass's tracks, so the next linkSnapshots keeps their ids
+ * even after their first fix ages out of the window. Interpolated points are skipped.
+ */
+export function previousIds(tracks) {
+  const ids = {};
+  for (const t of tracks ?? []) {
+    for (const p of t.points ?? []) if (!p.interpolated) ids[fixKey(p)] = t.id;
+  }
+  return ids;
+}
+
+// Dead-reckon the last fix forward using the last hop's velocity
+function predict(track, ts) {
+  const pts = track.points;
+  const last = pts.at(-1);
+  if (pts.length < 2) return last;
+  const prev = pts.at(-2);
+  const dt = last.ts - prev.ts;
+  if (dt <= 0) return last;
+  const k = (ts - last.ts) / dt;
+  let dLon = last.lon - prev.lon;
+  if (dLon > 180) dLon -= 360;
+  if (dLon < -180) dLon += 360;
+  return { lat: last.lat + (last.lat - prev.lat) * k, lon: last.lon + dLon * k, alt: last.alt };
+}
+
+function linkCost(track, p) {
+  const last = track.points.at(-1);
+  const dtH = Math.max((p.ts - last.ts) / 3600, 1);
+  const gateKm = MAX_DRIFT_KMH * dtH;
+  if (Math.abs(p.lat - last.lat) * 111 > gateKm) return null; // cheap reject before haversine
+  const distKm = haversineMeters(predict(track, p.ts), p) / 1000;
+  const rawKm = haversineMeters(last, p) / 1000;
+  if (rawKm > gateKm) return null;
+  const altKm = last.alt != null && p.alt != null ? Math.abs(p.alt - last.alt) : 0;
+  return { cost: distKm + ALT_KM_WEIGHT * altKm, gateKm };
+}
+
+/**
+ * Link hourly snapshots into tracks.
+ * @param {Array<Array<{lat,lon,alt?,ts,srcHour?,row}>>} hours  oldest → newest; `row` is the row index in that hour's file
+ * @param {{ previous?: Record<string, string> }} [opts]  previousIds() of the last pass
+ * @returns {{ byId: Record<string, Array>, stats: { births, deaths, ambiguous } }}
+ */
+export function linkSnapshots(hours, { previous = {} } = {}) {
+  const active = [];
+  const closed = [];
+  const stats = { births: 0, deaths: 0, ambiguous: 0 };
+
+  hours.forEach((fixes) => {
+    if (!fixes.length) return;
+    const ts = fixes[0].ts;
+
+    // Retire tracks that have been unseen too long
+    for (let i = active.length - 1; i >= 0; i--) {
+      if (ts - active[i].points.at(-1).ts > MAX_MISS_H * 3600 + 60) {
+        closed.push(...active.splice(i, 1));
+        stats.deaths++;
+      }
+    }
+
+    // All gated candidate pairs, cheapest first
+    const pairs = [];
+    active.forEach((tr, ti) => {
+      fixes.forEach((p, pi) => {
+        const c = linkCost(tr, p);
+        if (c) pairs.push({ ti, pi, ...c });
+      });
+    });
+    pairs.sort((a, b) => a.cost - b.cost);
+
+    // Second-best cost seen by each track and each fix, for ambiguity
+    const bestByT = new Map(), bestByP = new Map();
+    for (const pr of pairs) {
+      const t = bestByT.get(pr.ti) ?? []; if (t.length < 2) t.push(pr.cost); bestByT.set(pr.ti, t);
+      const q = bestByP.get(pr.pi) ?? []; if (q.length < 2) q.push(pr.cost); bestByP.set(pr.pi, q);
+    }
+
+    const usedT = new Set(), usedP = new Set();
+    for (const pr of pairs) {
+      if (usedT.has(pr.ti) || usedP.has(pr.pi)) continue;
+      usedT.add(pr.ti);
+      usedP.add(pr.pi);
+
+      const rival = Math.min(bestByT.get(pr.ti)[1] ?? Infinity, bestByP.get(pr.pi)[1] ?? Infinity);
+      const fit = Math.max(0, 1 - (pr.cost / pr.gateKm) ** 2);
+      const margin = Number.isFinite(rival) ? Math.max(0, Math.min(1, (rival - pr.cost) / Math.max(pr.cost, 1))) : 1;
+      const conf = Math.round(fit * margin * 100) / 100;
+      if (conf < LINK_CONF_MIN) stats.ambiguous++;
+
+      active[pr.ti].points.push({ ...fixes[pr.pi], conf });
+    }
+
+    // Unmatched fixes start new tracks
+    fixes.forEach((p, pi) => {
+      if (usedP.has(pi)) return;
+      active.push({ points: [{ ...p }] });
+      stats.births++;
+    });
+  });
+
+  // A track keeps the id the previous pass gave most of its fixes; otherwise it is
+  // named after its first fix, which rows added to or dropped from newer files can't move
+  const tracks = [...active, ...closed].sort((a, b) => a.points[0].ts - b.points[0].ts || a.points[0].row - b.points[0].row);
+  const byId = {};
+  for (const tr of tracks) {
+    const votes = new Map();
+    for (const p of tr.points) {
+      const prev = previous[fixKey(p)];
+      if (prev != null && !byId[prev]) votes.set(prev, (votes.get(prev) ?? 0) + 1);
+    }
+    const first = tr.points[0];
+    let id = [...votes].sort((a, b) => b[1] - a[1])[0]?.[0] ?? `b${first.row}@${first.ts}`;
+    for (let n = 2; byId[id]; n++) id = `b${first.row}@${first.ts}.${n}`;
+    byId[id] = tr.points.map(({ lat, lon, alt, ts, srcHour, conf }) => ({ lat, lon, alt, ts, srcHour, conf }));
+  }
+
+  return { byId, stats };
+}
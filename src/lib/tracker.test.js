@@ -0,0 +1,68 @@
+import { describe, it, expect } from "vitest";
+import { LINK_CONF_MIN, linkSnapshots, previousIds } from "./tracker.js";
+
+const H = 3600;
+// One hourly file: [lat, lon] rows → fixes as ingestSnapshots hands them to the tracker
+const hour = (ts, rows) => rows.map(([lat, lon], row) => ({ lat, lon, alt: 12, ts, row }));
+const lons = (pts) => pts.map((p) => p.lon);
+
+describe("linkSnapshots", () => {
+  it("links fixes by position, not row order", () => {
+    const { byId, stats } = linkSnapshots([
+      hour(0, [[10, 0], [-20, 50]]),
+      hour(H, [[-20, 50.5], [10, 0.5]]),
+      hour(2 * H, [[10, 1], [-20, 51]]),
+    ]);
+    expect(Object.keys(byId).sort()).toEqual(["b0@0", "b1@0"]);
+    expect(lons(byId["b0@0"])).toEqual([0, 0.5, 1]);
+    expect(lons(byId["b1@0"])).toEqual([50, 50.5, 51]);
+    expect(stats).toMatchObject({ births: 2, deaths: 0, ambiguous: 0 });
+    expect(byId["b0@0"][1].conf).toBeGreaterThan(0.9);
+  });
+
+  it("keeps ids when a row is added to the newest file", () => {
+    const older = [hour(0, [[10, 0], [-20, 50]]), hour(H, [[10, 0.5], [-20, 50.5]])];
+    const before = linkSnapshots(older).byId;
+    const after = linkSnapshots([older[0], hour(H, [[40, -100], [10, 0.5], [-20, 50.5]])]).byId;
+    expect(after["b0@0"]).toEqual(before["b0@0"]);
+    expect(after["b1@0"]).toEqual(before["b1@0"]);
+    expect(after["b0@3600"]).toHaveLength(1);
+  });
+
+  it("carries ids over from the previous pass once the first fix ages out", () => {
+    const h0 = hour(0, [[10, 0], [-20, 50]]);
+    const h1 = hour(H, [[-20, 50.5], [10, 0.5]]);
+    const h2 = hour(2 * H, [[10, 1], [-20, 51]]);
+    const first = linkSnapshots([h0, h1]).byId;
+    const tracks = Object.entries(first).map(([id, points]) => ({ id, points }));
+    const { byId } = linkSnapshots([h1, h2], { previous: previousIds(tracks) });
+    expect(lons(byId["b0@0"])).toEqual([0.5, 1]);
+    expect(lons(byId["b1@0"])).toEqual([50.5, 51]);
+  });
+
+  it("clamps confidence at 0 when a cheaper rival link was taken", () => {
+    // D's two best fixes go to A and B, leaving it the distant r
+    const { byId, stats } = linkSnapshots([
+      hour(0, [[0, 0], [0, 0.2], [0, 0.4]]),
+      hour(H, [[0, 0.05], [0, 0.25], [0, 1.5]]),
+    ]);
+    const d = byId["b2@0"];
+    expect(lons(d)).toEqual([0.4, 1.5]);
+    expect(d[1].conf).toBe(0);
+    expect(stats.ambiguous).toBe(1);
+    for (const pts of Object.values(byId)) {
+      for (const p of pts.slice(1)) expect(p.conf).toBeGreaterThanOrEqual(0);
+    }
+    expect(byId["b0@0"][1].conf).toBeGreaterThanOrEqual(LINK_CONF_MIN);
+  });
+
+  it("gives each track its own id when previous ids or fresh ids collide", () => {
+    const h0 = hour(0, [[10, 0], [-20, 50]]);
+    // Both tracks' first fixes were one balloon last pass; a fresh id is also already taken
+    const previous = previousIds([{ id: "b1@0", points: h0 }]);
+    const { byId } = linkSnapshots([h0], { previous });
+    expect(Object.keys(byId).sort()).toEqual(["b1@0", "b1@0.2"]);
+    expect(byId["b1@0"][0].lon).toBe(0);
+    expect(byId["b1@0.2"][0].lon).toBe(50);
+  });
+});
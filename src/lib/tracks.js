@@ -0,0 +1,208 @@
+// Per-track math shared by the ingest worker, the UI and headless use:
+// last-hop drift/heading, altitude, stale/gap flags, and playback windows.
+import { haversineMeters, bearingDeg, interpolateGreatCircle } from "./geo.js";
+import { climbRateKmh } from "./altitude.js";
+import { LINK_CONF_MIN } from "./tracker.js";
+
+// Stale / Gap heuristics
+export const STALE_SEC = 60 * 60;
+export const GAP_KM = 300;
+
+export function fmtAge(sec) {
+  if (sec == null) return "—";
+  if (sec < 90) return `${Math.round(sec)}s`;
+  const min = sec / 60;
+  if (min < 90) return `${Math.round(min)}m`;
+  return `${(min / 60).toFixed(1)}h`;
+}
+
+// Distance, speed and bearing of the hop prev → last
+export function hopStats(prev, last) {
+  const distM = haversineMeters(
+    { lat: prev.lat, lon: prev.lon },
+    { lat: last.lat, lon: last.lon }
+  );
+  const dtH = Math.max((last.ts - prev.ts) / 3600, 1e-6);
+  return {
+    distM,
+    speedKmh: distM / 1000 / dtH,
+    bearing: bearingDeg(
+      { lat: prev.lat, lon: prev.lon },
+      { lat: last.lat, lon: last.lon }
+    ),
+  };
+}
+
+// A long hop or an uncertain tracker link both mean the hop ending at p may not be one balloon
+export function isGapHop(hop, p) {
+  return hop.distM / 1000 > GAP_KM || (p.conf != null && p.conf < LINK_CONF_MIN);
+}
+
+// { id: points } → [{ id, points, driftKmh?, headingDeg?, altKm?, climbKmh?, risk?, _stale, _ageSec, _ageLabel, _gapKm, _gap, _linkConf? }]
+export function buildTracks(byId, nowSec) {
+  return Object.entries(byId).map(([id, points]) => {
+    let driftKmh, headingDeg, altKm, climbKmh;
+    let ageSec = null, ageLabel = "—";
+    let gapKm = 0, gap = false, linkConf;
+
+    if (points.length) {
+      const last = points.at(-1);
+      ageSec = Math.max(0, nowSec - last.ts);
+      ageLabel = fmtAge(ageSec);
+      altKm = last.alt;
+      climbKmh = climbRateKmh(points);
+    }
+
+    if (points.length >= 2) {
+      const last = points[points.length - 1];
+      const hop = hopStats(points[points.length - 2], last);
+      driftKmh = hop.speedKmh;
+      headingDeg = hop.bearing;
+      gapKm = hop.distM / 1000;
+      linkConf = last.conf;
+      gap = isGapHop(hop, last);
+    }
+
+    const stale = ageSec != null && ageSec > STALE_SEC;
+
+    return {
+      id, points, driftKmh, headingDeg, altKm, climbKmh,
+      risk: undefined,
+      _stale: stale, _ageSec: ageSec, _ageLabel: ageLabel, _gapKm: gapKm, _gap: gap, _linkConf: linkConf,
+    };
+  });
+}
+
+function pickWinds(o) {
+  return { wind700: o.wind700, dir700: o.dir700, wind500: o.wind500, dir500: o.dir500 };
+}
+
+export function hasWinds(p) {
+  return p.wind700 != null || p.dir700 != null || p.wind500 != null || p.dir500 != null;
+}
+
+export function samePositions(a, b) {
+  if (a.length !== b.length) return false;
+  return a.every((p, i) => p.lat === b[i].lat && p.lon === b[i].lon);
+}
+
+const fixKey = (p) => (p ? `${p.ts}:${p.lat}:${p.lon}` : "");
+
+// Keep winds from a previous pass so a refresh doesn't blank them while enrichment reruns.
+// Tracks whose fixes haven't moved stay enriched; otherwise each unchanged fix keeps its
+// winds (and its mismatch, if the hop ending at it is unchanged too) and the track is
+// left unenriched, so only the new fixes go out for winds.
+export function carryEnrichment(tracks, previous) {
+  const prevById = new Map(previous.map((t) => [t.id, t]));
+  return tracks.map((tr) => {
+    const old = prevById.get(tr.id);
+    if (!old) return tr;
+    if (old.enriched && samePositions(old.points, tr.points)) {
+      return {
+        ...tr,
+        points: tr.points.map((p, i) => ({ ...pickWinds(old.points[i]), mismatch: old.points[i].mismatch, ...p })),
+        ...pickWinds(old),
+        enriched: true,
+      };
+    }
+    const oldIndex = new Map(old.points.map((p, i) => [fixKey(p), i]));
+    let carried = false;
+    const points = tr.points.map((p, i) => {
+      const j = oldIndex.get(fixKey(p));
+      if (j == null || !hasWinds(old.points[j])) return p;
+      carried = true;
+      const sameHop = fixKey(old.points[j - 1]) === fixKey(tr.points[i - 1]);
+      return { ...pickWinds(old.points[j]), ...(sameHop ? { mismatch: old.points[j].mismatch } : {}), ...p };
+    });
+    return carried ? { ...tr, points } : tr;
+  });
+}
+
+// First index whose ts is > tSec (or >= tSec with inclusive); points are sorted by ts
+function searchTs(points, tSec, inclusive = false) {
+  let lo = 0, hi = points.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (inclusive ? points[mid].ts < tSec : points[mid].ts <= tSec) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// windowAt as indices into points plus the interpolated head (null when on a fix)
+function windowSpan(points, tSec, tailSec) {
+  const end = searchTs(points, tSec);
+  if (!end) return { start: 0, end: 0, head: null, speed: NaN, bearing: NaN };
+  const start = searchTs(points, tSec - tailSec, true);
+
+  const prev = points[end - 1], next = points[end];
+  if (next && prev.ts < tSec) {
+    const f = (tSec - prev.ts) / (next.ts - prev.ts);
+    const alt = prev.alt != null && next.alt != null ? prev.alt + f * (next.alt - prev.alt) : prev.alt;
+    const head = { ...interpolateGreatCircle(prev, next, f), alt, ts: tSec, interpolated: true };
+    const hop = hopStats(prev, next);
+    return { start, end, head, speed: hop.speedKmh, bearing: hop.bearing };
+  }
+  if (end - start >= 2) {
+    const hop = hopStats(points[end - 2], points[end - 1]);
+    return { start, end, head: null, speed: hop.speedKmh, bearing: hop.bearing };
+  }
+  return { start, end, head: null, speed: NaN, bearing: NaN };
+}
+
+/**
+ * A track as seen at absolute time tSec with a tail of tailSec: the fixes in
+ * [tSec - tailSec, tSec], plus — between two fixes — a head interpolated along the
+ * great circle (marked interpolated: true). speed/bearing are those of the hop in
+ * progress, else of the last hop in the window (NaN = n/a).
+ * Before a track's first fix the window is empty; after its last it stays put.
+ */
+export function windowAt(points, tSec, tailSec) {
+  const w = windowSpan(points, tSec, tailSec);
+  const pts = points.slice(w.start, w.end);
+  if (w.head) pts.push(w.head);
+  return { pts, speed: w.speed, bearing: w.bearing };
+}
+
+/**
+ * windowAt for every track at each of times, packed into typed arrays so the ingest
+ * worker can precompute playback frames and transfer them:
+ * frames[k] = { tSec, start, end: Int32Array, head: Float32Array [lat, lon, alt] per
+ * track (NaN lat = no head, NaN alt = unknown), speed, bearing: Float32Array }.
+ */
+export function windowFrames(pointLists, times, tailSec) {
+  const n = pointLists.length;
+  return times.map((tSec) => {
+    const frame = {
+      tSec,
+      start: new Int32Array(n),
+      end: new Int32Array(n),
+      head: new Float32Array(n * 3).fill(NaN),
+      speed: new Float32Array(n),
+      bearing: new Float32Array(n),
+    };
+    pointLists.forEach((points, i) => {
+      const w = windowSpan(points, tSec, tailSec);
+      frame.start[i] = w.start;
+      frame.end[i] = w.end;
+      frame.speed[i] = w.speed;
+      frame.bearing[i] = w.bearing;
+      if (w.head) frame.head.set([w.head.lat, w.head.lon, w.head.alt ?? NaN], i * 3);
+    });
+    return frame;
+  });
+}
+
+// The typed-array buffers of frames, for postMessage's transfer list
+export const frameBuffers = (frames) =>
+  frames.flatMap((f) => [f.start.buffer, f.end.buffer, f.head.buffer, f.speed.buffer, f.bearing.buffer]);
+
+// Tracks (in the order the frame was computed for) windowed by one of windowFrames' frames
+export function frameTracks(tracks, frame) {
+  return tracks.map((t, i) => {
+    const pts = t.points.slice(frame.start[i], frame.end[i]);
+    const [lat, lon, alt] = frame.head.subarray(i * 3, i * 3 + 3);
+    if (!Number.isNaN(lat)) pts.push({ lat, lon, alt: Number.isNaN(alt) ? null : alt, ts: frame.tSec, interpolated: true });
+    return { ...t, _winPts: pts, _winSpeed: frame.speed[i], _winBearing: frame.bearing[i] };
+  });
+}
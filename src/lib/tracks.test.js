@@ -0,0 +1,102 @@
+import { describe, it, expect } from "vitest";
+import { carryEnrichment, frameTracks, windowAt, windowFrames } from "./tracks.js";
+import { interpolateGreatCircle } from "./geo.js";
+
+const H = 3600;
+const points = [
+  { lat: 0, lon: 0, alt: 10, ts: 0 },
+  { lat: 0, lon: 10, alt: 12, ts: H },
+  { lat: 10, lon: 10, alt: 14, ts: 2 * H },
+];
+
+describe("interpolateGreatCircle", () => {
+  it("follows the great circle, not the rhumb line", () => {
+    // Between two points at 60°N the great circle bulges poleward
+    const mid = interpolateGreatCircle({ lat: 60, lon: -30 }, { lat: 60, lon: 30 }, 0.5);
+    expect(mid.lon).toBeCloseTo(0, 6);
+    expect(mid.lat).toBeGreaterThan(63);
+    const start = interpolateGreatCircle({ lat: 1, lon: 2 }, { lat: 3, lon: 4 }, 0);
+    expect(start.lat).toBeCloseTo(1, 9);
+    expect(start.lon).toBeCloseTo(2, 9);
+  });
+});
+
+describe("windowAt", () => {
+  it("interpolates the head between fixes and reports the hop in progress", () => {
+    const w = windowAt(points, 1.5 * H, 24 * H);
+    expect(w.pts).toHaveLength(3);
+    const head = w.pts[2];
+    expect(head).toMatchObject({ ts: 1.5 * H, alt: 13, interpolated: true });
+    expect(head.lon).toBeCloseTo(10, 6);
+    expect(head.lat).toBeCloseTo(5, 1);
+    expect(w.bearing).toBeCloseTo(0, 3); // due north
+    expect(w.speed).toBeGreaterThan(1000);
+  });
+
+  it("clips the tail and sits on a fix exactly", () => {
+    const w = windowAt(points, H, H / 2);
+    expect(w.pts).toEqual([points[1]]);
+    expect(w.speed).toBeNaN();
+    expect(windowAt(points, 2 * H, 1 * H).pts).toEqual([points[1], points[2]]);
+  });
+
+  it("is empty before the first fix and stays on the last one after it", () => {
+    expect(windowAt(points, -1, H).pts).toEqual([]);
+    const after = windowAt(points, 5 * H, 24 * H);
+    expect(after.pts.at(-1)).toBe(points[2]);
+    expect(after.bearing).toBeCloseTo(0, 3);
+  });
+});
+
+describe("windowFrames", () => {
+  it("packs windowAt for many times so frameTracks rebuilds it by slicing", () => {
+    const other = [{ lat: -10, lon: 170, ts: 0.5 * H }, { lat: -10, lon: -170, ts: 1.5 * H }];
+    const tracks = [{ id: "a", points }, { id: "b", points: other }];
+    const times = [-1, 0.25 * H, H, 1.5 * H, 5 * H];
+    const frames = windowFrames(tracks.map((t) => t.points), times, H);
+    expect(frames.map((f) => f.tSec)).toEqual(times);
+    frames.forEach((frame, k) => {
+      frameTracks(tracks, frame).forEach((t) => {
+        const w = windowAt(t.points, times[k], H);
+        expect(t._winPts).toHaveLength(w.pts.length);
+        t._winPts.forEach((p, i) => {
+          expect(p.lat).toBeCloseTo(w.pts[i].lat, 4);
+          expect(p.lon).toBeCloseTo(w.pts[i].lon, 4);
+          expect(p.ts).toBe(w.pts[i].ts);
+          expect(!!p.interpolated).toBe(!!w.pts[i].interpolated);
+        });
+        if (Number.isNaN(w.speed)) expect(t._winSpeed).toBeNaN();
+        else expect(t._winSpeed).toBeCloseTo(w.speed, 1);
+      });
+    });
+  });
+});
+
+describe("carryEnrichment", () => {
+  it("keeps winds only where the fixes haven't moved", () => {
+    const pts = [{ lat: 0, lon: 0, ts: 0 }, { lat: 0, lon: 1, ts: H }];
+    const old = [
+      { id: "a", enriched: true, wind700: 9, points: pts.map((p) => ({ ...p, wind700: 9, mismatch: 4 })) },
+      { id: "b", enriched: true, wind700: 9, points: pts },
+    ];
+    const [a, b] = carryEnrichment(
+      [{ id: "a", points: pts }, { id: "b", points: [...pts, { lat: 0, lon: 2, ts: 2 * H }] }],
+      old
+    );
+    expect(a).toMatchObject({ enriched: true, wind700: 9 });
+    expect(a.points[1]).toMatchObject({ wind700: 9, mismatch: 4, ts: H });
+    expect(b.enriched).toBeUndefined();
+  });
+
+  it("keeps winds on unchanged fixes when a new one arrives", () => {
+    const pts = [{ lat: 0, lon: 0, ts: 0 }, { lat: 0, lon: 1, ts: H }];
+    const old = [{ id: "a", enriched: true, wind700: 9, points: pts.map((p) => ({ ...p, wind700: 9, mismatch: 4 })) }];
+    const next = { lat: 0, lon: 2, ts: 2 * H };
+    const [a] = carryEnrichment([{ id: "a", points: [...pts.slice(1), next] }], old);
+    expect(a.enriched).toBeUndefined();
+    expect(a.wind700).toBeUndefined(); // the newest fix has no winds yet
+    expect(a.points[0]).toMatchObject({ wind700: 9, ts: H });
+    expect(a.points[0].mismatch).toBeUndefined(); // its hop's start aged out
+    expect(a.points[1]).toEqual(next);
+  });
+});
@@ -0,0 +1,91 @@
+// View state ⇄ URL query string, for reload-safe and shareable links.
+// Only fields that differ from the defaults are written, so links stay short.
+// Unknown or malformed parameters are ignored on the way in.
+
+// view prop → { query key, type, default }
+const FIELDS = {
+  page: { key: "view", type: "str", def: "map" }, // "map" | "analytics"
+  pinnedId: { key: "pin", type: "str", def: null },
+  timeSec: { key: "t", type: "int", def: null }, // playhead, absolute unix sec (absent = live)
+  tailH: { key: "w", type: "int", def: 24 },
+  playSpeed: { key: "spd", type: "num", def: 1 },
+  loop: { key: "loop", type: "bool", def: false },
+  lat: { key: "lat", type: "num", def: 20 },
+  lon: { key: "lon", type: "num", def: 0 },
+  zoom: { key: "z", type: "int", def: 2 },
+  colorMode: { key: "color", type: "str", def: "default" },
+  forecastH: { key: "fc", type: "int", def: 0 },
+  windLevel: { key: "wl", type: "str", def: null }, // wind overlay: "700" | "500"
+  historyH: { key: "hist", type: "int", def: 0 },
+  source: { key: "src", type: "str", def: "live" },
+  showImports: { key: "imp", type: "bool", def: true },
+  // Watchlist / map filters (lib/watchlist DEFAULT_FILTERS) and sort
+  q: { key: "q", type: "str", def: null },
+  stale: { key: "stale", type: "str", def: "any" },
+  gap: { key: "gap", type: "str", def: "any" },
+  riskMin: { key: "rmin", type: "num", def: null },
+  riskMax: { key: "rmax", type: "num", def: null },
+  speedMin: { key: "smin", type: "num", def: null },
+  speedMax: { key: "smax", type: "num", def: null },
+  altMin: { key: "amin", type: "num", def: null },
+  altMax: { key: "amax", type: "num", def: null },
+  region: { key: "reg", type: "str", def: null },
+  sort: { key: "sort", type: "str", def: "risk:desc" },
+};
+
+// Map position, the playhead and the search text change constantly
+// and shouldn't each become a history entry; everything else is a navigation step
+export const MINOR_VIEW_FIELDS = ["lat", "lon", "zoom", "timeSec", "q"];
+
+function encodeValue(type, v) {
+  if (type === "num") return String(Math.round(v * 1e4) / 1e4);
+  if (type === "bool") return v ? "1" : "0";
+  return String(v);
+}
+
+function decodeValue(type, s) {
+  if (type === "str") return s || undefined;
+  if (type === "bool") return s === "1" ? true : s === "0" ? false : undefined;
+  const n = Number(s);
+  if (s === "" || !Number.isFinite(n)) return undefined;
+  return type === "int" ? Math.round(n) : n;
+}
+
+export function encodeView(view) {
+  const params = new URLSearchParams();
+  for (const [prop, f] of Object.entries(FIELDS)) {
+    const v = view[prop];
+    if (v == null || v === "" || v === f.def) continue;
+    if (f.type === "num" && f.def != null && Math.abs(v - f.def) < 1e-4) continue;
+    params.set(f.key, encodeValue(f.type, v));
+  }
+  return params.toString();
+}
+
+// Only the fields present (and valid) in the query
+export function decodeView(search) {
+  const params = new URLSearchParams(search);
+  const view = {};
+  for (const [prop, f] of Object.entries(FIELDS)) {
+    if (!params.has(f.key)) continue;
+    const v = decodeValue(f.type, params.get(f.key));
+    if (v !== undefined) view[prop] = v;
+  }
+  if (view.lat != null && Math.abs(view.lat) > 90) delete view.lat;
+  if (view.zoom != null && (view.zoom < 0 || view.zoom > 20)) delete view.zoom;
+  return view;
+}
+
+// Defaults filled in, for initial state
+export function initialView(search) {
+  const defaults = Object.fromEntries(Object.entries(FIELDS).map(([prop, f]) => [prop, f.def]));
+  return { ...defaults, ...decodeView(search) };
+}
+
+// Whether two encoded views differ only in MINOR_VIEW_FIELDS
+export function onlyMinorChange(a, b) {
+  const va = decodeView(a), vb = decodeView(b);
+  return Object.keys(FIELDS)
+    .filter((p) => !MINOR_VIEW_FIELDS.includes(p))
+    .every((p) => va[p] === vb[p]);
+}
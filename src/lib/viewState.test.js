@@ -0,0 +1,32 @@
+import { describe, it, expect } from "vitest";
+import { encodeView, decodeView, initialView, onlyMinorChange } from "./viewState.js";
+
+describe("encodeView / decodeView", () => {
+  it("round-trips and omits defaults", () => {
+    const view = { pinnedId: "b12", tailH: 6, timeSec: 1700000000, lat: 51.50721, lon: -0.1275, zoom: 7, colorMode: "default", forecastH: 12 };
+    const qs = encodeView(view);
+    expect(qs).toBe("pin=b12&t=1700000000&w=6&lat=51.5072&lon=-0.1275&z=7&fc=12");
+    const { colorMode: _default, ...written } = view;
+    expect(decodeView(`?${qs}`)).toEqual({ ...written, lat: 51.5072 });
+  });
+
+  it("writes filter bounds of zero and drops empty search", () => {
+    expect(encodeView({ riskMin: 0, q: "", stale: "hide", sort: "risk:desc" })).toBe("stale=hide&rmin=0");
+  });
+
+  it("ignores unknown and malformed parameters", () => {
+    expect(decodeView("?w=abc&z=99&lat=95&foo=1&imp=0&pin=")).toEqual({ showImports: false });
+  });
+
+  it("fills defaults for initial state", () => {
+    expect(initialView("?w=3&spd=4")).toMatchObject({ tailH: 3, playSpeed: 4, loop: false, timeSec: null, zoom: 2, pinnedId: null, source: "live" });
+  });
+});
+
+describe("onlyMinorChange", () => {
+  it("treats map moves and the playhead as minor", () => {
+    expect(onlyMinorChange("w=6&lat=1&t=100", "w=6&lat=2&z=5&t=200")).toBe(true);
+    expect(onlyMinorChange("w=6", "w=7")).toBe(false);
+    expect(onlyMinorChange("", "pin=b1")).toBe(false);
+  });
+});
@@ -0,0 +1,119 @@
+// Watchlist / map filtering and multi-column sorting over windowed tracks.
+// The same filter object drives the list, the map markers and the URL.
+import { fenceContains } from "./geofence.js";
+
+// "any" | "only" | "hide" for the boolean flags; null bounds are open
+export const DEFAULT_FILTERS = {
+  q: null,
+  stale: "any",
+  gap: "any",
+  riskMin: null,
+  riskMax: null,
+  speedMin: null,
+  speedMax: null,
+  altMin: null,
+  altMax: null,
+  region: null, // geofence id
+};
+
+export const DEFAULT_SORT = [{ key: "risk", dir: "desc" }];
+
+// Speed of the last hop inside the playback window, else of the whole track
+export function trackSpeed(t) {
+  return t._winSpeed != null && !Number.isNaN(t._winSpeed) ? t._winSpeed : t.driftKmh;
+}
+
+function lastPoint(t) {
+  return (t._winPts ?? t.points)?.at(-1);
+}
+
+export const SORT_COLUMNS = {
+  id: { label: "ID", get: (t) => t.id },
+  risk: { label: "Risk", get: (t) => t.risk },
+  speed: { label: "Speed", get: trackSpeed },
+  alt: { label: "Alt", get: (t) => lastPoint(t)?.alt ?? t.altKm },
+  climb: { label: "Climb", get: (t) => t.climbKmh },
+  age: { label: "Age", get: (t) => t._ageSec },
+  gap: { label: "Gap", get: (t) => t._gapKm },
+};
+
+function inRange(v, min, max) {
+  if (min == null && max == null) return true;
+  if (v == null || Number.isNaN(v)) return false;
+  return (min == null || v >= min) && (max == null || v <= max);
+}
+
+function flag(mode, value) {
+  return mode === "only" ? !!value : mode === "hide" ? !value : true;
+}
+
+export function isFiltering(filters) {
+  return Object.entries(DEFAULT_FILTERS).some(([k, def]) => filters[k] != null && filters[k] !== "" && filters[k] !== def);
+}
+
+/**
+ * @param filters  DEFAULT_FILTERS shape
+ * @param fences   geofences, for filters.region
+ */
+export function filterTracks(tracks, filters, fences = []) {
+  const q = filters.q?.trim().toLowerCase();
+  const region = filters.region ? fences.find((f) => f.id === filters.region) : null;
+  return tracks.filter((t) => {
+    if (q && !t.id.toLowerCase().includes(q)) return false;
+    if (!flag(filters.stale, t._stale) || !flag(filters.gap, t._gap)) return false;
+    if (!inRange(t.risk, filters.riskMin, filters.riskMax)) return false;
+    if (!inRange(trackSpeed(t), filters.speedMin, filters.speedMax)) return false;
+    const last = lastPoint(t);
+    if (!inRange(last?.alt ?? t.altKm, filters.altMin, filters.altMax)) return false;
+    if (region && !(last && fenceContains(region, last))) return false;
+    return true;
+  });
+}
+
+// Missing values sort last in either direction; ties fall through to the next key
+export function sortTracks(tracks, sorts = DEFAULT_SORT) {
+  const cols = sorts.filter((s) => SORT_COLUMNS[s.key]);
+  return tracks.slice().sort((a, b) => {
+    for (const { key, dir } of cols) {
+      const get = SORT_COLUMNS[key].get;
+      const va = get(a), vb = get(b);
+      const na = va == null || Number.isNaN(va), nb = vb == null || Number.isNaN(vb);
+      if (na || nb) {
+        if (na !== nb) return na ? 1 : -1;
+        continue;
+      }
+      const c = typeof va === "string" ? va.localeCompare(vb, undefined, { numeric: true }) : va - vb;
+      if (c) return dir === "desc" ? -c : c;
+    }
+    return 0;
+  });
+}
+
+// "risk:desc,id:asc" ⇄ [{ key, dir }] (URL form)
+export function formatSort(sorts) {
+  return sorts.map((s) => `${s.key}:${s.dir}`).join(",");
+}
+
+export function parseSort(str) {
+  const sorts = (str ?? "")
+    .split(",")
+    .map((part) => {
+      const [key, dir] = part.split(":");
+      return { key, dir: dir === "asc" ? "asc" : "desc" };
+    })
+    .filter((s) => SORT_COLUMNS[s.key]);
+  return sorts.length ? sorts : DEFAULT_SORT;
+}
+
+// Header click: make `key` the primary sort (toggling its direction if it already is);
+// with `add`, append it as a tie-breaker instead (or toggle it in place)
+export function toggleSort(sorts, key, add = false) {
+  const i = sorts.findIndex((s) => s.key === key);
+  const flip = (s) => ({ ...s, dir: s.dir === "desc" ? "asc" : "desc" });
+  if (add) {
+    if (i < 0) return [...sorts, { key, dir: key === "id" ? "asc" : "desc" }];
+    return sorts.map((s, k) => (k === i ? flip(s) : s));
+  }
+  if (i === 0) return [flip(sorts[0]), ...sorts.slice(1)];
+  return [{ key, dir: key === "id" ? "asc" : "desc" }];
+}
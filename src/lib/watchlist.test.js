@@ -0,0 +1,51 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_FILTERS, filterTracks, sortTracks, toggleSort, parseSort, formatSort, isFiltering } from "./watchlist.js";
+
+const pt = (lat, lon, alt) => ({ lat, lon, alt, ts: 0 });
+const tracks = [
+  { id: "b1", risk: 90, driftKmh: 100, _stale: false, _gap: false, points: [pt(5, 5, 12)] },
+  { id: "b2", risk: 40, driftKmh: 20, _stale: true, _gap: false, points: [pt(50, 50, 8)] },
+  { id: "b10", risk: undefined, driftKmh: 60, _stale: false, _gap: true, points: [pt(5, 6, 15)] },
+  { id: "b3", risk: 40, driftKmh: 200, _winSpeed: 30, _stale: false, _gap: false, points: [pt(-5, 5, 18)] },
+];
+const ids = (ts) => ts.map((t) => t.id);
+const box = { id: "box", kind: "polygon", ring: [[0, 0], [0, 10], [10, 10], [10, 0]] };
+
+describe("filterTracks", () => {
+  it("passes everything with the default filters", () => {
+    expect(filterTracks(tracks, DEFAULT_FILTERS)).toHaveLength(4);
+    expect(isFiltering(DEFAULT_FILTERS)).toBe(false);
+  });
+
+  it("combines search, flags, ranges and region", () => {
+    expect(ids(filterTracks(tracks, { ...DEFAULT_FILTERS, q: "B1" }))).toEqual(["b1", "b10"]);
+    expect(ids(filterTracks(tracks, { ...DEFAULT_FILTERS, stale: "hide", gap: "hide" }))).toEqual(["b1", "b3"]);
+    expect(ids(filterTracks(tracks, { ...DEFAULT_FILTERS, riskMin: 50 }))).toEqual(["b1"]);
+    // windowed speed wins over whole-track drift
+    expect(ids(filterTracks(tracks, { ...DEFAULT_FILTERS, speedMax: 50 }))).toEqual(["b2", "b3"]);
+    expect(ids(filterTracks(tracks, { ...DEFAULT_FILTERS, altMin: 10, altMax: 16 }))).toEqual(["b1", "b10"]);
+    expect(ids(filterTracks(tracks, { ...DEFAULT_FILTERS, region: "box" }, [box]))).toEqual(["b1", "b10"]);
+  });
+});
+
+describe("sortTracks", () => {
+  it("keeps missing values last in both directions and breaks ties with later keys", () => {
+    expect(ids(sortTracks(tracks, [{ key: "risk", dir: "desc" }, { key: "id", dir: "asc" }]))).toEqual(["b1", "b2", "b3", "b10"]);
+    expect(ids(sortTracks(tracks, [{ key: "risk", dir: "asc" }, { key: "id", dir: "desc" }]))).toEqual(["b3", "b2", "b1", "b10"]);
+  });
+
+  it("sorts ids naturally", () => {
+    expect(ids(sortTracks(tracks, [{ key: "id", dir: "asc" }]))).toEqual(["b1", "b2", "b3", "b10"]);
+  });
+});
+
+describe("sort state", () => {
+  it("toggles, replaces and appends keys", () => {
+    let s = parseSort("risk:desc");
+    s = toggleSort(s, "speed", true);
+    expect(formatSort(s)).toBe("risk:desc,speed:desc");
+    expect(formatSort(toggleSort(s, "risk"))).toBe("risk:asc,speed:desc");
+    expect(formatSort(toggleSort(s, "id"))).toBe("id:asc");
+    expect(parseSort("bogus:up")).toEqual([{ key: "risk", dir: "desc" }]);
+  });
+});
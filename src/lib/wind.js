@@ -0,0 +1,42 @@
+// Wind helpers. Directions follow the meteorological convention (where the wind blows FROM).
+import { toRad } from "./geo.js";
+
+const LEVELS = ["700", "500"];
+
+// Direction the air (and a balloon riding it) moves towards
+export function downwindDeg(dirFrom) {
+  return dirFrom == null ? undefined : (dirFrom + 180) % 360;
+}
+
+function toUV(speed, dirFrom) {
+  const θ = toRad(dirFrom);
+  return { u: -speed * Math.sin(θ), v: -speed * Math.cos(θ) };
+}
+
+function fromUV(u, v) {
+  const speed = Math.hypot(u, v);
+  const dir = ((Math.atan2(-u, -v) * 180) / Math.PI + 360) % 360;
+  return { speed, dir };
+}
+
+// Interpolate an hourly series (see fetchWindSeries) at unix time ts.
+// Blends u/v components so directions either side of north average correctly.
+export function windAt(series, ts) {
+  const t = series?.time;
+  if (!t?.length || ts < t[0] || ts > t.at(-1)) return {};
+  let i = 0;
+  while (i < t.length - 2 && t[i + 1] < ts) i++;
+  const f = t[i + 1] > t[i] ? Math.min(1, Math.max(0, (ts - t[i]) / (t[i + 1] - t[i]))) : 0;
+
+  const out = {};
+  for (const lvl of LEVELS) {
+    const s0 = series[`wind${lvl}`][i], d0 = series[`dir${lvl}`][i];
+    const s1 = series[`wind${lvl}`][i + 1], d1 = series[`dir${lvl}`][i + 1];
+    if (s0 == null || d0 == null || s1 == null || d1 == null) continue;
+    const a = toUV(s0, d0), b = toUV(s1, d1);
+    const { speed, dir } = fromUV(a.u + (b.u - a.u) * f, a.v + (b.v - a.v) * f);
+    out[`wind${lvl}`] = speed;
+    out[`dir${lvl}`] = Math.round(dir);
+  }
+  return out;
+}
@@ -0,0 +1,71 @@
+// Regular lat/lon grid over the map view for the wind overlay, and wind-barb
+// geometry. Grid nodes sit on multiples of the spacing, so panning at the same
+// zoom reuses the nodes (and their cached series) already fetched.
+
+const STEPS_DEG = [0.25, 0.5, 1, 2, 3, 5, 10, 15, 20, 30];
+export const MAX_GRID_POINTS = 100; // one multi-coordinate Open-Meteo request
+const MS_TO_KT = 1.943844;
+
+/**
+ * bounds = { south, west, north, east } (west/east may run past ±180 at low zoom).
+ * Picks the finest spacing that keeps at most maxPoints nodes, or at least
+ * minPx pixels between nodes for a view pxWide pixels across.
+ * → { step, points: [{ lat, lon }] } with lon normalised to [-180, 180)
+ */
+export function gridForBounds(bounds, { pxWide = 1000, minPx = 60, maxPoints = MAX_GRID_POINTS } = {}) {
+  const south = Math.max(-85, bounds.south), north = Math.min(85, bounds.north);
+  let west = bounds.west, east = bounds.east;
+  if (east - west >= 360) {
+    west = -180;
+    east = 180;
+  }
+  const minStep = ((east - west) * minPx) / pxWide;
+
+  const nodes = (step) => {
+    const lats = [], lons = [];
+    for (let lat = Math.ceil(south / step) * step; lat <= north; lat += step) lats.push(lat);
+    for (let lon = Math.ceil(west / step) * step; lon < east || (lon === east && east - west < 360); lon += step) lons.push(lon);
+    return { lats, lons };
+  };
+
+  for (const step of STEPS_DEG) {
+    if (step < minStep) continue;
+    const { lats, lons } = nodes(step);
+    if (lats.length * lons.length > maxPoints) continue;
+    const seen = new Set();
+    const points = [];
+    for (const lat of lats) {
+      for (const raw of lons) {
+        const lon = ((((raw + 180) % 360) + 360) % 360) - 180;
+        const key = `${lat},${lon}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        points.push({ lat, lon });
+      }
+    }
+    return { step, points };
+  }
+  return { step: null, points: [] };
+}
+
+/**
+ * Barb feathers for a speed in m/s, in knots as is conventional:
+ * pennant = 50 kt, full barb = 10 kt, half barb = 5 kt (rounded to 5 kt). calm below 2.5 kt.
+ */
+export function barbFeathers(speedMs) {
+  const kt = Math.round((speedMs * MS_TO_KT) / 5) * 5;
+  if (kt < 5) return { calm: true, pennants: 0, barbs: 0, halves: 0, kt };
+  const pennants = Math.floor(kt / 50);
+  const barbs = Math.floor((kt % 50) / 10);
+  const halves = kt % 10 >= 5 ? 1 : 0;
+  return { calm: false, pennants, barbs, halves, kt };
+}
+
+// Staff colour by speed: light winds muted, jet-level winds hot
+export function windSpeedColor(speedMs) {
+  if (speedMs == null) return "#888";
+  if (speedMs < 10) return "#4575b4";
+  if (speedMs < 20) return "#1a9850";
+  if (speedMs < 35) return "#fdae61";
+  return "#d73027";
+}
@@ -0,0 +1,34 @@
+import { describe, it, expect } from "vitest";
+import { gridForBounds, barbFeathers, MAX_GRID_POINTS } from "./windGrid.js";
+
+describe("gridForBounds", () => {
+  it("uses aligned nodes at the finest spacing the budget allows", () => {
+    const g = gridForBounds({ south: 40.3, west: -10.2, north: 50.1, east: 9.7 }, { pxWide: 800, minPx: 10 });
+    expect(g.step).toBe(2);
+    expect(g.points.length).toBeLessThanOrEqual(MAX_GRID_POINTS);
+    expect(g.points[0]).toEqual({ lat: 42, lon: -10 });
+    expect(g.points.every((p) => p.lat % 2 === 0 && p.lon % 2 === 0)).toBe(true);
+  });
+
+  it("keeps a minimum pixel spacing", () => {
+    const g = gridForBounds({ south: 40, west: -10, north: 50, east: 10 }, { pxWide: 400, minPx: 60 });
+    expect(g.step).toBe(3);
+  });
+
+  it("covers the whole world once when the view wraps", () => {
+    const g = gridForBounds({ south: -80, west: -400, north: 80, east: 320 }, { pxWide: 2000 });
+    const lons = new Set(g.points.map((p) => p.lon));
+    expect(Math.min(...lons)).toBe(-180);
+    expect(Math.max(...lons)).toBeLessThan(180);
+    expect(g.points.length).toBeLessThanOrEqual(MAX_GRID_POINTS);
+    expect(new Set(g.points.map((p) => `${p.lat},${p.lon}`)).size).toBe(g.points.length);
+  });
+});
+
+describe("barbFeathers", () => {
+  it("splits knots into pennants, barbs and half barbs", () => {
+    expect(barbFeathers(1)).toMatchObject({ calm: true });
+    expect(barbFeathers(65 / 1.943844)).toEqual({ calm: false, pennants: 1, barbs: 1, halves: 1, kt: 65 });
+    expect(barbFeathers(10 / 1.943844)).toMatchObject({ pennants: 0, barbs: 1, halves: 0 });
+  });
+});
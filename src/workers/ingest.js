@@ -0,0 +1,30 @@
+// Ingest pipeline shared by the worker and the main-thread fallback
+import { ingestSnapshots } from "../api/windborne.js";
+import { buildTracks, windowFrames } from "../lib/tracks.js";
+
+// Raw snapshots (from fetchSnapshots) → ready-to-render tracks.
+// previous: previousIds() of the last pass's tracks, to keep anonymous ids stable.
+export function runIngest(snapshots, { previous } = {}) {
+  const { byId, stats } = ingestSnapshots(snapshots, { previous });
+  const tracks = buildTracks(byId, stats.nowSec);
+  return { tracks, stats };
+}
+
+/**
+ * The fixes being played back (one points array per track, tagged with a generation)
+ * and playback frames over them. Frames for any other generation are refused, so a
+ * frame never indexes into tracks it wasn't computed for.
+ */
+export function createFrameStore() {
+  let gen = null, pointLists = [];
+  return {
+    setTracks(nextGen, lists) {
+      gen = nextGen;
+      pointLists = lists;
+    },
+    frames(forGen, times, tailSec) {
+      if (forGen !== gen) throw new Error("Stale frames request");
+      return windowFrames(pointLists, times, tailSec);
+    },
+  };
+}
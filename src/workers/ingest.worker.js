@@ -0,0 +1,34 @@
+// Ingest worker: parsing, tracker linking, per-track math and playback frames run
+// here so the map stays responsive during load() and playback.
+//
+// Messages in:  { id, type: "ingest", snapshots, previous? }   (snapshots from fetchSnapshots)
+//               { id, type: "tracks", gen, pointLists }        (fixes to play back)
+//               { id, type: "frames", gen, times, tailSec }    (see windowFrames)
+// Messages out: { id, ok: true, tracks, stats } | { id, ok: true, frames } | { id, ok: true }
+//               | { id, ok: false, error }
+import { createFrameStore, runIngest } from "./ingest.js";
+import { frameBuffers } from "../lib/tracks.js";
+
+const store = createFrameStore();
+
+self.onmessage = (e) => {
+  const { id, type } = e.data;
+  try {
+    if (type === "ingest") {
+      const { snapshots, previous } = e.data;
+      const { tracks, stats } = runIngest(snapshots, { previous });
+      self.postMessage({ id, ok: true, tracks, stats });
+    } else if (type === "tracks") {
+      store.setTracks(e.data.gen, e.data.pointLists);
+      self.postMessage({ id, ok: true });
+    } else if (type === "frames") {
+      const { gen, times, tailSec } = e.data;
+      const frames = store.frames(gen, times, tailSec);
+      self.postMessage({ id, ok: true, frames }, frameBuffers(frames));
+    } else {
+      throw new Error(`Unknown message type: ${type}`);
+    }
+  } catch (err) {
+    self.postMessage({ id, ok: false, error: String(err?.message ?? err) });
+  }
+};
@@ -0,0 +1,76 @@
+// Promise wrapper around the ingest worker; falls back to the main thread
+// where module workers aren't available.
+import { createFrameStore, runIngest } from "./ingest.js";
+
+export function createIngestClient() {
+  let worker = null;
+  try {
+    worker = new Worker(new URL("./ingest.worker.js", import.meta.url), { type: "module" });
+  } catch {
+    worker = null;
+  }
+
+  let nextId = 0;
+  const pending = new Map();
+  let local = worker ? null : createFrameStore();
+  let lastTracks = null; // [gen, pointLists], to seed the main-thread store if the worker dies
+
+  // A worker that fails to load, or whose replies can't be read, would leave callers
+  // waiting forever: fail what is pending and run everything on the main thread from now on
+  function abandonWorker(reason) {
+    worker.terminate();
+    worker = null;
+    local = createFrameStore();
+    if (lastTracks) local.setTracks(...lastTracks);
+    pending.forEach((p) => p.reject(new Error(`Ingest worker failed: ${reason}`)));
+    pending.clear();
+  }
+
+  if (worker) {
+    worker.onerror = (e) => {
+      e.preventDefault();
+      abandonWorker(e.message || "worker error");
+    };
+    worker.onmessageerror = () => abandonWorker("unreadable reply");
+    worker.onmessage = (e) => {
+      const { id, ok, error, ...result } = e.data;
+      const p = pending.get(id);
+      if (!p) return;
+      pending.delete(id);
+      if (ok) p.resolve(result);
+      else p.reject(new Error(error));
+    };
+  }
+
+  function request(msg) {
+    const id = ++nextId;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject });
+      worker.postMessage({ id, ...msg });
+    });
+  }
+
+  return {
+    // → { tracks, stats }; previous as for runIngest
+    ingest(snapshots, { previous } = {}) {
+      if (!worker) return Promise.resolve().then(() => runIngest(snapshots, { previous }));
+      return request({ type: "ingest", snapshots, previous });
+    },
+    // Fixes to play back, one points array per track; gen tags them for frames()
+    setTracks(gen, pointLists) {
+      lastTracks = [gen, pointLists];
+      if (!worker) return Promise.resolve().then(() => local.setTracks(gen, pointLists));
+      return request({ type: "tracks", gen, pointLists });
+    },
+    // → windowFrames() of generation gen's tracks at each of times; rejects once superseded
+    frames(gen, times, tailSec) {
+      if (!worker) return Promise.resolve().then(() => local.frames(gen, times, tailSec));
+      return request({ type: "frames", gen, times, tailSec }).then((r) => r.frames);
+    },
+    terminate() {
+      worker?.terminate();
+      pending.forEach((p) => p.reject(new Error("Ingest worker terminated")));
+      pending.clear();
+    },
+  };
+}
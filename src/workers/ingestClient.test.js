@@ -0,0 +1,48 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { createIngestClient } from "./ingestClient.js";
+import { createSyntheticSource } from "../api/sources.js";
+import { fetchSnapshots } from "../api/windborne.js";
+
+// A worker that accepts messages and never answers, until the test fails it
+class SilentWorker {
+  constructor() {
+    SilentWorker.last = this;
+    this.posted = [];
+  }
+  postMessage(msg) {
+    this.posted.push(msg);
+  }
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+afterEach(() => vi.unstubAllGlobals());
+
+describe("createIngestClient", () => {
+  it("fails pending requests when the worker errors and falls back to the main thread", async () => {
+    vi.stubGlobal("Worker", SilentWorker);
+    const client = createIngestClient();
+    const worker = SilentWorker.last;
+    const snapshots = await fetchSnapshots(createSyntheticSource());
+
+    const pending = client.ingest(snapshots);
+    client.setTracks(1, [[{ lat: 0, lon: 0, ts: 0 }, { lat: 0, lon: 1, ts: 3600 }]]).catch(() => {});
+    worker.onerror({ message: "SyntaxError: bad module", preventDefault() {} });
+
+    await expect(pending).rejects.toThrow(/Ingest worker failed: SyntaxError/);
+    expect(worker.terminated).toBe(true);
+    const { tracks, stats } = await client.ingest(snapshots);
+    expect(tracks.length).toBe(stats.balloons);
+    const [frame] = await client.frames(1, [1800], 3600);
+    expect(frame.end[0]).toBe(1);
+  });
+
+  it("fails pending requests on an unreadable reply", async () => {
+    vi.stubGlobal("Worker", SilentWorker);
+    const client = createIngestClient();
+    const pending = client.frames(1, [0], 3600);
+    SilentWorker.last.onmessageerror();
+    await expect(pending).rejects.toThrow(/unreadable reply/);
+  });
+});
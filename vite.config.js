@@ -1,16 +1,39 @@
 // vite.config.js
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import windborneProxy from "./api/windborne/path.js";
+import history from "./api/history.js";
 
-export default defineConfig({
-  plugins: [react()],
-  server: {
-    proxy: {
-      "/api/windborne": {
-        target: "https://a.windbornesystems.com",
-        changeOrigin: true,
-        rewrite: (path) => path.replace(/^\/api\/windborne/, ""),
-      },
+// Minimal Vercel-style req/res on top of connect, so dev runs the same
+// recording proxy and history route as production
+function vercelAdapter(handler, queryFromPath) {
+  return async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    req.query = { ...Object.fromEntries(url.searchParams), ...queryFromPath(url.pathname) };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => {
+      res.setHeader("Content-Type", "application/json; charset=utf-8");
+      res.end(JSON.stringify(body));
+      return res;
+    };
+    res.send = (body) => { res.end(body); return res; };
+    await handler(req, res);
+  };
+}
+
+function apiRoutes() {
+  return {
+    name: "windborne-api-routes",
+    configureServer(server) {
+      server.middlewares.use(
+        "/api/windborne",
+        vercelAdapter(windborneProxy, (p) => ({ path: p.split("/").filter(Boolean) }))
+      );
+      server.middlewares.use("/api/history", vercelAdapter(history, () => ({})));
     },
-  },
+  };
+}
+
+export default defineConfig({
+  plugins: [react(), apiRoutes()],
 });